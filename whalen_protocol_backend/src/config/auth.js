@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEV_JWT_SECRET = 'your_jwt_secret_key_here';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const getJwtSecret = () => process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+/**
+ * Refuse to start in production without a real signing secret
+ */
+export const validateAuthConfig = () => {
+  if (process.env.JWT_SECRET) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+  }
+
+  console.warn('⚠ JWT_SECRET is not set; using the insecure development secret');
+};
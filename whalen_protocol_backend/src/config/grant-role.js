@@ -0,0 +1,30 @@
+import Agent, { PLATFORM_ROLES } from '../models/Agent.js';
+
+// Set an agent's platform role from the command line. Used to create the
+// first admin; after that admins can use PATCH /api/v1/agents/:id/role.
+//   npm run grant-role -- <agentId> <role>
+const grantRole = async () => {
+  const [agentId, role] = process.argv.slice(2);
+
+  if (!agentId || !PLATFORM_ROLES.includes(role)) {
+    console.error(`Usage: npm run grant-role -- <agentId> <${PLATFORM_ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    const agent = await Agent.update(agentId, { role });
+
+    if (!agent) {
+      console.error(`✗ Agent ${agentId} not found`);
+      process.exit(1);
+    }
+
+    console.log(`✓ ${agent.name} (${agent.id}) is now ${agent.role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Failed to grant role:', error.message);
+    process.exit(1);
+  }
+};
+
+grantRole();
@@ -0,0 +1,78 @@
+import pool from './database.js';
+import { getApiKeyPrefix, hashApiKey } from '../utils/helpers.js';
+
+const columnExists = async (client, table, column) => {
+  const result = await client.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM information_schema.columns
+       WHERE table_name = $1 AND column_name = $2
+     )`,
+    [table, column]
+  );
+
+  return result.rows[0].exists;
+};
+
+// Replace plaintext API keys with prefix + bcrypt hash. Safe to run more than once.
+const migrateApiKeys = async () => {
+  const client = await pool.connect();
+
+  try {
+    console.log('Migrating plaintext API keys...');
+    await client.query('BEGIN');
+
+    let migrated = 0;
+
+    // Keys created before hashing was introduced
+    if (await columnExists(client, 'api_keys', 'api_key')) {
+      const keys = await client.query(
+        'SELECT id, api_key FROM api_keys WHERE api_key IS NOT NULL AND key_hash IS NULL'
+      );
+
+      for (const row of keys.rows) {
+        await client.query(
+          'UPDATE api_keys SET key_prefix = $1, key_hash = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+          [getApiKeyPrefix(row.api_key), await hashApiKey(row.api_key), row.id]
+        );
+        migrated++;
+      }
+
+      await client.query('ALTER TABLE api_keys DROP COLUMN api_key');
+    }
+
+    // The original single key stored on the agent row
+    if (await columnExists(client, 'agents', 'api_key')) {
+      const agents = await client.query(
+        `SELECT a.id, a.api_key FROM agents a
+         WHERE a.api_key IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.agent_id = a.id)`
+      );
+
+      for (const row of agents.rows) {
+        await client.query(
+          `INSERT INTO api_keys (agent_id, label, key_prefix, key_hash, scopes)
+           VALUES ($1, 'default', $2, $3, '{*}')`,
+          [row.id, getApiKeyPrefix(row.api_key), await hashApiKey(row.api_key)]
+        );
+        migrated++;
+      }
+
+      await client.query('ALTER TABLE agents DROP COLUMN api_key');
+    }
+
+    await client.query('ALTER TABLE api_keys ALTER COLUMN key_prefix SET NOT NULL');
+    await client.query('ALTER TABLE api_keys ALTER COLUMN key_hash SET NOT NULL');
+
+    await client.query('COMMIT');
+    console.log(`✓ Hashed ${migrated} API key(s)`);
+    process.exit(0);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('✗ Failed to migrate API keys:', error.message);
+    process.exit(1);
+  } finally {
+    client.release();
+  }
+};
+
+migrateApiKeys();
@@ -0,0 +1,22 @@
+import pool from './database.js';
+import ReputationService from '../services/ReputationService.js';
+
+// Recompute every agent's reputation from its full history. Run after
+// upgrading, or after changing the scoring rules.
+const recalculateReputation = async () => {
+  try {
+    const agents = await pool.query('SELECT id FROM agents ORDER BY created_at ASC');
+
+    for (const { id } of agents.rows) {
+      await ReputationService.recalculate(id, 'recalculation');
+    }
+
+    console.log(`✓ Recalculated reputation for ${agents.rows.length} agent(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Failed to recalculate reputation:', error.message);
+    process.exit(1);
+  }
+};
+
+recalculateReputation();
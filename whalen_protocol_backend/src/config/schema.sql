@@ -6,16 +6,181 @@ CREATE TABLE IF NOT EXISTS agents (
   name VARCHAR(255) NOT NULL,
   type VARCHAR(50) NOT NULL CHECK (type IN ('requester', 'provider', 'both')),
   wallet_address VARCHAR(255),
-  reputation_score FLOAT DEFAULT 5.0,
+  reputation_score FLOAT DEFAULT 4.0,
+  reputation_confidence FLOAT DEFAULT 0,
   total_transactions INT DEFAULT 0,
   total_earnings DECIMAL(18, 8) DEFAULT 0,
   total_spent DECIMAL(18, 8) DEFAULT 0,
   uptime_percentage FLOAT DEFAULT 100.0,
-  api_key VARCHAR(255) UNIQUE,
+  role VARCHAR(50) NOT NULL DEFAULT 'agent',
+  status VARCHAR(50) NOT NULL DEFAULT 'active',
+  status_reason TEXT,
+  suspended_at TIMESTAMP,
+  closed_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Platform role: regular agent, dispute arbiter or platform admin
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS role VARCHAR(50) NOT NULL DEFAULT 'agent';
+ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_role_check;
+ALTER TABLE agents ADD CONSTRAINT agents_role_check
+  CHECK (role IN ('agent', 'arbiter', 'admin'));
+
+-- Account lifecycle: suspended agents are hidden from the market, closed ones are final
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS status VARCHAR(50) NOT NULL DEFAULT 'active';
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_status_check;
+ALTER TABLE agents ADD CONSTRAINT agents_status_check
+  CHECK (status IN ('active', 'suspended', 'closed'));
+
+-- Rate limit tier; NULL uses the agent's type (requester, provider or both)
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS rate_limit_tier VARCHAR(50);
+
+-- Reputation is recomputed from outcomes; new agents start at the neutral prior
+ALTER TABLE agents ALTER COLUMN reputation_score SET DEFAULT 4.0;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS reputation_confidence FLOAT DEFAULT 0;
+
+-- Organizations (shared accounts grouping several agents)
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  created_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organization memberships. Agents are invited and must accept before they count.
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'operator', 'viewer')),
+  status VARCHAR(50) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active')),
+  invited_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, agent_id)
+);
+
+-- API Keys (several scoped, revocable keys per agent, or org-wide keys)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  label VARCHAR(255) NOT NULL DEFAULT 'default',
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(255) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{*}',
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Keys are stored as a lookup prefix plus a bcrypt hash. Databases created with
+-- plaintext keys get these columns here; run `npm run migrate-api-keys` to hash them.
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(16);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash VARCHAR(255);
+
+-- Keys belong to exactly one agent or one organization
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE api_keys ALTER COLUMN agent_id DROP NOT NULL;
+ALTER TABLE api_keys DROP CONSTRAINT IF EXISTS api_keys_owner_check;
+ALTER TABLE api_keys ADD CONSTRAINT api_keys_owner_check
+  CHECK ((agent_id IS NULL) <> (organization_id IS NULL));
+
+-- The member who created an org-wide key. The key never acts above their org
+-- role, and org keys without an active creator are refused.
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES agents(id) ON DELETE SET NULL;
+
+-- Login sessions. Each holds one rotating refresh token, stored as a SHA-256 hash.
+CREATE TABLE IF NOT EXISTS agent_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  previous_refresh_token_hash VARCHAR(64),
+  scopes TEXT[] NOT NULL DEFAULT '{*}',
+  auth_method VARCHAR(50) NOT NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The API key a session was minted from; revoking the key ends the session
+ALTER TABLE agent_sessions ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE;
+
+-- Individually revoked access tokens, kept until they would have expired anyway
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti UUID PRIMARY KEY,
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use nonces for wallet-signature login
+CREATE TABLE IF NOT EXISTS auth_challenges (
+  nonce VARCHAR(64) PRIMARY KEY,
+  wallet_address VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Wallet addresses are stored lowercase, as challenges are issued for them
+UPDATE agents SET wallet_address = LOWER(wallet_address)
+WHERE wallet_address IS DISTINCT FROM LOWER(wallet_address);
+
+-- GPU catalog. Capabilities and requests refer to a canonical id; any alias resolves to it.
+CREATE TABLE IF NOT EXISTS gpu_types (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  vendor VARCHAR(50) NOT NULL,
+  architecture VARCHAR(50) NOT NULL,
+  vram_gb INT NOT NULL,
+  fp16_tflops FLOAT NOT NULL,
+  fp32_tflops FLOAT NOT NULL,
+  interconnect VARCHAR(50),
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lookup key for GPU names: lowercase alphanumerics without a leading vendor or brand,
+-- so 'NVIDIA A100 80GB', 'a100-80gb' and 'A100 80GB' all become 'a10080gb'
+CREATE OR REPLACE FUNCTION normalize_gpu_type(name TEXT) RETURNS TEXT AS $$
+  SELECT regexp_replace(
+    regexp_replace(lower(name), '[^a-z0-9]', '', 'g'),
+    '^(nvidia|amd|tesla|geforce|instinct)+', ''
+  )
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Dense (non-sparse) tensor throughput; rows edited by operators are left alone
+INSERT INTO gpu_types (id, name, vendor, architecture, vram_gb, fp16_tflops, fp32_tflops, interconnect, aliases) VALUES
+  ('t4', 'NVIDIA T4', 'nvidia', 'turing', 16, 65, 8.1, 'PCIe', '{T4 16GB}'),
+  ('v100-16gb', 'NVIDIA V100 16GB', 'nvidia', 'volta', 16, 125, 15.7, 'NVLink', '{V100}'),
+  ('v100-32gb', 'NVIDIA V100 32GB', 'nvidia', 'volta', 32, 125, 15.7, 'NVLink', '{}'),
+  ('a10g', 'NVIDIA A10G', 'nvidia', 'ampere', 24, 125, 31.2, 'PCIe', '{}'),
+  ('l4', 'NVIDIA L4', 'nvidia', 'ada', 24, 121, 30.3, 'PCIe', '{}'),
+  ('rtx-4090', 'NVIDIA GeForce RTX 4090', 'nvidia', 'ada', 24, 165, 82.6, 'PCIe', '{4090}'),
+  ('rtx-a6000', 'NVIDIA RTX A6000', 'nvidia', 'ampere', 48, 155, 38.7, 'NVLink', '{A6000}'),
+  ('l40s', 'NVIDIA L40S', 'nvidia', 'ada', 48, 362, 91.6, 'PCIe', '{}'),
+  ('a100-40gb', 'NVIDIA A100 40GB', 'nvidia', 'ampere', 40, 312, 19.5, 'NVLink', '{}'),
+  ('a100-80gb', 'NVIDIA A100 80GB', 'nvidia', 'ampere', 80, 312, 19.5, 'NVLink', '{A100}'),
+  ('h100-pcie', 'NVIDIA H100 PCIe', 'nvidia', 'hopper', 80, 756, 51.2, 'PCIe', '{}'),
+  ('h100-sxm', 'NVIDIA H100 SXM', 'nvidia', 'hopper', 80, 989, 66.9, 'NVLink', '{H100,H100 SXM5,H100 80GB}'),
+  ('h200', 'NVIDIA H200', 'nvidia', 'hopper', 141, 989, 66.9, 'NVLink', '{}'),
+  ('mi300x', 'AMD Instinct MI300X', 'amd', 'cdna3', 192, 1307, 163.4, 'Infinity Fabric', '{}')
+ON CONFLICT (id) DO NOTHING;
+
 -- Provider Capabilities
 CREATE TABLE IF NOT EXISTS provider_capabilities (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -32,6 +197,53 @@ CREATE TABLE IF NOT EXISTS provider_capabilities (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Liveness: capabilities that have ever heartbeated are taken offline by the
+-- sweeper when heartbeats stop (auto_offline) and restored when they resume
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMP;
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS auto_offline BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Catalog GPU type. gpu_type keeps what was submitted for rows that predate the catalog.
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS gpu_type_id VARCHAR(50) REFERENCES gpu_types(id);
+
+-- Capacity classes beyond on-demand: spot (cheaper, preemptible) and reserved.
+-- A class is offered when its price is set.
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS spot_price_per_hour DECIMAL(18, 8);
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS reserved_price_per_hour DECIMAL(18, 8);
+
+-- The provider's own name for the node behind a capability. Bulk imports
+-- upsert on it, so re-importing a fleet updates rows instead of duplicating them.
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS external_node_id VARCHAR(255);
+
+-- Software environment: OS, driver, CUDA/ROCm versions, container runtimes and
+-- frameworks (see src/utils/software.js for the shape)
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS software JSONB;
+
+-- Network and storage: GPU and node fabrics, internet egress, local NVMe scratch
+-- space and whether nodes get a public IP (see src/utils/infrastructure.js)
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS interconnects VARCHAR(20)[] NOT NULL DEFAULT '{}';
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS egress_bandwidth_gbps DECIMAL(10, 2);
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS local_nvme_gb INT;
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS public_ip BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE provider_capabilities DROP CONSTRAINT IF EXISTS provider_capabilities_interconnects_check;
+ALTER TABLE provider_capabilities ADD CONSTRAINT provider_capabilities_interconnects_check
+  CHECK (interconnects <@ ARRAY['nvlink', 'nvswitch', 'infiniband', 'roce']::VARCHAR(20)[]);
+
+-- Service levels the provider commits to, each with the credit owed on breach
+-- (see src/utils/sla.js for the shape)
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS sla_terms JSONB;
+
+-- Agent behind the latest write, copied into capability_history. NULL for
+-- changes the platform makes on its own, such as the heartbeat sweeper.
+ALTER TABLE provider_capabilities ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES agents(id) ON DELETE SET NULL;
+
+-- Heartbeat log; capability_id is NULL when the heartbeat covers all of a provider's capabilities
+CREATE TABLE IF NOT EXISTS provider_heartbeats (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  capability_id UUID REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Compute Requests
 CREATE TABLE IF NOT EXISTS compute_requests (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -48,6 +260,125 @@ CREATE TABLE IF NOT EXISTS compute_requests (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Catalog GPU type, and whether more capable GPUs may stand in for it
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS gpu_type_id VARCHAR(50) REFERENCES gpu_types(id);
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS gpu_match VARCHAR(20) NOT NULL DEFAULT 'exact';
+ALTER TABLE compute_requests DROP CONSTRAINT IF EXISTS compute_requests_gpu_match_check;
+ALTER TABLE compute_requests ADD CONSTRAINT compute_requests_gpu_match_check
+  CHECK (gpu_match IN ('exact', 'at_least'));
+
+-- When the requester wants the hardware; NULL means as soon as the match is accepted
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+
+-- Capacity classes the requester accepts
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS capacity_classes VARCHAR(20)[] NOT NULL DEFAULT '{on_demand}';
+-- Software the job needs (capabilities without it are not matched) and software
+-- it would rather have (scored), both with version ranges
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS software_requirements JSONB;
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS software_preferences JSONB;
+-- Network and storage the job needs and would rather have, the same way
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS infrastructure_requirements JSONB;
+ALTER TABLE compute_requests ADD COLUMN IF NOT EXISTS infrastructure_preferences JSONB;
+
+ALTER TABLE compute_requests DROP CONSTRAINT IF EXISTS compute_requests_capacity_classes_check;
+ALTER TABLE compute_requests ADD CONSTRAINT compute_requests_capacity_classes_check
+  CHECK (cardinality(capacity_classes) > 0 AND capacity_classes <@ ARRAY['on_demand', 'spot', 'reserved']::VARCHAR(20)[]);
+
+-- Link rows created before the catalog existed to it where their gpu_type is recognised
+UPDATE provider_capabilities pc SET gpu_type_id = g.id
+FROM gpu_types g
+WHERE pc.gpu_type_id IS NULL
+  AND normalize_gpu_type(pc.gpu_type) IN (
+    SELECT normalize_gpu_type(n) FROM unnest(g.aliases || ARRAY[g.id, g.name]) AS n
+  );
+
+UPDATE compute_requests cr SET gpu_type_id = g.id
+FROM gpu_types g
+WHERE cr.gpu_type_id IS NULL
+  AND normalize_gpu_type(cr.gpu_type) IN (
+    SELECT normalize_gpu_type(n) FROM unnest(g.aliases || ARRAY[g.id, g.name]) AS n
+  );
+
+-- Append-only log of capability listings. Every insert, every update that
+-- changes a listed field and every delete adds a snapshot of the listing as it
+-- stood afterwards (before, for deletes). There is no foreign key, so the
+-- history outlives the capability and can still be audited.
+CREATE TABLE IF NOT EXISTS capability_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capability_id UUID NOT NULL,
+  provider_id UUID NOT NULL,
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('baseline', 'created', 'updated', 'deleted')),
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  changed_by UUID,
+  gpu_type_id VARCHAR(50),
+  gpu_count INT NOT NULL,
+  cpu_cores INT NOT NULL,
+  memory_gb INT NOT NULL,
+  price_per_hour DECIMAL(18, 8) NOT NULL,
+  spot_price_per_hour DECIMAL(18, 8),
+  reserved_price_per_hour DECIMAL(18, 8),
+  region VARCHAR(100),
+  availability_status VARCHAR(50),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE OR REPLACE FUNCTION record_capability_history() RETURNS TRIGGER AS $$
+DECLARE
+  listing provider_capabilities;
+  changed TEXT[] := '{}';
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    SELECT COALESCE(array_agg(n.key ORDER BY n.key), '{}') INTO changed
+    FROM jsonb_each(to_jsonb(NEW)) n
+    JOIN jsonb_each(to_jsonb(OLD)) o ON o.key = n.key
+    WHERE n.key IN ('gpu_type_id', 'gpu_count', 'cpu_cores', 'memory_gb', 'price_per_hour',
+                    'spot_price_per_hour', 'reserved_price_per_hour', 'region', 'availability_status')
+      AND n.value IS DISTINCT FROM o.value;
+
+    IF cardinality(changed) = 0 THEN
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    listing := OLD;
+  ELSE
+    listing := NEW;
+  END IF;
+
+  INSERT INTO capability_history
+    (capability_id, provider_id, change_type, changed_fields, changed_by, gpu_type_id, gpu_count,
+     cpu_cores, memory_gb, price_per_hour, spot_price_per_hour, reserved_price_per_hour, region,
+     availability_status)
+  VALUES
+    (listing.id, listing.provider_id,
+     CASE TG_OP WHEN 'INSERT' THEN 'created' WHEN 'UPDATE' THEN 'updated' ELSE 'deleted' END,
+     changed,
+     -- Only the owner can delete a capability, directly or by closing their account
+     CASE WHEN TG_OP = 'DELETE' THEN listing.provider_id ELSE listing.updated_by END,
+     listing.gpu_type_id, listing.gpu_count, listing.cpu_cores, listing.memory_gb,
+     listing.price_per_hour, listing.spot_price_per_hour, listing.reserved_price_per_hour,
+     listing.region, listing.availability_status);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS provider_capabilities_history ON provider_capabilities;
+CREATE TRIGGER provider_capabilities_history
+  AFTER INSERT OR UPDATE OR DELETE ON provider_capabilities
+  FOR EACH ROW EXECUTE FUNCTION record_capability_history();
+
+-- Capabilities listed before history was kept start from their current state
+INSERT INTO capability_history
+  (capability_id, provider_id, change_type, gpu_type_id, gpu_count, cpu_cores, memory_gb,
+   price_per_hour, spot_price_per_hour, reserved_price_per_hour, region, availability_status, changed_at)
+SELECT pc.id, pc.provider_id, 'baseline', pc.gpu_type_id, pc.gpu_count, pc.cpu_cores, pc.memory_gb,
+       pc.price_per_hour, pc.spot_price_per_hour, pc.reserved_price_per_hour, pc.region,
+       pc.availability_status, COALESCE(pc.updated_at, pc.created_at, CURRENT_TIMESTAMP)
+FROM provider_capabilities pc
+WHERE NOT EXISTS (SELECT 1 FROM capability_history h WHERE h.capability_id = pc.id);
+
 -- Matches (request → provider)
 CREATE TABLE IF NOT EXISTS matches (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -58,10 +389,189 @@ CREATE TABLE IF NOT EXISTS matches (
   status VARCHAR(50) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'in_progress', 'completed', 'failed', 'cancelled')),
   start_time TIMESTAMP,
   end_time TIMESTAMP,
+  cancelled_by UUID REFERENCES agents(id),
+  failure_reason TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Who ended a match early, so cancellations count against the right party
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES agents(id);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- How agreed_price_per_hour was derived from the capability's pricing rules
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+
+-- Spot matches can be preempted: notice is given at preemption_notice_at, the
+-- match ends at preempts_at and is billed for the hours it actually ran
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS capacity_class VARCHAR(20) NOT NULL DEFAULT 'on_demand';
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_capacity_class_check;
+ALTER TABLE matches ADD CONSTRAINT matches_capacity_class_check
+  CHECK (capacity_class IN ('on_demand', 'spot', 'reserved'));
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS preemption_notice_at TIMESTAMP;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS preempts_at TIMESTAMP;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS billed_hours DECIMAL(10, 4);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS billed_amount DECIMAL(18, 8);
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_status_check;
+ALTER TABLE matches ADD CONSTRAINT matches_status_check
+  CHECK (status IN ('proposed', 'accepted', 'in_progress', 'completed', 'failed', 'cancelled', 'preempted', 'declined'));
+
+-- Periods a provider offers a capability. A capability without any windows is always on offer.
+CREATE TABLE IF NOT EXISTS availability_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capability_id UUID NOT NULL REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+
+-- Planned downtime. A window without a capability covers the provider's whole
+-- fleet. Nothing is matched or booked onto hardware while it is down.
+CREATE TABLE IF NOT EXISTS maintenance_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  capability_id UUID REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+
+-- The match a requester moved away from because of maintenance
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS rematched_from UUID REFERENCES matches(id) ON DELETE SET NULL;
+
+-- Matches moved away from are nobody's cancellation. Only a successful
+-- re-match leaves a successor that was not declined.
+UPDATE matches m SET cancelled_by = NULL
+WHERE m.status = 'cancelled' AND m.cancelled_by IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM matches r
+    WHERE r.rematched_from = m.id AND r.status <> 'declined'
+  );
+
+-- The capability's SLA terms as they stood at acceptance, and the timestamps
+-- time to start is measured between. start_time has always been set on accept.
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS sla_terms JSONB;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+UPDATE matches SET accepted_at = start_time
+WHERE accepted_at IS NULL AND start_time IS NOT NULL;
+
+-- The SLA assessment taken when the match ended, which settlement credits
+-- from long after the heartbeats behind it are pruned
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS sla_assessment JSONB;
+
+-- Provider acceptance policies (see src/utils/acceptance.js). A policy on a
+-- capability takes precedence over the provider's fleet-wide one, which has
+-- no capability.
+CREATE TABLE IF NOT EXISTS acceptance_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  capability_id UUID REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  min_price_per_hour DECIMAL(18, 8),
+  min_requester_reputation FLOAT,
+  max_duration_hours INT,
+  allowed_requester_ids UUID[],
+  denied_requester_ids UUID[] NOT NULL DEFAULT '{}',
+  working_hours JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Matches a provider's acceptance policy turned down, and why
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS decline_reason TEXT;
+
+-- Hardware booked by an accepted match. Active reservations on a capability never overlap.
+CREATE TABLE IF NOT EXISTS reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capability_id UUID NOT NULL REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  match_id UUID NOT NULL UNIQUE REFERENCES matches(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'released')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+
+-- Share of the capability a reservation holds. Reservations from before
+-- capacity tracking held the whole capability.
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS gpu_count INT;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS cpu_cores INT;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS memory_gb INT;
+
+UPDATE reservations r
+SET gpu_count = pc.gpu_count, cpu_cores = pc.cpu_cores, memory_gb = pc.memory_gb
+FROM provider_capabilities pc
+WHERE r.capability_id = pc.id AND r.gpu_count IS NULL;
+
+ALTER TABLE reservations ALTER COLUMN gpu_count SET NOT NULL;
+ALTER TABLE reservations ALTER COLUMN cpu_cores SET NOT NULL;
+ALTER TABLE reservations ALTER COLUMN memory_gb SET NOT NULL;
+
+-- Spot reservations give way to on-demand and reserved bookings
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS capacity_class VARCHAR(20) NOT NULL DEFAULT 'on_demand';
+
+-- Peak GPUs, CPU cores and memory held by active reservations at any moment of
+-- a period; an empty period (start = end) gives what is held at that instant.
+-- Usage only rises when a reservation starts, so checking the period start and
+-- every reservation start inside it finds each peak. Without include_spot,
+-- capacity held by preemptible spot reservations counts as free.
+DROP FUNCTION IF EXISTS reserved_capacity(UUID, TIMESTAMPTZ, TIMESTAMPTZ);
+CREATE OR REPLACE FUNCTION reserved_capacity(
+  cap UUID,
+  period_start TIMESTAMPTZ,
+  period_end TIMESTAMPTZ,
+  include_spot BOOLEAN DEFAULT TRUE
+)
+RETURNS TABLE (gpu_count INT, cpu_cores INT, memory_gb INT) AS $$
+  WITH overlapping AS (
+    SELECT r.starts_at, r.ends_at, r.gpu_count, r.cpu_cores, r.memory_gb
+    FROM reservations r
+    WHERE r.capability_id = cap
+      AND r.status = 'active'
+      AND (include_spot OR r.capacity_class <> 'spot')
+      AND r.ends_at > period_start
+      AND (r.starts_at < period_end OR r.starts_at <= period_start)
+  ),
+  usage AS (
+    SELECT SUM(o.gpu_count) AS gpus, SUM(o.cpu_cores) AS cpus, SUM(o.memory_gb) AS mem
+    FROM (
+      SELECT period_start AS at
+      UNION
+      SELECT starts_at FROM overlapping WHERE starts_at > period_start
+    ) p
+    JOIN overlapping o ON o.starts_at <= p.at AND o.ends_at > p.at
+    GROUP BY p.at
+  )
+  SELECT COALESCE(MAX(gpus), 0)::int, COALESCE(MAX(cpus), 0)::int, COALESCE(MAX(mem), 0)::int
+  FROM usage
+$$ LANGUAGE SQL STABLE;
+
+-- Provider pricing rules. Each multiplies the capability's price_per_hour:
+-- time_of_day for the hours (UTC) and weekdays it covers, utilization once the
+-- capability's reserved share of GPUs reaches a threshold, duration for
+-- requests of at least a number of hours.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capability_id UUID NOT NULL REFERENCES provider_capabilities(id) ON DELETE CASCADE,
+  rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('time_of_day', 'utilization', 'duration')),
+  name VARCHAR(100),
+  multiplier DECIMAL(8, 4) NOT NULL CHECK (multiplier > 0),
+  weekdays INT[],
+  start_hour INT CHECK (start_hour BETWEEN 0 AND 23),
+  end_hour INT CHECK (end_hour BETWEEN 1 AND 24),
+  utilization_threshold DECIMAL(5, 4) CHECK (utilization_threshold > 0 AND utilization_threshold <= 1),
+  min_duration_hours INT CHECK (min_duration_hours > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (rule_type <> 'time_of_day' OR (start_hour IS NOT NULL AND end_hour IS NOT NULL)),
+  CHECK (rule_type <> 'utilization' OR utilization_threshold IS NOT NULL),
+  CHECK (rule_type <> 'duration' OR min_duration_hours IS NOT NULL)
+);
+
 -- Transactions (payments)
 CREATE TABLE IF NOT EXISTS transactions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -77,6 +587,27 @@ CREATE TABLE IF NOT EXISTS transactions (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Part of the escrow returned when a preempted match is billed for less than was
+-- paid, or when SLA credits are owed
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(18, 8);
+
+-- Part of refunded_amount owed to the requester for SLA breaches
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sla_credit_amount DECIMAL(18, 8);
+
+-- One credit per breached SLA term, worked out when the transaction settles
+CREATE TABLE IF NOT EXISTS sla_credits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  term VARCHAR(50) NOT NULL CHECK (term IN ('uptime', 'time_to_start', 'interruptions')),
+  target DECIMAL(10, 4) NOT NULL,
+  measured DECIMAL(10, 4) NOT NULL,
+  credit_percent DECIMAL(5, 2) NOT NULL,
+  amount DECIMAL(18, 8) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (transaction_id, term)
+);
+
 -- Verification Records
 CREATE TABLE IF NOT EXISTS verifications (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -86,17 +617,161 @@ CREATE TABLE IF NOT EXISTS verifications (
   proof_data JSONB,
   verified BOOLEAN DEFAULT FALSE,
   notes TEXT,
+  resolved_by UUID REFERENCES agents(id),
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Which arbiter or admin resolved a dispute
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES agents(id);
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+
+-- Reviews left by either party of a completed match, one per party.
+-- tags holds optional 1-5 sub-ratings: performance, communication, accuracy.
+CREATE TABLE IF NOT EXISTS reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  reviewer_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  reviewee_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  reviewer_role VARCHAR(50) NOT NULL CHECK (reviewer_role IN ('requester', 'provider')),
+  rating INT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  tags JSONB NOT NULL DEFAULT '{}',
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (match_id, reviewer_id)
+);
+
+-- Outbound webhook endpoints. The secret signs deliveries, so it is stored as-is.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  event_types TEXT[] NOT NULL,
+  secret VARCHAR(255) NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- One row per event per subscription, retried until it succeeds or runs out of attempts
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  response_status INT,
+  last_error TEXT,
+  replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Response bodies are no longer kept: they could carry internal responses back
+-- to subscribers
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS response_body;
+
+-- Rate limits per scope and tier. Scopes with no row for a tier are not limited.
+CREATE TABLE IF NOT EXISTS rate_limit_policies (
+  scope VARCHAR(100) NOT NULL,
+  tier VARCHAR(50) NOT NULL,
+  max_requests INT NOT NULL CHECK (max_requests > 0),
+  window_seconds INT NOT NULL CHECK (window_seconds > 0),
+  PRIMARY KEY (scope, tier)
+);
+
+-- Fixed-window counters, one row per scope and agent or IP
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key VARCHAR(255) PRIMARY KEY,
+  window_start BIGINT NOT NULL,
+  window_seconds INT NOT NULL,
+  count INT NOT NULL DEFAULT 0
+);
+
+-- Caps on how many open records of a kind an agent may hold at once
+CREATE TABLE IF NOT EXISTS usage_quotas (
+  resource VARCHAR(100) NOT NULL,
+  tier VARCHAR(50) NOT NULL,
+  max_count INT NOT NULL CHECK (max_count >= 0),
+  PRIMARY KEY (resource, tier)
+);
+
+-- Default limits; rows edited by operators are left alone
+INSERT INTO rate_limit_policies (scope, tier, max_requests, window_seconds) VALUES
+  ('api', 'requester', 600, 60),
+  ('api', 'provider', 1200, 60),
+  ('api', 'both', 1200, 60),
+  ('discovery', 'anonymous', 120, 60),
+  ('requests.create', 'requester', 60, 3600),
+  ('requests.create', 'both', 60, 3600),
+  ('requests.match', 'requester', 120, 3600),
+  ('requests.match', 'both', 120, 3600)
+ON CONFLICT (scope, tier) DO NOTHING;
+
+INSERT INTO usage_quotas (resource, tier, max_count) VALUES
+  ('open_requests', 'requester', 50),
+  ('open_requests', 'both', 50),
+  ('pending_matches', 'requester', 100),
+  ('pending_matches', 'both', 100)
+ON CONFLICT (resource, tier) DO NOTHING;
+
+-- Reputation score after each recalculation and what triggered it
+CREATE TABLE IF NOT EXISTS reputation_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  score FLOAT NOT NULL,
+  previous_score FLOAT,
+  confidence FLOAT NOT NULL,
+  sample_size INT NOT NULL DEFAULT 0,
+  trigger VARCHAR(50) NOT NULL,
+  reference_id UUID,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_agents_type ON agents(type);
-CREATE INDEX IF NOT EXISTS idx_agents_api_key ON agents(api_key);
+CREATE INDEX IF NOT EXISTS idx_agents_role ON agents(role) WHERE role <> 'agent';
+CREATE INDEX IF NOT EXISTS idx_agents_status ON agents(status);
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee_id ON reviews(reviewee_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_agent_id ON webhook_subscriptions(agent_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_reputation_history_agent_id ON reputation_history(agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_keys_agent_id ON api_keys(agent_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_prefix ON api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_agent_id ON organization_members(agent_id);
+CREATE INDEX IF NOT EXISTS idx_agent_sessions_agent_id ON agent_sessions(agent_id);
+CREATE INDEX IF NOT EXISTS idx_agent_sessions_api_key_id ON agent_sessions(api_key_id) WHERE api_key_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_expires_at ON auth_challenges(expires_at);
+CREATE INDEX IF NOT EXISTS idx_agents_wallet_address ON agents(LOWER(wallet_address));
 CREATE INDEX IF NOT EXISTS idx_provider_capabilities_provider_id ON provider_capabilities(provider_id);
+CREATE INDEX IF NOT EXISTS idx_provider_capabilities_gpu_type_id ON provider_capabilities(gpu_type_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_capabilities_external_node_id ON provider_capabilities(provider_id, external_node_id) WHERE external_node_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_provider_capabilities_last_heartbeat_at ON provider_capabilities(last_heartbeat_at) WHERE last_heartbeat_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_capability_history_capability_id ON capability_history(capability_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_capability_history_changed_at ON capability_history(changed_at);
+CREATE INDEX IF NOT EXISTS idx_provider_heartbeats_provider_id ON provider_heartbeats(provider_id, received_at);
+CREATE INDEX IF NOT EXISTS idx_provider_heartbeats_received_at ON provider_heartbeats(received_at);
 CREATE INDEX IF NOT EXISTS idx_compute_requests_requester_id ON compute_requests(requester_id);
 CREATE INDEX IF NOT EXISTS idx_compute_requests_status ON compute_requests(status);
+CREATE INDEX IF NOT EXISTS idx_availability_windows_capability_id ON availability_windows(capability_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_maintenance_windows_provider_id ON maintenance_windows(provider_id, ends_at);
+CREATE INDEX IF NOT EXISTS idx_maintenance_windows_capability_id ON maintenance_windows(capability_id) WHERE capability_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_acceptance_policies_provider_id ON acceptance_policies(provider_id) WHERE capability_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_acceptance_policies_capability_id ON acceptance_policies(capability_id) WHERE capability_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_capability_id ON pricing_rules(capability_id);
+CREATE INDEX IF NOT EXISTS idx_reservations_capability_id ON reservations(capability_id, starts_at) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_matches_request_id ON matches(request_id);
+CREATE INDEX IF NOT EXISTS idx_matches_preempts_at ON matches(preempts_at)
+  WHERE status IN ('accepted', 'in_progress') AND preempts_at IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_matches_provider_id ON matches(provider_id);
 CREATE INDEX IF NOT EXISTS idx_matches_status ON matches(status);
 CREATE INDEX IF NOT EXISTS idx_transactions_match_id ON transactions(match_id);
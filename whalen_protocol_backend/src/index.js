@@ -5,6 +5,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import pool from './config/database.js';
+import { validateAuthConfig } from './config/auth.js';
 import { errorHandler } from './middleware/auth.js';
 import agentsRouter from './routes/agents.js';
 import providersRouter from './routes/providers.js';
@@ -13,6 +14,11 @@ import requestsRouter from './routes/requests.js';
 import matchesRouter from './routes/matches.js';
 import paymentsRouter from './routes/payments.js';
 import verificationsRouter from './routes/verifications.js';
+import organizationsRouter from './routes/organizations.js';
+import webhooksRouter from './routes/webhooks.js';
+import HeartbeatService from './services/HeartbeatService.js';
+import WebhookService from './services/WebhookService.js';
+import PreemptionService from './services/PreemptionService.js';
 
 dotenv.config();
 
@@ -22,9 +28,16 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, rate limits need the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Room for bulk capability imports
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -54,6 +67,8 @@ app.use('/api/v1/requests', requestsRouter);
 app.use('/api/v1/matches', matchesRouter);
 app.use('/api/v1/payments', paymentsRouter);
 app.use('/api/v1/verifications', verificationsRouter);
+app.use('/api/v1/organizations', organizationsRouter);
+app.use('/api/v1/webhooks', webhooksRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -110,6 +125,7 @@ const testDatabaseConnection = async () => {
 // Start server
 const startServer = async () => {
   try {
+    validateAuthConfig();
     await testDatabaseConnection();
     await initializeDatabase();
 
@@ -125,16 +141,53 @@ const startServer = async () => {
 
 API Endpoints:
   POST   /api/v1/agents/register
+  POST   /api/v1/agents/auth/token
+  POST   /api/v1/agents/auth/refresh
+  GET    /api/v1/agents/auth/challenge
+  POST   /api/v1/agents/auth/wallet
+  POST   /api/v1/agents/auth/logout
   GET    /api/v1/agents/profile
+  GET    /api/v1/agents/profile/limits
   GET    /api/v1/agents/:id
+  PATCH  /api/v1/agents/:id/role
+  PATCH  /api/v1/agents/:id/rate-limit-tier
+  POST   /api/v1/agents/:id/suspend
+  POST   /api/v1/agents/:id/reinstate
+  POST   /api/v1/agents/profile/close
+  GET    /api/v1/agents/:id/reputation/history
+  POST   /api/v1/agents/profile/keys
+  GET    /api/v1/agents/profile/keys
+  DELETE /api/v1/agents/profile/keys/:keyId
+  GET    /api/v1/agents/profile/sessions
+  DELETE /api/v1/agents/profile/sessions/:sessionId
   
   POST   /api/v1/providers/capabilities
   GET    /api/v1/providers/capabilities/:providerId
   PATCH  /api/v1/providers/capabilities/:capabilityId
+  POST   /api/v1/providers/capabilities/:capabilityId/availability
+  GET    /api/v1/providers/capabilities/:capabilityId/availability
+  DELETE /api/v1/providers/capabilities/:capabilityId/availability/:windowId
+  POST   /api/v1/providers/capabilities/:capabilityId/pricing-rules
+  GET    /api/v1/providers/capabilities/:capabilityId/pricing-rules
+  DELETE /api/v1/providers/capabilities/:capabilityId/pricing-rules/:ruleId
+  GET    /api/v1/providers/capabilities/:capabilityId/history
+  POST   /api/v1/providers/my-capabilities/import
+  GET    /api/v1/providers/my-capabilities/export
+  POST   /api/v1/providers/heartbeat
+  GET    /api/v1/providers/:providerId/uptime
+  POST   /api/v1/providers/maintenance
+  DELETE /api/v1/providers/maintenance/:windowId
+  GET    /api/v1/providers/:providerId/maintenance
+  PUT    /api/v1/providers/acceptance-policies
+  GET    /api/v1/providers/acceptance-policies
+  DELETE /api/v1/providers/acceptance-policies/:policyId
   
   GET    /api/v1/discovery/search
   POST   /api/v1/discovery/find-matches
   GET    /api/v1/discovery/stats
+  GET    /api/v1/discovery/gpu-types
+  GET    /api/v1/discovery/gpu-types/:gpuType
+  GET    /api/v1/discovery/gpu-types/:gpuType/price-history
   
   POST   /api/v1/requests
   GET    /api/v1/requests/:requestId
@@ -143,8 +196,26 @@ API Endpoints:
   
   GET    /api/v1/matches/:matchId
   POST   /api/v1/matches/:matchId/accept
+  POST   /api/v1/matches/:matchId/start
+  GET    /api/v1/matches/:matchId/sla
   POST   /api/v1/matches/:matchId/complete
   POST   /api/v1/matches/:matchId/cancel
+  POST   /api/v1/matches/:matchId/fail
+  POST   /api/v1/matches/:matchId/rematch
+  POST   /api/v1/matches/:matchId/review
+  
+  POST   /api/v1/organizations
+  GET    /api/v1/organizations/:orgId
+  POST   /api/v1/organizations/:orgId/members
+  POST   /api/v1/organizations/:orgId/join
+  GET    /api/v1/organizations/:orgId/summary
+  POST   /api/v1/organizations/:orgId/keys
+  
+  POST   /api/v1/webhooks
+  GET    /api/v1/webhooks
+  PATCH  /api/v1/webhooks/:subscriptionId
+  GET    /api/v1/webhooks/:subscriptionId/deliveries
+  POST   /api/v1/webhooks/deliveries/:deliveryId/replay
 
 Health Check:
   GET    /health
@@ -153,6 +224,10 @@ Health Check:
 Ready to accept connections!
       `);
     });
+
+    HeartbeatService.startSweeper();
+    WebhookService.startWorker();
+    PreemptionService.startSweeper();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -164,6 +239,9 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  HeartbeatService.stopSweeper();
+  WebhookService.stopWorker();
+  PreemptionService.stopSweeper();
   pool.end(() => {
     console.log('Database connection closed');
     process.exit(0);
@@ -172,6 +250,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  HeartbeatService.stopSweeper();
+  WebhookService.stopWorker();
+  PreemptionService.stopSweeper();
   pool.end(() => {
     console.log('Database connection closed');
     process.exit(0);
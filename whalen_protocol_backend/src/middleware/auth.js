@@ -1,51 +1,256 @@
-import jwt from 'jsonwebtoken';
-import pool from '../config/database.js';
+import Agent from '../models/Agent.js';
+import ApiKey, { API_KEY_SCOPES, ORGANIZATION_KEY_SCOPES } from '../models/ApiKey.js';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import TokenService from '../services/TokenService.js';
+import { validate as isUuid } from 'uuid';
 import { formatError } from '../utils/helpers.js';
+import { rateLimit } from './rateLimit.js';
 
-export const authenticateAgent = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json(formatError('Missing or invalid authorization header', 401));
-    }
-    
-    const token = authHeader.substring(7);
-    
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
-      req.agentId = decoded.agentId;
-      next();
-    } catch (err) {
-      return res.status(401).json(formatError('Invalid or expired token', 401));
+/**
+ * Derive the marketplace roles an agent can act in from its type
+ */
+export const getAgentRoles = (agent) => {
+  if (agent.type === 'both') return ['requester', 'provider'];
+  return [agent.type];
+};
+
+/**
+ * Build the principal attached to req.user from an agent row.
+ * Scopes come from the API key used, or from the session a JWT belongs to.
+ * Organization keys never carry the member's platform role.
+ */
+const buildPrincipal = (agent, authMethod, credential = {}) => ({
+  id: agent.id,
+  name: agent.name,
+  type: agent.type,
+  roles: getAgentRoles(agent),
+  platformRole: authMethod === 'org_api_key' ? 'agent' : agent.role || 'agent',
+  scopes: credential.scopes || ['*'],
+  apiKeyId: credential.apiKeyId || null,
+  sessionId: credential.sessionId || null,
+  organizationId: credential.organizationId || null,
+  organizationRole: credential.organizationRole || null,
+  token: credential.token || null,
+  authMethod,
+  agent,
+});
+
+/**
+ * Check whether a principal holds a scope, either directly, via a
+ * resource wildcard such as 'matches:*', or via the global '*'
+ */
+export const hasScope = (principal, scope) => {
+  const [resource] = scope.split(':');
+  return principal.scopes.some(s => s === '*' || s === scope || s === `${resource}:*`);
+};
+
+/**
+ * Validate the label, scopes and expiry of a key about to be created by a principal.
+ * Returns { label, scopes, expiresAt } or { error, statusCode }.
+ */
+export const parseApiKeyRequest = (principal, body) => {
+  const { label, scopes, expires_at } = body;
+  const requestedScopes = scopes || ['*'];
+
+  if (!Array.isArray(requestedScopes) || requestedScopes.length === 0) {
+    return { error: 'Scopes must be a non-empty array', statusCode: 400 };
+  }
+
+  const unknownScopes = requestedScopes.filter(s => s !== '*' && !API_KEY_SCOPES.includes(s));
+  if (unknownScopes.length > 0) {
+    return { error: `Unknown scopes: ${unknownScopes.join(', ')}`, statusCode: 400 };
+  }
+
+  // A credential can never mint a key with more access than it has itself
+  const escalated = requestedScopes.filter(s => !hasScope(principal, s));
+  if (escalated.length > 0) {
+    return {
+      error: `Cannot grant scopes the current credential does not hold: ${escalated.join(', ')}`,
+      statusCode: 403,
+    };
+  }
+
+  let expiresAt = null;
+  if (expires_at) {
+    expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: 'expires_at must be a future timestamp', statusCode: 400 };
     }
-  } catch (error) {
-    return res.status(500).json(formatError('Authentication error', 500, error));
   }
+
+  return { label: label || 'default', scopes: requestedScopes, expiresAt };
+};
+
+/**
+ * Explain why an agent may not authenticate, or return null when it is active.
+ * Used by the middleware and by every login endpoint.
+ */
+export const getInactiveAgentError = (agent) => {
+  if (agent.status === 'suspended') {
+    return agent.status_reason ? `Agent is suspended: ${agent.status_reason}` : 'Agent is suspended';
+  }
+  if (agent.status === 'closed') {
+    return 'Agent account is closed';
+  }
+  return null;
+};
+
+const attachPrincipal = (req, principal) => {
+  req.user = principal;
+  req.agentId = principal.id;
+};
+
+const resolveBearer = async (authHeader) => {
+  const verified = await TokenService.verifyAccessToken(authHeader.substring(7));
+  if (!verified) {
+    return { error: 'Invalid, expired or revoked token' };
+  }
+
+  const { decoded, session } = verified;
+  const agent = await Agent.findById(decoded.agentId);
+  if (!agent) {
+    return { error: 'Agent not found' };
+  }
+
+  const inactive = getInactiveAgentError(agent);
+  if (inactive) {
+    return { error: inactive, statusCode: 403 };
+  }
+
+  return {
+    principal: buildPrincipal(agent, 'jwt', {
+      scopes: session.scopes,
+      sessionId: session.id,
+      token: decoded,
+    }),
+  };
+};
+
+// ORGANIZATION_ROLES runs from most to least privileged
+const lowerOrganizationRole = (a, b) =>
+  ORGANIZATION_ROLES[Math.max(ORGANIZATION_ROLES.indexOf(a), ORGANIZATION_ROLES.indexOf(b))];
+
+/**
+ * The scopes an organization key acts with: those it was granted that are
+ * in ORGANIZATION_KEY_SCOPES, read-only ones alone when capped at viewer
+ */
+const organizationKeyScopes = (scopes, organizationRole) => ORGANIZATION_KEY_SCOPES.filter(scope => {
+  const [resource, action] = scope.split(':');
+  const granted = scopes.some(s => s === '*' || s === scope || s === `${resource}:*`);
+  return granted && (organizationRole !== 'viewer' || action === 'read');
+});
+
+/**
+ * Organization keys act as one of the org's active member agents,
+ * named in the X-Agent-Id header. A key never acts above the org role of
+ * the member who created it: the acting member's role is capped at the
+ * creator's, a key capped at viewer is read-only, and a key stops working
+ * once its creator leaves the organization.
+ */
+const resolveOrganizationAgent = async (key, actingAgentId) => {
+  if (!actingAgentId || !isUuid(actingAgentId)) {
+    return { error: 'Organization API keys require an X-Agent-Id header naming a member agent' };
+  }
+
+  const membership = await Organization.getMembership(key.organization_id, actingAgentId);
+  if (!membership || membership.status !== 'active') {
+    return { error: 'X-Agent-Id is not an active member of the key\'s organization' };
+  }
+
+  const creatorMembership = key.created_by
+    ? await Organization.getMembership(key.organization_id, key.created_by)
+    : null;
+  if (!creatorMembership || creatorMembership.status !== 'active') {
+    return { error: 'The member who created this organization key is no longer active in the organization' };
+  }
+
+  const organizationRole = lowerOrganizationRole(membership.role, creatorMembership.role);
+
+  return {
+    agent: await Agent.findById(actingAgentId),
+    organizationRole,
+    scopes: organizationKeyScopes(key.scopes, organizationRole),
+  };
 };
 
-export const authenticateApiKey = async (req, res, next) => {
+const resolveApiKey = async (apiKey, actingAgentId = null) => {
+  const key = await ApiKey.findActiveByKey(apiKey);
+  if (!key) {
+    return { error: 'Invalid, expired or revoked API key' };
+  }
+
+  let agent;
+  let organization = {};
+  if (key.organization_id) {
+    organization = await resolveOrganizationAgent(key, actingAgentId);
+    if (organization.error) return organization;
+    agent = organization.agent;
+  } else {
+    agent = await Agent.findById(key.agent_id);
+  }
+
+  if (!agent) {
+    return { error: 'Invalid API key' };
+  }
+
+  const inactive = getInactiveAgentError(agent);
+  if (inactive) {
+    return { error: inactive, statusCode: 403 };
+  }
+
+  await ApiKey.touch(key.id);
+
+  return {
+    principal: buildPrincipal(agent, key.organization_id ? 'org_api_key' : 'api_key', {
+      scopes: organization.scopes || key.scopes,
+      apiKeyId: key.id,
+      organizationId: key.organization_id,
+      organizationRole: organization.organizationRole,
+    }),
+  };
+};
+
+/**
+ * Authenticate with either a JWT bearer token or an X-API-Key header.
+ * Loads the agent once and attaches it as req.user, then applies the
+ * agent's general 'api' rate limit.
+ */
+export const authenticate = async (req, res, next) => {
   try {
+    const authHeader = req.headers.authorization;
     const apiKey = req.headers['x-api-key'];
-    
-    if (!apiKey) {
-      return res.status(401).json(formatError('Missing API key', 401));
+
+    let resolved;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      resolved = await resolveBearer(authHeader);
+    } else if (apiKey) {
+      resolved = await resolveApiKey(apiKey, req.headers['x-agent-id']);
+    } else {
+      return res.status(401).json(
+        formatError('Missing credentials: provide a Bearer token or X-API-Key header', 401)
+      );
     }
-    
-    const result = await pool.query(
-      'SELECT id FROM agents WHERE api_key = $1',
-      [apiKey]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json(formatError('Invalid API key', 401));
+
+    if (resolved.error) {
+      const statusCode = resolved.statusCode || 401;
+      return res.status(statusCode).json(formatError(resolved.error, statusCode));
     }
-    
-    req.agentId = result.rows[0].id;
-    next();
+
+    attachPrincipal(req, resolved.principal);
+    return rateLimit('api')(req, res, next);
   } catch (error) {
-    return res.status(500).json(formatError('API key authentication error', 500, error));
+    return res.status(500).json(formatError('Authentication error', 500, error));
+  }
+};
+
+/**
+ * Require a scope on the authenticated principal. Must run after authenticate.
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.user, scope)) {
+    return res.status(403).json(formatError(`Credential is missing required scope: ${scope}`, 403));
   }
+  next();
 };
 
 export const errorHandler = (err, req, res, next) => {
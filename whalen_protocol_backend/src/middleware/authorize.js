@@ -0,0 +1,65 @@
+import { formatError } from '../utils/helpers.js';
+
+/**
+ * Authorization rules for privileged actions. Each rule takes the principal
+ * from req.user plus the records involved and returns true when allowed.
+ */
+
+export const isAdmin = (principal) => principal.platformRole === 'admin';
+
+export const isArbiter = (principal) =>
+  principal.platformRole === 'arbiter' || principal.platformRole === 'admin';
+
+const isTransactionParty = (principal, transaction) =>
+  transaction.requester_id === principal.id || transaction.provider_id === principal.id;
+
+/**
+ * Transactions are visible to their requester, their provider and staff
+ */
+export const canViewTransaction = (principal, transaction) =>
+  isTransactionParty(principal, transaction) || isArbiter(principal);
+
+/**
+ * Only a party to the transaction can open a dispute on it
+ */
+export const canOpenDispute = (principal, transaction) =>
+  isTransactionParty(principal, transaction);
+
+/**
+ * Disputes are resolved by arbiters or admins who are not a party to them
+ */
+export const canResolveDispute = (principal, transaction) =>
+  isArbiter(principal) && !isTransactionParty(principal, transaction);
+
+/**
+ * Work is approved by the requester who paid for it, or an admin
+ */
+export const canVerifyWork = (principal, transaction) =>
+  transaction.requester_id === principal.id || isAdmin(principal);
+
+/**
+ * A match can be cancelled by its requester, its provider or an admin
+ * @param {Object} principal - req.user
+ * @param {Object} match - Match row
+ * @param {Object} request - Compute request the match belongs to
+ */
+export const canCancelMatch = (principal, match, request) =>
+  match.provider_id === principal.id ||
+  request.requester_id === principal.id ||
+  isAdmin(principal);
+
+/**
+ * Send the standard 403 response
+ */
+export const forbidden = (res, message = 'Forbidden') =>
+  res.status(403).json(formatError(message, 403));
+
+/**
+ * Require one of the given platform roles. Must run after authenticate.
+ */
+export const requirePlatformRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.platformRole)) {
+    return forbidden(res, `Requires platform role: ${roles.join(' or ')}`);
+  }
+  next();
+};
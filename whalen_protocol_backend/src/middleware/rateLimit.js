@@ -0,0 +1,85 @@
+import RateLimit from '../models/RateLimit.js';
+import QuotaService, { getRateLimitTier } from '../services/QuotaService.js';
+import { isAdmin } from './authorize.js';
+import { formatError } from '../utils/helpers.js';
+
+// Roughly one request in this many also clears out expired counters
+const CLEANUP_EVERY = 1000;
+
+/**
+ * Publish the tightest limit that applied to this request. Several limiters
+ * can run on one route; the one with the fewest requests left wins.
+ */
+const setRateLimitHeaders = (res, limit) => {
+  const remaining = Math.max(0, limit.max_requests - limit.count);
+  const current = res.getHeader('RateLimit-Remaining');
+
+  if (current !== undefined && Number(current) < remaining) return;
+
+  res.set({
+    'RateLimit-Limit': String(limit.max_requests),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(limit.reset_in),
+    'RateLimit-Policy': `${limit.max_requests};w=${limit.window_seconds}`,
+  });
+};
+
+/**
+ * Limit requests per agent, or per client IP when nobody is authenticated,
+ * using the policy stored for the scope and the caller's tier. Admins are
+ * exempt. If the limiter itself fails the request is let through.
+ */
+export const rateLimit = (scope) => async (req, res, next) => {
+  if (req.user && isAdmin(req.user)) return next();
+
+  const [key, tier] = req.user
+    ? [`${scope}:agent:${req.user.id}`, getRateLimitTier(req.user)]
+    : [`${scope}:ip:${req.ip}`, 'anonymous'];
+
+  let limit;
+  try {
+    limit = await RateLimit.consume(key, scope, tier);
+
+    if (Math.random() * CLEANUP_EVERY < 1) {
+      RateLimit.deleteExpired().catch(error =>
+        console.error('Rate limit cleanup failed:', error.message)
+      );
+    }
+  } catch (error) {
+    console.error(`Rate limiter for ${scope} failed:`, error.message);
+    return next();
+  }
+
+  if (!limit) return next();
+
+  setRateLimitHeaders(res, limit);
+
+  if (limit.count > limit.max_requests) {
+    res.set('Retry-After', String(limit.reset_in));
+    return res.status(429).json(
+      formatError(`Rate limit exceeded for ${scope}. Retry in ${limit.reset_in} seconds.`, 429)
+    );
+  }
+
+  next();
+};
+
+/**
+ * Refuse the request when the agent already holds its quota of a resource.
+ * Must run after authenticate.
+ */
+export const enforceQuota = (resource) => async (req, res, next) => {
+  try {
+    const quota = await QuotaService.check(req.user, resource);
+
+    if (!quota.allowed) {
+      return res.status(429).json(
+        formatError(`Quota exceeded: ${quota.used} of ${quota.limit} ${resource.replace('_', ' ')} in use`, 429)
+      );
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json(formatError('Failed to check quota', 500, error));
+  }
+};
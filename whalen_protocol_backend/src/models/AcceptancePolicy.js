@@ -0,0 +1,89 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export class AcceptancePolicy {
+  /**
+   * Set a provider's policy for one capability, or its fleet-wide policy when
+   * capabilityId is null, replacing any there was
+   * @param {Object} policy - Validated policy fields; unset ones are cleared
+   */
+  static async upsert(providerId, capabilityId, policy) {
+    const target = capabilityId
+      ? '(capability_id) WHERE capability_id IS NOT NULL'
+      : '(provider_id) WHERE capability_id IS NULL';
+
+    const result = await pool.query(
+      `INSERT INTO acceptance_policies
+       (id, provider_id, capability_id, min_price_per_hour, min_requester_reputation, max_duration_hours,
+        allowed_requester_ids, denied_requester_ids, working_hours)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::uuid[], $8::uuid[], $9)
+       ON CONFLICT ${target} DO UPDATE
+       SET min_price_per_hour = EXCLUDED.min_price_per_hour,
+           min_requester_reputation = EXCLUDED.min_requester_reputation,
+           max_duration_hours = EXCLUDED.max_duration_hours,
+           allowed_requester_ids = EXCLUDED.allowed_requester_ids,
+           denied_requester_ids = EXCLUDED.denied_requester_ids,
+           working_hours = EXCLUDED.working_hours,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *, (xmax = 0) AS inserted`,
+      [
+        generateId(),
+        providerId,
+        capabilityId,
+        policy.min_price_per_hour ?? null,
+        policy.min_requester_reputation ?? null,
+        policy.max_duration_hours ?? null,
+        policy.allowed_requester_ids ? [...new Set(policy.allowed_requester_ids)] : null,
+        [...new Set(policy.denied_requester_ids || [])],
+        policy.working_hours ?? null,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM acceptance_policies WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A provider's policies, the fleet-wide one first
+   */
+  static async findByProviderId(providerId) {
+    const result = await pool.query(
+      `SELECT * FROM acceptance_policies
+       WHERE provider_id = $1
+       ORDER BY capability_id IS NOT NULL, created_at ASC`,
+      [providerId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * The policy that decides matches on a capability: its own, or else the
+   * provider's fleet-wide one
+   */
+  static async findApplicable(providerId, capabilityId) {
+    const result = await pool.query(
+      `SELECT * FROM acceptance_policies
+       WHERE provider_id = $1 AND (capability_id = $2 OR capability_id IS NULL)
+       ORDER BY capability_id IS NULL
+       LIMIT 1`,
+      [providerId, capabilityId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async delete(id) {
+    await pool.query('DELETE FROM acceptance_policies WHERE id = $1', [id]);
+  }
+}
+
+export default AcceptancePolicy;
@@ -1,19 +1,26 @@
 import pool from '../config/database.js';
-import { generateId, generateApiKey } from '../utils/helpers.js';
+import ApiKey from './ApiKey.js';
+import { generateId } from '../utils/helpers.js';
+
+export const PLATFORM_ROLES = ['agent', 'arbiter', 'admin'];
+
+export const AGENT_STATUSES = ['active', 'suspended', 'closed'];
 
 export class Agent {
   static async create(name, type, walletAddress = null) {
     const id = generateId();
-    const apiKey = generateApiKey();
     
     const result = await pool.query(
-      `INSERT INTO agents (id, name, type, wallet_address, api_key)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO agents (id, name, type, wallet_address)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [id, name, type, walletAddress, apiKey]
+      [id, name, type, walletAddress]
     );
     
-    return result.rows[0];
+    // Every agent starts with one full-access key
+    const apiKey = await ApiKey.create(id, 'default', ['*']);
+    
+    return { ...result.rows[0], api_key: apiKey.api_key };
   }
 
   static async findById(id) {
@@ -26,12 +33,19 @@ export class Agent {
   }
 
   static async findByApiKey(apiKey) {
+    const key = await ApiKey.findActiveByKey(apiKey);
+    if (!key) return null;
+    
+    return this.findById(key.agent_id);
+  }
+
+  static async findByWalletAddress(walletAddress) {
     const result = await pool.query(
-      'SELECT * FROM agents WHERE api_key = $1',
-      [apiKey]
+      'SELECT * FROM agents WHERE LOWER(wallet_address) = LOWER($1) ORDER BY created_at ASC',
+      [walletAddress]
     );
     
-    return result.rows[0] || null;
+    return result.rows;
   }
 
   static async findByType(type) {
@@ -61,6 +75,25 @@ export class Agent {
     return result.rows[0] || null;
   }
 
+  /**
+   * Move an agent to a lifecycle status, stamping when it was suspended or closed
+   */
+  static async setStatus(id, status, reason = null) {
+    const result = await pool.query(
+      `UPDATE agents
+       SET status = $1::varchar,
+           status_reason = $2,
+           suspended_at = CASE WHEN $1::varchar = 'suspended' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           closed_at = CASE WHEN $1::varchar = 'closed' THEN CURRENT_TIMESTAMP ELSE closed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [status, reason, id]
+    );
+    
+    return result.rows[0] || null;
+  }
+
   static async getAll(limit = 100, offset = 0) {
     const result = await pool.query(
       'SELECT * FROM agents ORDER BY created_at DESC LIMIT $1 OFFSET $2',
@@ -82,7 +115,7 @@ export class Agent {
       [id]
     );
     
-    return result.rows[0] || { total_transactions: 0, total_settled: 0, avg_reputation: 5.0 };
+    return result.rows[0] || { total_transactions: 0, total_settled: 0, avg_reputation: 4.0 };
   }
 }
 
@@ -0,0 +1,116 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+const PUBLIC_COLUMNS = `id, agent_id, api_key_id, scopes, auth_method, user_agent, ip_address,
+       expires_at, last_used_at, revoked_at, revoked_reason, created_at`;
+
+export class AgentSession {
+  static async create(agentId, refreshTokenHash, expiresAt, options = {}) {
+    const id = options.id || generateId();
+
+    const result = await pool.query(
+      `INSERT INTO agent_sessions
+       (id, agent_id, api_key_id, refresh_token_hash, scopes, auth_method, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        id,
+        agentId,
+        options.apiKeyId || null,
+        refreshTokenHash,
+        options.scopes || ['*'],
+        options.authMethod || 'api_key',
+        options.userAgent || null,
+        options.ipAddress || null,
+        expiresAt,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM agent_sessions WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findActiveByAgentId(agentId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM agent_sessions
+       WHERE agent_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [agentId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Swap in a new refresh token hash, remembering the old one to detect reuse
+   */
+  static async rotate(id, currentHash, newHash) {
+    const result = await pool.query(
+      `UPDATE agent_sessions
+       SET previous_refresh_token_hash = refresh_token_hash,
+           refresh_token_hash = $1,
+           last_used_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+       RETURNING *`,
+      [newHash, id, currentHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async revoke(id, reason = 'revoked') {
+    const result = await pool.query(
+      `UPDATE agent_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [reason, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async revokeAllForAgent(agentId, reason = 'revoked') {
+    const result = await pool.query(
+      `UPDATE agent_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE agent_id = $2 AND revoked_at IS NULL`,
+      [reason, agentId]
+    );
+
+    return result.rowCount;
+  }
+
+  static async revokeToken(jti, agentId, expiresAt) {
+    // Entries past their expiry are useless; prune them while we're here
+    await pool.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+
+    await pool.query(
+      `INSERT INTO revoked_tokens (jti, agent_id, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (jti) DO NOTHING`,
+      [jti, agentId, expiresAt]
+    );
+  }
+
+  static async isTokenRevoked(jti) {
+    const result = await pool.query(
+      'SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1)',
+      [jti]
+    );
+
+    return result.rows[0].exists;
+  }
+}
+
+export default AgentSession;
@@ -0,0 +1,212 @@
+import pool from '../config/database.js';
+import {
+  generateId,
+  generateApiKey,
+  getApiKeyPrefix,
+  hashApiKey,
+  compareApiKey,
+} from '../utils/helpers.js';
+
+// Scopes that can be granted to an API key. '*' grants all of them.
+export const API_KEY_SCOPES = [
+  'agents:read',
+  'agents:write',
+  'keys:read',
+  'keys:write',
+  'sessions:read',
+  'sessions:write',
+  'capabilities:read',
+  'capabilities:write',
+  'requests:read',
+  'requests:write',
+  'matches:read',
+  'matches:write',
+  'matches:accept',
+  'payments:read',
+  'payments:write',
+  'verifications:read',
+  'verifications:write',
+  'organizations:read',
+  'organizations:write',
+  'webhooks:read',
+  'webhooks:write',
+];
+
+// The only scopes an organization key ever acts with, whatever it was granted:
+// marketplace work and reading the organization. Account-level scopes (the
+// member's profile, keys, sessions and webhooks) stay with the member's own
+// credentials.
+export const ORGANIZATION_KEY_SCOPES = [
+  'capabilities:read',
+  'capabilities:write',
+  'requests:read',
+  'requests:write',
+  'matches:read',
+  'matches:write',
+  'matches:accept',
+  'payments:read',
+  'payments:write',
+  'verifications:read',
+  'verifications:write',
+  'organizations:read',
+];
+
+const PUBLIC_COLUMNS = `id, agent_id, organization_id, created_by, label, key_prefix, scopes,
+       expires_at, last_used_at, revoked_at, created_at`;
+
+// Follows an UPDATE ... RETURNING in a CTE named revoked, ending the sessions
+// minted from the keys it revoked
+const REVOKE_KEY_SESSIONS = `sessions AS (
+         UPDATE agent_sessions
+         SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'api_key_revoked', updated_at = CURRENT_TIMESTAMP
+         WHERE api_key_id IN (SELECT id FROM revoked) AND revoked_at IS NULL
+       )`;
+
+// Compared against when no key matches a prefix, so misses take as long as hits
+const DUMMY_HASH = '$2b$10$ij5.4hITx3tRSKE1uVVISuHQuVrkcT3TkOM3TquKg1NiyLsWXDFwG';
+
+export class ApiKey {
+  /**
+   * Create a key. The plaintext key is only returned here and never stored.
+   */
+  static async create(agentId, label = 'default', scopes = ['*'], expiresAt = null) {
+    return this.insert({ agentId, label, scopes, expiresAt });
+  }
+
+  /**
+   * Create an org-wide key. It acts as whichever active member agent the
+   * caller names in the X-Agent-Id header, within its creator's org role.
+   */
+  static async createForOrganization(organizationId, createdBy, label = 'default', scopes = ['*'], expiresAt = null) {
+    return this.insert({ organizationId, createdBy, label, scopes, expiresAt });
+  }
+
+  static async insert({ agentId = null, organizationId = null, createdBy = null, label, scopes, expiresAt }) {
+    const id = generateId();
+    const apiKey = generateApiKey();
+    const keyHash = await hashApiKey(apiKey);
+
+    const result = await pool.query(
+      `INSERT INTO api_keys
+       (id, agent_id, organization_id, created_by, label, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id, agentId, organizationId, createdBy, label, getApiKeyPrefix(apiKey), keyHash, scopes, expiresAt]
+    );
+
+    return { ...result.rows[0], api_key: apiKey };
+  }
+
+  /**
+   * Find the active key matching a presented plaintext key
+   */
+  static async findActiveByKey(apiKey) {
+    const result = await pool.query(
+      `SELECT * FROM api_keys
+       WHERE key_prefix = $1
+         AND key_hash IS NOT NULL
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [getApiKeyPrefix(apiKey)]
+    );
+
+    if (result.rows.length === 0) {
+      await compareApiKey(apiKey, DUMMY_HASH);
+      return null;
+    }
+
+    for (const row of result.rows) {
+      if (await compareApiKey(apiKey, row.key_hash)) {
+        return row;
+      }
+    }
+
+    return null;
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByAgentId(agentId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM api_keys
+       WHERE agent_id = $1
+       ORDER BY created_at DESC`,
+      [agentId]
+    );
+
+    return result.rows;
+  }
+
+  static async findByOrganizationId(organizationId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM api_keys
+       WHERE organization_id = $1
+       ORDER BY created_at DESC`,
+      [organizationId]
+    );
+
+    return result.rows;
+  }
+
+  static async touch(id) {
+    await pool.query(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+  }
+
+  /**
+   * Revoke one of an agent's keys and end the sessions minted from it
+   */
+  static async revoke(id, agentId) {
+    const result = await pool.query(
+      `WITH revoked AS (
+         UPDATE api_keys
+         SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL
+         RETURNING ${PUBLIC_COLUMNS}
+       ), ${REVOKE_KEY_SESSIONS}
+       SELECT * FROM revoked`,
+      [id, agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async revokeAllForAgent(agentId) {
+    const result = await pool.query(
+      `UPDATE api_keys
+       SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE agent_id = $1 AND revoked_at IS NULL`,
+      [agentId]
+    );
+
+    return result.rowCount;
+  }
+
+  static async revokeForOrganization(id, organizationId) {
+    const result = await pool.query(
+      `WITH revoked AS (
+         UPDATE api_keys
+         SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL
+         RETURNING ${PUBLIC_COLUMNS}
+       ), ${REVOKE_KEY_SESSIONS}
+       SELECT * FROM revoked`,
+      [id, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default ApiKey;
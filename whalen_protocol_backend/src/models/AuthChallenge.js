@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+
+const CHALLENGE_TTL_MINUTES = 5;
+
+export class AuthChallenge {
+  static async create(walletAddress) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+    const message = [
+      'Sign in to Whalen Protocol',
+      `Wallet: ${walletAddress}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expires At: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    // Expired challenges can never be used; prune them while we're here
+    await pool.query('DELETE FROM auth_challenges WHERE expires_at < NOW()');
+
+    const result = await pool.query(
+      `INSERT INTO auth_challenges (nonce, wallet_address, message, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [nonce, walletAddress, message, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Find a challenge that can still be used, without using it
+   */
+  static async findActive(nonce, walletAddress) {
+    const result = await pool.query(
+      `SELECT * FROM auth_challenges
+       WHERE nonce = $1
+         AND wallet_address = $2
+         AND used_at IS NULL
+         AND expires_at > NOW()`,
+      [nonce, walletAddress]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a challenge used and return it. Returns null if it is unknown,
+   * belongs to another wallet, has expired or was already used.
+   */
+  static async consume(nonce, walletAddress) {
+    const result = await pool.query(
+      `UPDATE auth_challenges
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE nonce = $1
+         AND wallet_address = $2
+         AND used_at IS NULL
+         AND expires_at > NOW()
+       RETURNING *`,
+      [nonce, walletAddress]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default AuthChallenge;
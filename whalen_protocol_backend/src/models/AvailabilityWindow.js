@@ -0,0 +1,83 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export class AvailabilityWindow {
+  /**
+   * Publish a window, merging it with any windows it overlaps or touches so a
+   * capability's calendar is always a set of disjoint periods
+   */
+  static async add(capabilityId, startsAt, endsAt) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize calendar changes per capability
+      await client.query(
+        'SELECT id FROM provider_capabilities WHERE id = $1 FOR UPDATE',
+        [capabilityId]
+      );
+
+      const merged = await client.query(
+        `DELETE FROM availability_windows
+         WHERE capability_id = $1 AND starts_at <= $3 AND ends_at >= $2
+         RETURNING starts_at, ends_at`,
+        [capabilityId, startsAt, endsAt]
+      );
+
+      const bounds = merged.rows.reduce(
+        (acc, w) => ({
+          startsAt: w.starts_at < acc.startsAt ? w.starts_at : acc.startsAt,
+          endsAt: w.ends_at > acc.endsAt ? w.ends_at : acc.endsAt,
+        }),
+        { startsAt: new Date(startsAt), endsAt: new Date(endsAt) }
+      );
+
+      const result = await client.query(
+        `INSERT INTO availability_windows (id, capability_id, starts_at, ends_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [generateId(), capabilityId, bounds.startsAt, bounds.endsAt]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM availability_windows WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Windows that overlap [from, to), either bound optional
+   */
+  static async findByCapabilityId(capabilityId, from = null, to = null) {
+    const result = await pool.query(
+      `SELECT * FROM availability_windows
+       WHERE capability_id = $1
+         AND ($2::timestamptz IS NULL OR ends_at > $2)
+         AND ($3::timestamptz IS NULL OR starts_at < $3)
+       ORDER BY starts_at ASC`,
+      [capabilityId, from, to]
+    );
+
+    return result.rows;
+  }
+
+  static async delete(id) {
+    await pool.query('DELETE FROM availability_windows WHERE id = $1', [id]);
+  }
+}
+
+export default AvailabilityWindow;
@@ -0,0 +1,88 @@
+import pool from '../config/database.js';
+
+export const PRICE_SERIES_INTERVALS = ['hour', 'day', 'week'];
+
+// Most points one price series may return
+export const MAX_PRICE_SERIES_POINTS = 500;
+
+export class CapabilityHistory {
+  /**
+   * Get a capability's snapshots, newest first
+   * @param {string} capabilityId - Capability ID, which may since have been deleted
+   * @param {Object} options - from/to bound changed_at; limit and offset page
+   */
+  static async findByCapabilityId(capabilityId, { from = null, to = null, limit = 100, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM capability_history
+       WHERE capability_id = $1
+         AND ($2::timestamptz IS NULL OR changed_at >= $2)
+         AND ($3::timestamptz IS NULL OR changed_at < $3)
+       ORDER BY changed_at DESC
+       LIMIT $4 OFFSET $5`,
+      [capabilityId, from, to, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get the snapshot in effect at a moment: the latest one at or before it
+   */
+  static async findAt(capabilityId, at) {
+    const result = await pool.query(
+      `SELECT * FROM capability_history
+       WHERE capability_id = $1 AND changed_at <= $2
+       ORDER BY changed_at DESC
+       LIMIT 1`,
+      [capabilityId, at]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Market prices for a GPU type at `to` and every interval before it back
+   * to `from`. Each point looks at the listings as they stood at that moment:
+   * the latest snapshot of each capability, skipping deleted and offline ones,
+   * those of other GPU types and those not offering the capacity class.
+   * @param {string} gpuTypeId - Catalog GPU type
+   * @param {Object} options - from, to, interval (one of PRICE_SERIES_INTERVALS), capacityClass
+   * @returns {Array} { at, listings, gpu_count, min/avg/median/max_price_per_hour }
+   */
+  static async getPriceSeries(gpuTypeId, { from, to, interval = 'day', capacityClass = 'on_demand' }) {
+    const result = await pool.query(
+      `SELECT p.at,
+              COUNT(l.price)::int AS listings,
+              COALESCE(SUM(l.gpu_count) FILTER (WHERE l.price IS NOT NULL), 0)::int AS gpu_count,
+              MIN(l.price) AS min_price_per_hour,
+              ROUND(AVG(l.price), 8) AS avg_price_per_hour,
+              ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY l.price))::numeric, 8) AS median_price_per_hour,
+              MAX(l.price) AS max_price_per_hour
+       FROM generate_series($4::timestamptz, $3::timestamptz, -('1 ' || $5)::interval) AS p(at)
+       LEFT JOIN LATERAL (
+         SELECT CASE $2
+                  WHEN 'spot' THEN s.spot_price_per_hour
+                  WHEN 'reserved' THEN s.reserved_price_per_hour
+                  ELSE s.price_per_hour
+                END AS price,
+                s.gpu_count
+         FROM (
+           SELECT DISTINCT ON (h.capability_id) h.*
+           FROM capability_history h
+           WHERE h.changed_at <= p.at
+           ORDER BY h.capability_id, h.changed_at DESC
+         ) s
+         WHERE s.change_type <> 'deleted'
+           AND s.availability_status <> 'offline'
+           AND s.gpu_type_id = $1
+       ) l ON TRUE
+       GROUP BY p.at
+       ORDER BY p.at`,
+      [gpuTypeId, capacityClass, from, to, interval]
+    );
+
+    return result.rows;
+  }
+}
+
+export default CapabilityHistory;
@@ -2,15 +2,22 @@ import pool from '../config/database.js';
 import { generateId } from '../utils/helpers.js';
 
 export class ComputeRequest {
-  static async create(requesterId, gpuCount, gpuType, durationHours, maxPricePerHour, cpuCores = null, memoryGb = null, description = null) {
+  static async create(requesterId, gpuCount, gpuTypeId, durationHours, maxPricePerHour, cpuCores = null, memoryGb = null, description = null, gpuMatch = 'exact', startsAt = null, capacityClasses = ['on_demand'], {
+    softwareRequirements = null,
+    softwarePreferences = null,
+    infrastructureRequirements = null,
+    infrastructurePreferences = null,
+  } = {}) {
     const id = generateId();
     
     const result = await pool.query(
       `INSERT INTO compute_requests 
-       (id, requester_id, gpu_count, gpu_type, cpu_cores, memory_gb, duration_hours, max_price_per_hour, description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       (id, requester_id, gpu_count, gpu_type, gpu_type_id, gpu_match, cpu_cores, memory_gb, duration_hours, max_price_per_hour, description, starts_at, capacity_classes,
+        software_requirements, software_preferences, infrastructure_requirements, infrastructure_preferences)
+       VALUES ($1, $2, $3, $4, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
        RETURNING *`,
-      [id, requesterId, gpuCount, gpuType, cpuCores, memoryGb, durationHours, maxPricePerHour, description]
+      [id, requesterId, gpuCount, gpuTypeId, gpuMatch, cpuCores, memoryGb, durationHours, maxPricePerHour, description, startsAt, capacityClasses,
+        softwareRequirements, softwarePreferences, infrastructureRequirements, infrastructurePreferences]
     );
     
     return result.rows[0];
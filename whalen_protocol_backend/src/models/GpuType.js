@@ -0,0 +1,109 @@
+import pool from '../config/database.js';
+
+export const GPU_MATCH_MODES = ['exact', 'at_least'];
+
+export const unknownGpuTypeMessage = (name) =>
+  `Unknown GPU type '${name}'. See GET /api/v1/discovery/gpu-types for supported types`;
+
+export class GpuType {
+  static async findAll() {
+    const result = await pool.query(
+      'SELECT * FROM gpu_types ORDER BY vendor, fp16_tflops, vram_gb'
+    );
+
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM gpu_types WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the catalog entry for any spelling of a GPU: its id, its name or one of its aliases
+   */
+  static async resolve(name) {
+    const result = await pool.query(
+      `SELECT g.* FROM gpu_types g
+       WHERE normalize_gpu_type($1) IN (
+         SELECT normalize_gpu_type(n) FROM unnest(g.aliases || ARRAY[g.id, g.name]) AS n
+       )
+       LIMIT 1`,
+      [name]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * GPU types with at least the memory and FP16 throughput of the given one, itself included
+   */
+  static async findAtLeast(id) {
+    const result = await pool.query(
+      `SELECT g.* FROM gpu_types g, gpu_types base
+       WHERE base.id = $1
+         AND g.vram_gb >= base.vram_gb
+         AND g.fp16_tflops >= base.fp16_tflops
+       ORDER BY g.fp16_tflops, g.vram_gb`,
+      [id]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Add a catalog entry and link the capabilities and requests whose GPU type
+   * was not in the catalog until now but is a spelling of the new entry, as
+   * schema.sql does for the seeded ones
+   * @returns {Object} The entry, with how many capabilities and requests it linked
+   */
+  static async create({ id, name, vendor, architecture, vramGb, fp16Tflops, fp32Tflops, interconnect = null, aliases = [] }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO gpu_types
+         (id, name, vendor, architecture, vram_gb, fp16_tflops, fp32_tflops, interconnect, aliases)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [id, name, vendor, architecture, vramGb, fp16Tflops, fp32Tflops, interconnect, aliases]
+      );
+
+      const linked = {};
+      for (const table of ['provider_capabilities', 'compute_requests']) {
+        const update = await client.query(
+          `UPDATE ${table} SET gpu_type_id = g.id
+           FROM gpu_types g
+           WHERE g.id = $1
+             AND ${table}.gpu_type_id IS NULL
+             AND normalize_gpu_type(${table}.gpu_type) IN (
+               SELECT normalize_gpu_type(n) FROM unnest(g.aliases || ARRAY[g.id, g.name]) AS n
+             )`,
+          [id]
+        );
+        linked[table] = update.rowCount;
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        ...result.rows[0],
+        linked_capabilities: linked.provider_capabilities,
+        linked_requests: linked.compute_requests,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default GpuType;
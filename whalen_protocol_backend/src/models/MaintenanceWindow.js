@@ -0,0 +1,88 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export class MaintenanceWindow {
+  /**
+   * Schedule downtime for one capability, or for the whole fleet when
+   * capabilityId is null
+   */
+  static async create(providerId, capabilityId, startsAt, endsAt, reason = null) {
+    const result = await pool.query(
+      `INSERT INTO maintenance_windows (id, provider_id, capability_id, starts_at, ends_at, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [generateId(), providerId, capabilityId, startsAt, endsAt, reason]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM maintenance_windows WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A provider's windows that have not ended by `from`
+   */
+  static async findByProviderId(providerId, from = new Date()) {
+    const result = await pool.query(
+      `SELECT * FROM maintenance_windows
+       WHERE provider_id = $1 AND ends_at > $2
+       ORDER BY starts_at ASC`,
+      [providerId, from]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Windows that take a capability down at some point in [startsAt, endsAt),
+   * including its provider's fleet-wide ones
+   */
+  static async findOverlapping(capabilityId, startsAt, endsAt) {
+    const result = await pool.query(
+      `SELECT mw.* FROM maintenance_windows mw
+       JOIN provider_capabilities pc ON pc.id = $1
+       WHERE (mw.capability_id = pc.id OR (mw.capability_id IS NULL AND mw.provider_id = pc.provider_id))
+         AND mw.starts_at < $3 AND mw.ends_at > $2
+       ORDER BY mw.starts_at ASC`,
+      [capabilityId, startsAt, endsAt]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Accepted and running matches whose reservations overlap a window, with
+   * the requester to tell
+   */
+  static async findConflictingMatches(window) {
+    const result = await pool.query(
+      `SELECT m.*, cr.requester_id, r.starts_at AS reserved_from, r.ends_at AS reserved_until
+       FROM reservations r
+       JOIN provider_capabilities pc ON pc.id = r.capability_id
+       JOIN matches m ON m.id = r.match_id
+       JOIN compute_requests cr ON cr.id = m.request_id
+       WHERE r.status = 'active'
+         AND m.status IN ('accepted', 'in_progress')
+         AND pc.provider_id = $1
+         AND ($2::uuid IS NULL OR r.capability_id = $2)
+         AND r.starts_at < $4 AND r.ends_at > $3
+       ORDER BY r.starts_at ASC`,
+      [window.provider_id, window.capability_id, window.starts_at, window.ends_at]
+    );
+
+    return result.rows;
+  }
+
+  static async delete(id) {
+    await pool.query('DELETE FROM maintenance_windows WHERE id = $1', [id]);
+  }
+}
+
+export default MaintenanceWindow;
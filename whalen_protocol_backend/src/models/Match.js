@@ -2,15 +2,15 @@ import pool from '../config/database.js';
 import { generateId } from '../utils/helpers.js';
 
 export class Match {
-  static async create(requestId, providerId, capabilityId, agreedPricePerHour) {
+  static async create(requestId, providerId, capabilityId, agreedPricePerHour, priceBreakdown = null, capacityClass = 'on_demand', rematchedFrom = null) {
     const id = generateId();
     
     const result = await pool.query(
       `INSERT INTO matches 
-       (id, request_id, provider_id, capability_id, agreed_price_per_hour)
-       VALUES ($1, $2, $3, $4, $5)
+       (id, request_id, provider_id, capability_id, agreed_price_per_hour, price_breakdown, capacity_class, rematched_from)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [id, requestId, providerId, capabilityId, agreedPricePerHour]
+      [id, requestId, providerId, capabilityId, agreedPricePerHour, priceBreakdown, capacityClass, rematchedFrom]
     );
     
     return result.rows[0];
@@ -0,0 +1,170 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export const ORGANIZATION_ROLES = ['owner', 'operator', 'viewer'];
+
+export class Organization {
+  /**
+   * Create an organization with its creator as the first, active owner
+   */
+  static async create(name, ownerId) {
+    const client = await pool.connect();
+    const id = generateId();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO organizations (id, name, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [id, name, ownerId]
+      );
+
+      await client.query(
+        `INSERT INTO organization_members (organization_id, agent_id, role, status, invited_by)
+         VALUES ($1, $2, 'owner', 'active', $2)`,
+        [id, ownerId]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM organizations WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByAgentId(agentId) {
+    const result = await pool.query(
+      `SELECT o.*, om.role, om.status
+       FROM organizations o
+       JOIN organization_members om ON om.organization_id = o.id
+       WHERE om.agent_id = $1
+       ORDER BY o.created_at DESC`,
+      [agentId]
+    );
+
+    return result.rows;
+  }
+
+  static async update(id, updates) {
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+
+    if (fields.length === 0) return this.findById(id);
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE organizations SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...values, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async getMembers(organizationId) {
+    const result = await pool.query(
+      `SELECT om.*, a.name as agent_name, a.type as agent_type, a.reputation_score
+       FROM organization_members om
+       JOIN agents a ON om.agent_id = a.id
+       WHERE om.organization_id = $1
+       ORDER BY om.created_at ASC`,
+      [organizationId]
+    );
+
+    return result.rows;
+  }
+
+  static async getActiveMemberIds(organizationId) {
+    const result = await pool.query(
+      `SELECT agent_id FROM organization_members
+       WHERE organization_id = $1 AND status = 'active'`,
+      [organizationId]
+    );
+
+    return result.rows.map(r => r.agent_id);
+  }
+
+  static async getMembership(organizationId, agentId) {
+    const result = await pool.query(
+      `SELECT * FROM organization_members
+       WHERE organization_id = $1 AND agent_id = $2`,
+      [organizationId, agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async inviteMember(organizationId, agentId, role, invitedBy) {
+    const result = await pool.query(
+      `INSERT INTO organization_members (organization_id, agent_id, role, status, invited_by)
+       VALUES ($1, $2, $3, 'invited', $4)
+       RETURNING *`,
+      [organizationId, agentId, role, invitedBy]
+    );
+
+    return result.rows[0];
+  }
+
+  static async acceptInvitation(organizationId, agentId) {
+    const result = await pool.query(
+      `UPDATE organization_members
+       SET status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE organization_id = $1 AND agent_id = $2 AND status = 'invited'
+       RETURNING *`,
+      [organizationId, agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async updateMemberRole(organizationId, agentId, role) {
+    const result = await pool.query(
+      `UPDATE organization_members
+       SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE organization_id = $2 AND agent_id = $3
+       RETURNING *`,
+      [role, organizationId, agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async removeMember(organizationId, agentId) {
+    const result = await pool.query(
+      `DELETE FROM organization_members
+       WHERE organization_id = $1 AND agent_id = $2
+       RETURNING *`,
+      [organizationId, agentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async countOwners(organizationId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) as owners FROM organization_members
+       WHERE organization_id = $1 AND role = 'owner' AND status = 'active'`,
+      [organizationId]
+    );
+
+    return parseInt(result.rows[0].owners);
+  }
+}
+
+export default Organization;
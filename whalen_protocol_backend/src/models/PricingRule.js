@@ -0,0 +1,75 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export const PRICING_RULE_TYPES = ['time_of_day', 'utilization', 'duration'];
+
+export class PricingRule {
+  static async create(capabilityId, rule) {
+    const result = await pool.query(
+      `INSERT INTO pricing_rules
+       (id, capability_id, rule_type, name, multiplier, weekdays, start_hour, end_hour,
+        utilization_threshold, min_duration_hours)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        generateId(),
+        capabilityId,
+        rule.rule_type,
+        rule.name || null,
+        rule.multiplier,
+        rule.weekdays || null,
+        rule.start_hour ?? null,
+        rule.end_hour ?? null,
+        rule.utilization_threshold ?? null,
+        rule.min_duration_hours ?? null,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM pricing_rules WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByCapabilityId(capabilityId) {
+    const result = await pool.query(
+      `SELECT * FROM pricing_rules
+       WHERE capability_id = $1
+       ORDER BY rule_type, created_at`,
+      [capabilityId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Rules for many capabilities at once, keyed by capability ID
+   */
+  static async findByCapabilityIds(capabilityIds) {
+    const result = await pool.query(
+      `SELECT * FROM pricing_rules
+       WHERE capability_id = ANY($1::uuid[])
+       ORDER BY created_at`,
+      [capabilityIds]
+    );
+
+    const byCapability = {};
+    for (const rule of result.rows) {
+      (byCapability[rule.capability_id] ||= []).push(rule);
+    }
+
+    return byCapability;
+  }
+
+  static async delete(id) {
+    await pool.query('DELETE FROM pricing_rules WHERE id = $1', [id]);
+  }
+}
+
+export default PricingRule;
@@ -1,16 +1,41 @@
 import pool from '../config/database.js';
 import { generateId } from '../utils/helpers.js';
+import { checkSoftware } from '../utils/software.js';
+
+// On-demand is always offered; spot and reserved when the capability prices them
+export const CAPACITY_CLASSES = ['on_demand', 'spot', 'reserved'];
+
+export const validateCapacityClasses = (classes) => {
+  if (!Array.isArray(classes) || classes.length === 0 || classes.some(c => !CAPACITY_CLASSES.includes(c))) {
+    return `capacity_classes must be a non-empty list of: ${CAPACITY_CLASSES.join(', ')}`;
+  }
+
+  return null;
+};
 
 export class ProviderCapability {
-  static async create(providerId, gpuCount, gpuType, cpuCores, memoryGb, pricePerHour, region = 'us-east-1') {
+  static async create(providerId, gpuCount, gpuTypeId, cpuCores, memoryGb, pricePerHour, region = 'us-east-1', {
+    spotPricePerHour = null,
+    reservedPricePerHour = null,
+    externalNodeId = null,
+    software = null,
+    interconnects = [],
+    egressBandwidthGbps = null,
+    localNvmeGb = null,
+    publicIp = false,
+    slaTerms = null,
+  } = {}) {
     const id = generateId();
     
     const result = await pool.query(
       `INSERT INTO provider_capabilities 
-       (id, provider_id, gpu_count, gpu_type, cpu_cores, memory_gb, price_per_hour, region)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       (id, provider_id, gpu_count, gpu_type, gpu_type_id, cpu_cores, memory_gb, price_per_hour, region,
+        spot_price_per_hour, reserved_price_per_hour, external_node_id, software,
+        interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip, sla_terms, updated_by)
+       VALUES ($1, $2, $3, $4, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $2)
        RETURNING *`,
-      [id, providerId, gpuCount, gpuType, cpuCores, memoryGb, pricePerHour, region]
+      [id, providerId, gpuCount, gpuTypeId, cpuCores, memoryGb, pricePerHour, region, spotPricePerHour, reservedPricePerHour, externalNodeId, software,
+        interconnects, egressBandwidthGbps, localNvmeGb, publicIp, slaTerms]
     );
     
     return result.rows[0];
@@ -34,32 +59,259 @@ export class ProviderCapability {
     return result.rows;
   }
 
-  static async search(gpuCount, gpuType, maxPrice, region = null) {
+  /**
+   * Find a provider's capabilities by external node ID, with the most
+   * capacity their active reservations hold from now on. A capability without
+   * a node ID is found by its own ID, as it is exported.
+   */
+  static async findByExternalNodeIds(providerId, externalNodeIds) {
+    const result = await pool.query(
+      `SELECT pc.*, rc.gpu_count AS reserved_gpu_count, rc.cpu_cores AS reserved_cpu_cores,
+              rc.memory_gb AS reserved_memory_gb
+       FROM provider_capabilities pc
+       CROSS JOIN LATERAL reserved_capacity(pc.id, CURRENT_TIMESTAMP, 'infinity') rc
+       WHERE pc.provider_id = $1
+         AND (pc.external_node_id = ANY($2::varchar[])
+              OR (pc.external_node_id IS NULL AND pc.id::text = ANY($2::varchar[])))`,
+      [providerId, externalNodeIds]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create or update capabilities by external node ID, all or nothing.
+   * A capability without a node ID that a row names by its own ID takes that
+   * as its node ID and is updated. Each row describes the whole node, so
+   * optional prices and attributes it leaves out are cleared. An explicit
+   * availability_status overrides the heartbeat sweeper the same way a PATCH
+   * does.
+   * @param {string} providerId - Provider agent ID
+   * @param {Array} rows - Validated fleet rows with a resolved gpu_type_id
+   * @returns {Array} Capabilities, each with inserted set when it is new
+   */
+  static async upsertMany(providerId, rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE provider_capabilities SET external_node_id = id::text
+         WHERE provider_id = $1 AND external_node_id IS NULL AND id::text = ANY($2::varchar[])`,
+        [providerId, rows.map(row => row.external_node_id)]
+      );
+
+      const capabilities = [];
+      for (const row of rows) {
+        const result = await client.query(
+          `INSERT INTO provider_capabilities
+           (id, provider_id, external_node_id, gpu_count, gpu_type, gpu_type_id, cpu_cores, memory_gb,
+            price_per_hour, spot_price_per_hour, reserved_price_per_hour, region, availability_status, software,
+            interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip, sla_terms, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11, COALESCE($12::varchar, 'available'), $13,
+                   $14, $15, $16, $17, $18, $2)
+           ON CONFLICT (provider_id, external_node_id) WHERE external_node_id IS NOT NULL DO UPDATE
+           SET gpu_count = EXCLUDED.gpu_count,
+               gpu_type = EXCLUDED.gpu_type,
+               gpu_type_id = EXCLUDED.gpu_type_id,
+               cpu_cores = EXCLUDED.cpu_cores,
+               memory_gb = EXCLUDED.memory_gb,
+               price_per_hour = EXCLUDED.price_per_hour,
+               spot_price_per_hour = EXCLUDED.spot_price_per_hour,
+               reserved_price_per_hour = EXCLUDED.reserved_price_per_hour,
+               region = EXCLUDED.region,
+               software = EXCLUDED.software,
+               interconnects = EXCLUDED.interconnects,
+               egress_bandwidth_gbps = EXCLUDED.egress_bandwidth_gbps,
+               local_nvme_gb = EXCLUDED.local_nvme_gb,
+               public_ip = EXCLUDED.public_ip,
+               sla_terms = EXCLUDED.sla_terms,
+               availability_status = COALESCE($12::varchar, provider_capabilities.availability_status),
+               auto_offline = provider_capabilities.auto_offline AND $12::varchar IS NULL,
+               updated_by = EXCLUDED.updated_by,
+               updated_at = CURRENT_TIMESTAMP
+           RETURNING *, (xmax = 0) AS inserted`,
+          [
+            generateId(),
+            providerId,
+            row.external_node_id,
+            row.gpu_count,
+            row.gpu_type_id,
+            row.cpu_cores,
+            row.memory_gb,
+            row.price_per_hour,
+            row.spot_price_per_hour ?? null,
+            row.reserved_price_per_hour ?? null,
+            row.region || 'us-east-1',
+            row.availability_status || null,
+            row.software ?? null,
+            [...new Set(row.interconnects || [])],
+            row.egress_bandwidth_gbps ?? null,
+            row.local_nvme_gb ?? null,
+            row.public_ip ?? false,
+            row.sla_terms ?? null,
+          ]
+        );
+        capabilities.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      return capabilities;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find available supply for a catalog GPU type, one row per capability and
+   * capacity class offered. With gpuMatch 'at_least' any type with at least
+   * its memory and FP16 throughput qualifies.
+   * Capacity held by active reservations is subtracted over the period (or at
+   * the current instant without one), and results carry what remains free.
+   * Spot rows count every reservation; on-demand and reserved rows treat spot
+   * reservations as free, since those can be preempted.
+   * Given a period, only capabilities with a window covering all of it, or no
+   * calendar at all, are returned. Capabilities down for maintenance at any
+   * point of the period (or now, without one) are left out. Capabilities with
+   * pricing rules are kept whatever their base price;
+   * PricingService.priceResults applies the budget.
+   * With software requirements, only capabilities whose declared environment
+   * meets every one of them are returned, and infrastructure requirements
+   * filter on interconnects, egress bandwidth, NVMe space and public IP.
+   */
+  static async search(gpuCount, gpuTypeId, maxPrice, {
+    region = null,
+    gpuMatch = 'exact',
+    cpuCores = null,
+    memoryGb = null,
+    startsAt = null,
+    endsAt = null,
+    capacityClasses = ['on_demand'],
+    software = null,
+    infrastructure = null,
+    excludeProviderIds = [],
+  } = {}) {
+    const now = new Date();
+
     let query = `
-      SELECT pc.*, a.reputation_score, a.uptime_percentage
-      FROM provider_capabilities pc
-      JOIN agents a ON pc.provider_id = a.id
-      WHERE pc.gpu_count >= $1 
-        AND pc.gpu_type = $2 
-        AND pc.price_per_hour <= $3
-        AND pc.availability_status = 'available'
+      SELECT * FROM (
+        SELECT pc.*, a.reputation_score, a.uptime_percentage,
+               g.name AS gpu_name, g.architecture AS gpu_architecture, g.vram_gb AS gpu_vram_gb,
+               g.fp16_tflops AS gpu_fp16_tflops, g.fp32_tflops AS gpu_fp32_tflops,
+               g.interconnect AS gpu_interconnect,
+               cls.capacity_class,
+               CASE cls.capacity_class
+                 WHEN 'spot' THEN pc.spot_price_per_hour
+                 WHEN 'reserved' THEN pc.reserved_price_per_hour
+                 ELSE pc.price_per_hour
+               END AS class_price_per_hour,
+               pc.gpu_count - used.gpu_count AS free_gpu_count,
+               pc.cpu_cores - used.cpu_cores AS free_cpu_cores,
+               pc.memory_gb - used.memory_gb AS free_memory_gb
+        FROM provider_capabilities pc
+        JOIN agents a ON pc.provider_id = a.id
+        JOIN gpu_types g ON pc.gpu_type_id = g.id
+        JOIN gpu_types wanted ON wanted.id = $2
+        CROSS JOIN unnest($9::varchar[]) AS cls(capacity_class)
+        CROSS JOIN LATERAL reserved_capacity(pc.id, $5, $6, cls.capacity_class = 'spot') used
+        WHERE (
+            g.id = wanted.id
+            OR ($4 = 'at_least' AND g.vram_gb >= wanted.vram_gb AND g.fp16_tflops >= wanted.fp16_tflops)
+          )
+          AND pc.availability_status = 'available'
+          AND a.status = 'active'
+      ) pc
+      WHERE pc.class_price_per_hour IS NOT NULL
+        AND pc.free_gpu_count >= $1
+        AND pc.free_cpu_cores >= COALESCE($7, CEIL(pc.cpu_cores * $1::numeric / pc.gpu_count))
+        AND pc.free_memory_gb >= COALESCE($8, CEIL(pc.memory_gb * $1::numeric / pc.gpu_count))
+        AND (
+          pc.class_price_per_hour <= $3
+          OR EXISTS (SELECT 1 FROM pricing_rules pr WHERE pr.capability_id = pc.id)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM maintenance_windows mw
+          WHERE (mw.capability_id = pc.id OR (mw.capability_id IS NULL AND mw.provider_id = pc.provider_id))
+            AND (mw.starts_at < $6 OR mw.starts_at <= $5) AND mw.ends_at > $5
+        )
     `;
     
-    const params = [gpuCount, gpuType, maxPrice];
+    const params = [
+      gpuCount,
+      gpuTypeId,
+      maxPrice,
+      gpuMatch,
+      startsAt || now,
+      endsAt || now,
+      cpuCores,
+      memoryGb,
+      capacityClasses,
+    ];
     
     if (region) {
-      query += ` AND pc.region = $4`;
       params.push(region);
+      query += ` AND pc.region = $${params.length}`;
+    }
+
+    if (excludeProviderIds.length > 0) {
+      params.push(excludeProviderIds);
+      query += ` AND pc.provider_id <> ALL($${params.length}::uuid[])`;
+    }
+
+    if (startsAt && endsAt) {
+      query += `
+        AND (
+          NOT EXISTS (SELECT 1 FROM availability_windows w WHERE w.capability_id = pc.id)
+          OR EXISTS (
+            SELECT 1 FROM availability_windows w
+            WHERE w.capability_id = pc.id AND w.starts_at <= $5 AND w.ends_at >= $6
+          )
+        )
+      `;
     }
     
-    query += ` ORDER BY pc.price_per_hour ASC, a.reputation_score DESC`;
+    if (infrastructure?.interconnects?.length > 0) {
+      params.push(infrastructure.interconnects);
+      query += ` AND pc.interconnects @> $${params.length}::varchar[]`;
+    }
+
+    if (infrastructure?.min_egress_bandwidth_gbps !== undefined) {
+      params.push(infrastructure.min_egress_bandwidth_gbps);
+      query += ` AND pc.egress_bandwidth_gbps >= $${params.length}`;
+    }
+
+    if (infrastructure?.min_local_nvme_gb !== undefined) {
+      params.push(infrastructure.min_local_nvme_gb);
+      query += ` AND pc.local_nvme_gb >= $${params.length}`;
+    }
+
+    if (infrastructure?.public_ip) {
+      query += ` AND pc.public_ip`;
+    }
+
+    // Version ranges are checked below; capabilities that declare nothing cannot meet any
+    if (software && Object.keys(software).length > 0) {
+      query += ` AND pc.software IS NOT NULL`;
+    }
+
+    query += ` ORDER BY pc.class_price_per_hour ASC, pc.reputation_score DESC`;
     
     const result = await pool.query(query, params);
     
-    return result.rows;
+    if (!software) return result.rows;
+
+    return result.rows.filter(row => checkSoftware(row.software, software).unmet.length === 0);
   }
 
-  static async update(id, updates) {
+  /**
+   * Apply a partial update. changedBy is the agent making it, recorded in
+   * capability_history; null for changes the platform makes on its own.
+   */
+  static async update(id, updates, changedBy = null) {
     const fields = Object.keys(updates);
     const values = Object.values(updates);
     
@@ -68,27 +320,65 @@ export class ProviderCapability {
     const setClause = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
     
     const result = await pool.query(
-      `UPDATE provider_capabilities SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      `UPDATE provider_capabilities SET ${setClause}, updated_by = $${fields.length + 2}, updated_at = CURRENT_TIMESTAMP
        WHERE id = $${fields.length + 1}
        RETURNING *`,
-      [...values, id]
+      [...values, id, changedBy]
     );
     
     return result.rows[0] || null;
   }
 
-  static async updateAvailability(id, availableHours, status) {
+  static async updateAvailability(id, availableHours, status, changedBy = null) {
     const result = await pool.query(
       `UPDATE provider_capabilities 
-       SET available_hours = $1, availability_status = $2, updated_at = CURRENT_TIMESTAMP
+       SET available_hours = $1, availability_status = $2, updated_by = $4, updated_at = CURRENT_TIMESTAMP
        WHERE id = $3
        RETURNING *`,
-      [availableHours, status, id]
+      [availableHours, status, id, changedBy]
     );
     
     return result.rows[0] || null;
   }
 
+  /**
+   * Stamp a heartbeat on a provider's capabilities (all of them when no IDs
+   * are given) and bring back any the sweeper took offline
+   */
+  static async recordHeartbeat(providerId, capabilityIds = []) {
+    const result = await pool.query(
+      `UPDATE provider_capabilities
+       SET last_heartbeat_at = CURRENT_TIMESTAMP,
+           availability_status = CASE WHEN auto_offline THEN 'available' ELSE availability_status END,
+           auto_offline = FALSE,
+           updated_by = $1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE provider_id = $1
+         AND (cardinality($2::uuid[]) = 0 OR id = ANY($2::uuid[]))
+       RETURNING *`,
+      [providerId, capabilityIds]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Take available capabilities offline once their heartbeats have lapsed.
+   * Capabilities that never heartbeated are left alone.
+   */
+  static async takeOfflineStale(timeoutSeconds) {
+    const result = await pool.query(
+      `UPDATE provider_capabilities
+       SET availability_status = 'offline', auto_offline = TRUE, updated_by = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE availability_status = 'available'
+         AND last_heartbeat_at < LOCALTIMESTAMP - make_interval(secs => $1)
+       RETURNING *`,
+      [timeoutSeconds]
+    );
+
+    return result.rows;
+  }
+
   static async delete(id) {
     await pool.query('DELETE FROM provider_capabilities WHERE id = $1', [id]);
   }
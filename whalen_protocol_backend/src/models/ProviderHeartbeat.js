@@ -0,0 +1,147 @@
+import pool from '../config/database.js';
+
+export class ProviderHeartbeat {
+  /**
+   * Log a heartbeat. Without capability IDs one row covers the whole provider.
+   */
+  static async record(providerId, capabilityIds = []) {
+    const result = await pool.query(
+      `INSERT INTO provider_heartbeats (provider_id, capability_id)
+       SELECT $1, capability_id
+       FROM unnest(COALESCE(NULLIF($2::uuid[], '{}'), ARRAY[NULL]::uuid[])) AS capability_id
+       RETURNING *`,
+      [providerId, capabilityIds]
+    );
+
+    return result.rows;
+  }
+
+  static async findLatestByProviderId(providerId) {
+    const result = await pool.query(
+      `SELECT * FROM provider_heartbeats
+       WHERE provider_id = $1
+       ORDER BY received_at DESC
+       LIMIT 1`,
+      [providerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Measure downtime over a rolling window. Any gap between heartbeats longer
+   * than the timeout counts as down for the part beyond the timeout, and so
+   * does the time since the last heartbeat. The last heartbeat before the
+   * window anchors the first gap; observation starts at the first heartbeat
+   * ever if that is inside the window.
+   * @returns {Object} observed_seconds and downtime_seconds (null observed when never seen)
+   */
+  static async getDowntime(providerId, windowSeconds, timeoutSeconds) {
+    const result = await pool.query(
+      `WITH bounds AS (
+         SELECT LOCALTIMESTAMP - make_interval(secs => $2) AS since
+       ),
+       beats AS (
+         SELECT DISTINCT h.received_at AS at
+         FROM provider_heartbeats h, bounds b
+         WHERE h.provider_id = $1 AND h.received_at > b.since
+         UNION
+         SELECT MAX(h.received_at)
+         FROM provider_heartbeats h, bounds b
+         WHERE h.provider_id = $1 AND h.received_at <= b.since
+         UNION
+         SELECT LOCALTIMESTAMP
+       ),
+       gaps AS (
+         SELECT at, LAG(at) OVER (ORDER BY at) AS prev
+         FROM beats
+         WHERE at IS NOT NULL
+       )
+       SELECT
+         (SELECT EXTRACT(EPOCH FROM LOCALTIMESTAMP - GREATEST(MIN(h.received_at), b.since))
+          FROM provider_heartbeats h, bounds b
+          WHERE h.provider_id = $1
+          GROUP BY b.since)::float AS observed_seconds,
+         COALESCE(SUM(GREATEST(0, LEAST(
+           EXTRACT(EPOCH FROM g.at - b.since),
+           EXTRACT(EPOCH FROM g.at - g.prev) - $3
+         ))), 0)::float AS downtime_seconds
+       FROM gaps g, bounds b
+       WHERE g.prev IS NOT NULL`,
+      [providerId, windowSeconds, timeoutSeconds]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Measure the heartbeat gaps behind one capability over a fixed period, such
+   * as the time a match ran. Heartbeats for the capability and provider-wide
+   * ones both count. The period's start counts as a heartbeat and its end as
+   * the next one due, so silence from the start, or up to the end, is a gap
+   * like any other. Every gap longer than the timeout is one interruption,
+   * down for the part beyond the timeout.
+   * @returns {Object} observed_seconds, downtime_seconds and interruptions
+   */
+  static async getInterruptions(providerId, capabilityId, from, to, timeoutSeconds) {
+    const result = await pool.query(
+      `WITH beats AS (
+         SELECT $3::timestamptz::timestamp AS at
+         UNION
+         SELECT received_at FROM provider_heartbeats
+         WHERE provider_id = $1 AND (capability_id IS NULL OR capability_id = $2)
+           AND received_at > $3::timestamptz::timestamp AND received_at < $4::timestamptz::timestamp
+         UNION
+         SELECT $4::timestamptz::timestamp
+       ),
+       gaps AS (
+         SELECT EXTRACT(EPOCH FROM at - LAG(at) OVER (ORDER BY at)) AS seconds
+         FROM beats
+       )
+       SELECT
+         EXTRACT(EPOCH FROM $4::timestamptz - $3::timestamptz)::float AS observed_seconds,
+         COALESCE(SUM(GREATEST(0, seconds - $5)), 0)::float AS downtime_seconds,
+         COUNT(*) FILTER (WHERE seconds > $5)::int AS interruptions
+       FROM gaps`,
+      [providerId, capabilityId, from, to, timeoutSeconds]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Providers that heartbeated within the window, i.e. whose uptime can change
+   */
+  static async findRecentProviderIds(windowSeconds) {
+    const result = await pool.query(
+      `SELECT DISTINCT provider_id FROM provider_heartbeats
+       WHERE received_at > LOCALTIMESTAMP - make_interval(secs => $1)`,
+      [windowSeconds]
+    );
+
+    return result.rows.map(row => row.provider_id);
+  }
+
+  /**
+   * Prune heartbeats older than the retention period, except those a running
+   * match's SLA is still to be measured from
+   */
+  static async deleteOlderThan(seconds) {
+    const result = await pool.query(
+      `DELETE FROM provider_heartbeats h
+       WHERE h.received_at < LOCALTIMESTAMP - make_interval(secs => $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM matches m
+           WHERE m.provider_id = h.provider_id
+             AND m.sla_terms IS NOT NULL
+             AND m.status IN ('accepted', 'in_progress')
+             AND h.received_at >= m.accepted_at
+         )`,
+      [seconds]
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default ProviderHeartbeat;
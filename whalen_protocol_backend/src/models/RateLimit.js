@@ -0,0 +1,86 @@
+import pool from '../config/database.js';
+
+export class RateLimit {
+  /**
+   * Count one hit against a key in the current fixed window of the
+   * scope's policy for the tier
+   * @returns {Object|null} count, max_requests, window_seconds and reset_in (seconds); null when unlimited
+   */
+  static async consume(key, scope, tier) {
+    const result = await pool.query(
+      `WITH policy AS (
+         SELECT max_requests, window_seconds,
+                FLOOR(EXTRACT(EPOCH FROM NOW()) / window_seconds)::bigint * window_seconds AS window_start
+         FROM rate_limit_policies
+         WHERE scope = $2 AND tier = $3
+       )
+       INSERT INTO rate_limit_counters AS c (key, window_start, window_seconds, count)
+       SELECT $1, window_start, window_seconds, 1 FROM policy
+       ON CONFLICT (key) DO UPDATE
+       SET count = CASE WHEN c.window_start = EXCLUDED.window_start THEN c.count + 1 ELSE 1 END,
+           window_start = EXCLUDED.window_start,
+           window_seconds = EXCLUDED.window_seconds
+       RETURNING c.count, c.window_seconds,
+                 (SELECT max_requests FROM policy) AS max_requests,
+                 GREATEST(1, CEIL(c.window_start + c.window_seconds - EXTRACT(EPOCH FROM NOW())))::int AS reset_in`,
+      [key, scope, tier]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findPolicies(tier) {
+    const result = await pool.query(
+      `SELECT scope, max_requests, window_seconds FROM rate_limit_policies
+       WHERE tier = $1
+       ORDER BY scope`,
+      [tier]
+    );
+
+    return result.rows;
+  }
+
+  static async findQuota(resource, tier) {
+    const result = await pool.query(
+      'SELECT max_count FROM usage_quotas WHERE resource = $1 AND tier = $2',
+      [resource, tier]
+    );
+
+    return result.rows[0] ? result.rows[0].max_count : null;
+  }
+
+  static async findQuotas(tier) {
+    const result = await pool.query(
+      `SELECT resource, max_count FROM usage_quotas
+       WHERE tier = $1
+       ORDER BY resource`,
+      [tier]
+    );
+
+    return result.rows;
+  }
+
+  static async tierExists(tier) {
+    const result = await pool.query(
+      `SELECT EXISTS (
+         SELECT 1 FROM rate_limit_policies WHERE tier = $1
+         UNION ALL
+         SELECT 1 FROM usage_quotas WHERE tier = $1
+       ) AS exists`,
+      [tier]
+    );
+
+    return result.rows[0].exists;
+  }
+
+  static async deleteExpired() {
+    const result = await pool.query(
+      `DELETE FROM rate_limit_counters
+       WHERE window_start + window_seconds < EXTRACT(EPOCH FROM NOW())`
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default RateLimit;
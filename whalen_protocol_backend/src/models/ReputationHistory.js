@@ -0,0 +1,32 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export class ReputationHistory {
+  static async create(agentId, score, previousScore, confidence, sampleSize, trigger, referenceId = null) {
+    const id = generateId();
+
+    const result = await pool.query(
+      `INSERT INTO reputation_history
+       (id, agent_id, score, previous_score, confidence, sample_size, trigger, reference_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [id, agentId, score, previousScore, confidence, sampleSize, trigger, referenceId]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findByAgentId(agentId, limit = 50, offset = 0) {
+    const result = await pool.query(
+      `SELECT * FROM reputation_history
+       WHERE agent_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [agentId, limit, offset]
+    );
+
+    return result.rows;
+  }
+}
+
+export default ReputationHistory;
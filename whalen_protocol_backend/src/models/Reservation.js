@@ -0,0 +1,45 @@
+import pool from '../config/database.js';
+
+export class Reservation {
+  static async findByMatchId(matchId) {
+    const result = await pool.query(
+      'SELECT * FROM reservations WHERE match_id = $1',
+      [matchId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active reservations that overlap [from, to), either bound optional
+   */
+  static async findActiveByCapabilityId(capabilityId, from = null, to = null) {
+    const result = await pool.query(
+      `SELECT id, starts_at, ends_at, gpu_count, cpu_cores, memory_gb FROM reservations
+       WHERE capability_id = $1 AND status = 'active'
+         AND ($2::timestamptz IS NULL OR ends_at > $2)
+         AND ($3::timestamptz IS NULL OR starts_at < $3)
+       ORDER BY starts_at ASC`,
+      [capabilityId, from, to]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Close a match's reservation, freeing its hours for other bookings
+   * @param {string} status - 'completed' or 'released'
+   */
+  static async closeForMatch(matchId, status) {
+    const result = await pool.query(
+      `UPDATE reservations SET status = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE match_id = $1 AND status = 'active'
+       RETURNING *`,
+      [matchId, status]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default Reservation;
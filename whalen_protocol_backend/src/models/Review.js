@@ -0,0 +1,89 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export const REVIEW_TAGS = ['performance', 'communication', 'accuracy'];
+
+export class Review {
+  static async create(matchId, reviewerId, revieweeId, reviewerRole, rating, tags = {}, comment = null) {
+    const id = generateId();
+
+    const result = await pool.query(
+      `INSERT INTO reviews
+       (id, match_id, reviewer_id, reviewee_id, reviewer_role, rating, tags, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [id, matchId, reviewerId, revieweeId, reviewerRole, rating, JSON.stringify(tags), comment]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findByMatchAndReviewer(matchId, reviewerId) {
+    const result = await pool.query(
+      'SELECT * FROM reviews WHERE match_id = $1 AND reviewer_id = $2',
+      [matchId, reviewerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByMatchId(matchId) {
+    const result = await pool.query(
+      `SELECT r.*, a.name as reviewer_name
+       FROM reviews r
+       JOIN agents a ON r.reviewer_id = a.id
+       WHERE r.match_id = $1
+       ORDER BY r.created_at ASC`,
+      [matchId]
+    );
+
+    return result.rows;
+  }
+
+  static async findByRevieweeId(revieweeId, limit = 20, offset = 0) {
+    const result = await pool.query(
+      `SELECT r.*, a.name as reviewer_name
+       FROM reviews r
+       JOIN agents a ON r.reviewer_id = a.id
+       WHERE r.reviewee_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [revieweeId, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Ratings received by an agent, oldest first, for reputation scoring
+   */
+  static async getRatings(revieweeId) {
+    const result = await pool.query(
+      `SELECT rating, created_at as occurred_at
+       FROM reviews
+       WHERE reviewee_id = $1
+       ORDER BY created_at ASC`,
+      [revieweeId]
+    );
+
+    return result.rows;
+  }
+
+  static async getSummary(revieweeId) {
+    const result = await pool.query(
+      `SELECT
+        COUNT(*)::int as review_count,
+        ROUND(AVG(rating), 2)::float as average_rating,
+        ROUND(AVG((tags->>'performance')::numeric), 2)::float as average_performance,
+        ROUND(AVG((tags->>'communication')::numeric), 2)::float as average_communication,
+        ROUND(AVG((tags->>'accuracy')::numeric), 2)::float as average_accuracy
+       FROM reviews
+       WHERE reviewee_id = $1`,
+      [revieweeId]
+    );
+
+    return result.rows[0];
+  }
+}
+
+export default Review;
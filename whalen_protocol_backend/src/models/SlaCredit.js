@@ -0,0 +1,36 @@
+import pool from '../config/database.js';
+
+export class SlaCredit {
+  /**
+   * Record a transaction's credits. A term credited before is left as it was.
+   * @param {Array} credits - term, target, measured, credit_percent and amount each
+   */
+  static async createMany(transactionId, matchId, credits) {
+    if (credits.length === 0) return [];
+
+    const result = await pool.query(
+      `INSERT INTO sla_credits (transaction_id, match_id, term, target, measured, credit_percent, amount)
+       SELECT $1, $2, c.term, c.target, c.measured, c.credit_percent, c.amount
+       FROM jsonb_to_recordset($3::jsonb)
+         AS c(term VARCHAR, target DECIMAL, measured DECIMAL, credit_percent DECIMAL, amount DECIMAL)
+       ON CONFLICT (transaction_id, term) DO NOTHING
+       RETURNING *`,
+      [transactionId, matchId, JSON.stringify(credits)]
+    );
+
+    return result.rows;
+  }
+
+  static async findByTransactionId(transactionId) {
+    const result = await pool.query(
+      `SELECT * FROM sla_credits
+       WHERE transaction_id = $1
+       ORDER BY created_at ASC, term ASC`,
+      [transactionId]
+    );
+
+    return result.rows;
+  }
+}
+
+export default SlaCredit;
@@ -0,0 +1,92 @@
+import pool from '../config/database.js';
+import { generateId } from '../utils/helpers.js';
+
+export class WebhookDelivery {
+  /**
+   * Log a delivery. It is held back for leaseSeconds so the retry worker
+   * leaves it alone while the first attempt is in flight.
+   */
+  static async create(subscriptionId, event, leaseSeconds, replayOf = null) {
+    const id = generateId();
+
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries
+       (id, subscription_id, event_id, event_type, payload, next_attempt_at, replay_of)
+       VALUES ($1, $2, $3, $4, $5, LOCALTIMESTAMP + make_interval(secs => $6), $7)
+       RETURNING *`,
+      [id, subscriptionId, event.id, event.type, JSON.stringify(event), leaseSeconds, replayOf]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_deliveries WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findBySubscriptionId(subscriptionId, status = null, limit = 50, offset = 0) {
+    const result = await pool.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE subscription_id = $1
+         AND ($2::varchar IS NULL OR status = $2::varchar)
+       ORDER BY created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [subscriptionId, status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Claim pending deliveries whose retry is due, pushing them out by
+   * leaseSeconds so concurrent workers skip them
+   */
+  static async claimDue(limit, leaseSeconds) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = LOCALTIMESTAMP + make_interval(secs => $2), updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= LOCALTIMESTAMP
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, leaseSeconds]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record the outcome of one attempt. retryInSeconds schedules the next
+   * attempt and is ignored unless the delivery is still pending.
+   */
+  static async recordAttempt(id, { status, responseStatus = null, error = null, retryInSeconds = null }) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2::varchar,
+           attempts = attempts + 1,
+           last_attempt_at = CURRENT_TIMESTAMP,
+           response_status = $3,
+           last_error = $4,
+           next_attempt_at = CASE WHEN $2::varchar = 'pending'
+             THEN LOCALTIMESTAMP + make_interval(secs => $5)
+             ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, responseStatus, error, retryInSeconds]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default WebhookDelivery;
@@ -0,0 +1,133 @@
+import pool from '../config/database.js';
+import { generateId, generateWebhookSecret } from '../utils/helpers.js';
+
+export const WEBHOOK_EVENT_TYPES = [
+  'match.proposed',
+  'match.accepted',
+  'match.declined',
+  'match.started',
+  'match.completed',
+  'match.preemption_notice',
+  'match.preempted',
+  'match.maintenance_conflict',
+  'payment.escrowed',
+  'payment.settled',
+  'verification.submitted',
+  'dispute.opened',
+];
+
+const PUBLIC_COLUMNS = `id, agent_id, url, event_types, description, active, created_at, updated_at`;
+
+export class WebhookSubscription {
+  /**
+   * Create a subscription. The signing secret is only returned here and on rotation.
+   */
+  static async create(agentId, url, eventTypes, description = null) {
+    const id = generateId();
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (id, agent_id, url, event_types, secret, description)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id, agentId, url, eventTypes, secret, description]
+    );
+
+    return { ...result.rows[0], secret };
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load a subscription including its secret, for signing deliveries
+   */
+  static async findWithSecret(id) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_subscriptions WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByAgentId(agentId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM webhook_subscriptions
+       WHERE agent_id = $1
+       ORDER BY created_at DESC`,
+      [agentId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Active subscriptions of any of the given agents that want this event type
+   */
+  static async findActiveForEvent(agentIds, eventType) {
+    const result = await pool.query(
+      `SELECT id, agent_id FROM webhook_subscriptions
+       WHERE agent_id = ANY($1::uuid[])
+         AND active = TRUE
+         AND $2 = ANY(event_types)`,
+      [agentIds, eventType]
+    );
+
+    return result.rows;
+  }
+
+  static async update(id, updates) {
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+
+    if (fields.length === 0) return this.findById(id);
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1}
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [...values, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async rotateSecret(id) {
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET secret = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [secret, id]
+    );
+
+    return result.rows[0] ? { ...result.rows[0], secret } : null;
+  }
+
+  static async deactivateAllForAgent(agentId) {
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE agent_id = $1 AND active = TRUE`,
+      [agentId]
+    );
+
+    return result.rowCount;
+  }
+
+  static async delete(id) {
+    await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+  }
+}
+
+export default WebhookSubscription;
@@ -1,11 +1,39 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import Agent from '../models/Agent.js';
-import { authenticateAgent, authenticateApiKey } from '../middleware/auth.js';
+import Agent, { PLATFORM_ROLES } from '../models/Agent.js';
+import ApiKey from '../models/ApiKey.js';
+import AgentSession from '../models/AgentSession.js';
+import AuthChallenge from '../models/AuthChallenge.js';
+import TokenService from '../services/TokenService.js';
+import AgentLifecycleService from '../services/AgentLifecycleService.js';
+import ReputationService from '../services/ReputationService.js';
+import ReviewService from '../services/ReviewService.js';
+import QuotaService from '../services/QuotaService.js';
+import RateLimit from '../models/RateLimit.js';
+import {
+  authenticate,
+  requireScope,
+  parseApiKeyRequest,
+  getInactiveAgentError,
+} from '../middleware/auth.js';
+import { requirePlatformRole } from '../middleware/authorize.js';
 import { formatResponse, formatError } from '../utils/helpers.js';
+import {
+  isWalletAddress,
+  normalizeWalletAddress,
+  recoverPersonalSignAddress,
+} from '../utils/wallet.js';
 
 const router = express.Router();
 
+const lifecycleView = (agent) => ({
+  id: agent.id,
+  name: agent.name,
+  status: agent.status,
+  status_reason: agent.status_reason,
+  suspended_at: agent.suspended_at,
+  closed_at: agent.closed_at,
+});
+
 /**
  * Register a new agent
  * POST /api/v1/agents/register
@@ -22,14 +50,17 @@ router.post('/register', async (req, res) => {
       return res.status(400).json(formatError('Invalid agent type', 400));
     }
 
-    const agent = await Agent.create(name, type, walletAddress);
+    if (walletAddress && !isWalletAddress(walletAddress)) {
+      return res.status(400).json(formatError('walletAddress must be a 0x-prefixed 20-byte hex address', 400));
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { agentId: agent.id, name: agent.name },
-      process.env.JWT_SECRET || 'your_jwt_secret_key_here',
-      { expiresIn: '30d' }
-    );
+    const agent = await Agent.create(name, type, walletAddress ? normalizeWalletAddress(walletAddress) : null);
+
+    const session = await TokenService.createSession(agent, {
+      authMethod: 'register',
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
 
     return res.status(201).json(
       formatResponse(
@@ -41,7 +72,7 @@ router.post('/register', async (req, res) => {
             api_key: agent.api_key,
             reputation_score: agent.reputation_score,
           },
-          token,
+          ...session,
         },
         'Agent registered successfully',
         201
@@ -54,18 +85,210 @@ router.post('/register', async (req, res) => {
 });
 
 /**
- * Get agent profile
- * GET /api/v1/agents/profile
+ * Exchange an API key for an access token and refresh token
+ * POST /api/v1/agents/auth/token
  */
-router.get('/profile', authenticateAgent, async (req, res) => {
+router.post('/auth/token', async (req, res) => {
   try {
-    const agent = await Agent.findById(req.agentId);
+    const apiKey = req.headers['x-api-key'] || req.body.api_key;
+
+    if (!apiKey) {
+      return res.status(400).json(formatError('API key is required', 400));
+    }
+
+    const key = await ApiKey.findActiveByKey(apiKey);
+    const agent = key ? await Agent.findById(key.agent_id) : null;
 
     if (!agent) {
-      return res.status(404).json(formatError('Agent not found', 404));
+      return res.status(401).json(formatError('Invalid, expired or revoked API key', 401));
+    }
+
+    const inactive = getInactiveAgentError(agent);
+    if (inactive) {
+      return res.status(403).json(formatError(inactive, 403));
+    }
+
+    await ApiKey.touch(key.id);
+
+    // The session inherits the key's scopes and lifetime so a narrow or
+    // short-lived key cannot mint a broad or lasting token
+    const session = await TokenService.createSession(agent, {
+      scopes: key.scopes,
+      authMethod: 'api_key',
+      apiKey: key,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json(formatResponse(session, 'Session created successfully', 201));
+  } catch (error) {
+    console.error('Error exchanging API key:', error);
+    return res.status(500).json(formatError('Failed to create session', 500, error));
+  }
+});
+
+/**
+ * Rotate a refresh token
+ * POST /api/v1/agents/auth/refresh
+ */
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json(formatError('refresh_token is required', 400));
+    }
+
+    const session = await TokenService.refreshSession(refresh_token);
+
+    if (!session) {
+      return res.status(401).json(formatError('Invalid, expired or revoked refresh token', 401));
+    }
+
+    return res.status(200).json(formatResponse(session, 'Session refreshed successfully'));
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    return res.status(500).json(formatError('Failed to refresh session', 500, error));
+  }
+});
+
+/**
+ * Issue a wallet login challenge
+ * GET /api/v1/agents/auth/challenge?wallet_address=0x...
+ */
+router.get('/auth/challenge', async (req, res) => {
+  try {
+    const { wallet_address } = req.query;
+
+    if (!isWalletAddress(wallet_address)) {
+      return res.status(400).json(formatError('A valid wallet_address is required', 400));
+    }
+
+    const challenge = await AuthChallenge.create(normalizeWalletAddress(wallet_address));
+
+    return res.status(201).json(
+      formatResponse(
+        {
+          nonce: challenge.nonce,
+          message: challenge.message,
+          expires_at: challenge.expires_at,
+        },
+        'Sign the message with the registered wallet',
+        201
+      )
+    );
+  } catch (error) {
+    console.error('Error issuing challenge:', error);
+    return res.status(500).json(formatError('Failed to issue challenge', 500, error));
+  }
+});
+
+/**
+ * Log in with an EIP-191 signature over a challenge
+ * POST /api/v1/agents/auth/wallet
+ */
+router.post('/auth/wallet', async (req, res) => {
+  try {
+    const { wallet_address, nonce, signature, agent_id } = req.body;
+
+    if (!isWalletAddress(wallet_address) || !nonce || !signature) {
+      return res.status(400).json(
+        formatError('Missing required fields: wallet_address, nonce, signature', 400)
+      );
+    }
+
+    const walletAddress = normalizeWalletAddress(wallet_address);
+
+    const challenge = await AuthChallenge.findActive(nonce, walletAddress);
+    if (!challenge) {
+      return res.status(401).json(formatError('Invalid, expired or already used challenge', 401));
+    }
+
+    if (recoverPersonalSignAddress(challenge.message, signature) !== walletAddress) {
+      return res.status(401).json(formatError('Signature does not match wallet address', 401));
+    }
+
+    // Only a valid signature spends the nonce, so seeing one is not enough to
+    // burn it. Consuming is atomic: of two logins racing with it, one wins.
+    if (!await AuthChallenge.consume(nonce, walletAddress)) {
+      return res.status(401).json(formatError('Invalid, expired or already used challenge', 401));
+    }
+
+    // Closed accounts no longer compete for the wallet
+    const agents = (await Agent.findByWalletAddress(walletAddress)).filter(a => a.status !== 'closed');
+    const candidates = agent_id ? agents.filter(a => a.id === agent_id) : agents;
+
+    if (candidates.length === 0) {
+      return res.status(401).json(formatError('No agent is registered with this wallet', 401));
+    }
+
+    if (candidates.length > 1) {
+      return res.status(409).json(
+        formatError('Several agents share this wallet; pass agent_id to choose one', 409)
+      );
+    }
+
+    const agent = candidates[0];
+
+    const inactive = getInactiveAgentError(agent);
+    if (inactive) {
+      return res.status(403).json(formatError(inactive, 403));
     }
 
-    const stats = await Agent.getStats(req.agentId);
+    const session = await TokenService.createSession(agent, {
+      authMethod: 'wallet',
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json(
+      formatResponse(
+        {
+          agent: {
+            id: agent.id,
+            name: agent.name,
+            type: agent.type,
+            wallet_address: agent.wallet_address,
+          },
+          ...session,
+        },
+        'Wallet login successful',
+        201
+      )
+    );
+  } catch (error) {
+    console.error('Error logging in with wallet:', error);
+    return res.status(500).json(formatError('Failed to log in with wallet', 500, error));
+  }
+});
+
+/**
+ * End the current session
+ * POST /api/v1/agents/auth/logout
+ */
+router.post('/auth/logout', authenticate, async (req, res) => {
+  try {
+    if (req.user.authMethod !== 'jwt') {
+      return res.status(400).json(formatError('Logout requires a Bearer token', 400));
+    }
+
+    const session = await TokenService.logout(req.user.token);
+
+    return res.status(200).json(formatResponse(session, 'Logged out successfully'));
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return res.status(500).json(formatError('Failed to log out', 500, error));
+  }
+});
+
+/**
+ * Get agent profile
+ * GET /api/v1/agents/profile
+ */
+router.get('/profile', authenticate, requireScope('agents:read'), async (req, res) => {
+  try {
+    const agent = req.user.agent;
+    const stats = await Agent.getStats(req.user.id);
 
     return res.status(200).json(
       formatResponse({
@@ -73,7 +296,10 @@ router.get('/profile', authenticateAgent, async (req, res) => {
         name: agent.name,
         type: agent.type,
         wallet_address: agent.wallet_address,
+        role: agent.role,
+        status: agent.status,
         reputation_score: agent.reputation_score,
+        reputation_confidence: agent.reputation_confidence,
         total_transactions: agent.total_transactions,
         total_earnings: agent.total_earnings,
         total_spent: agent.total_spent,
@@ -87,6 +313,43 @@ router.get('/profile', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * Close my account. Escrowed payments are settled or refunded, open requests
+ * and matches are cancelled and every key and session is revoked.
+ * POST /api/v1/agents/profile/close
+ */
+router.post('/profile/close', authenticate, requireScope('agents:write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await AgentLifecycleService.close(req.user.id, reason || 'closed_by_agent');
+
+    return res.status(200).json(
+      formatResponse(
+        { ...result, agent: lifecycleView(result.agent) },
+        'Account closed successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Error closing account:', error);
+    return res.status(500).json(formatError(error.message, 500, error));
+  }
+});
+
+/**
+ * Get my rate limits and quota usage
+ * GET /api/v1/agents/profile/limits
+ */
+router.get('/profile/limits', authenticate, requireScope('agents:read'), async (req, res) => {
+  try {
+    const limits = await QuotaService.getLimits(req.user);
+
+    return res.status(200).json(formatResponse(limits));
+  } catch (error) {
+    console.error('Error fetching limits:', error);
+    return res.status(500).json(formatError('Failed to fetch limits', 500, error));
+  }
+});
+
 /**
  * Get agent by ID
  * GET /api/v1/agents/:id
@@ -99,14 +362,21 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json(formatError('Agent not found', 404));
     }
 
+    const { summary, reviews } = await ReviewService.getAgentReviews(agent.id);
+
     return res.status(200).json(
       formatResponse({
         id: agent.id,
         name: agent.name,
         type: agent.type,
+        role: agent.role,
+        status: agent.status,
         reputation_score: agent.reputation_score,
+        reputation_confidence: agent.reputation_confidence,
         total_transactions: agent.total_transactions,
         uptime_percentage: agent.uptime_percentage,
+        review_summary: summary,
+        reviews,
       })
     );
   } catch (error) {
@@ -149,15 +419,21 @@ router.get('/', async (req, res) => {
  * Update agent profile
  * PATCH /api/v1/agents/profile
  */
-router.patch('/profile', authenticateAgent, async (req, res) => {
+router.patch('/profile', authenticate, requireScope('agents:write'), async (req, res) => {
   try {
     const { name, wallet_address } = req.body;
     const updates = {};
 
     if (name) updates.name = name;
-    if (wallet_address) updates.wallet_address = wallet_address;
 
-    const agent = await Agent.update(req.agentId, updates);
+    if (wallet_address) {
+      if (!isWalletAddress(wallet_address)) {
+        return res.status(400).json(formatError('wallet_address must be a 0x-prefixed 20-byte hex address', 400));
+      }
+      updates.wallet_address = normalizeWalletAddress(wallet_address);
+    }
+
+    const agent = await Agent.update(req.user.id, updates);
 
     return res.status(200).json(
       formatResponse(
@@ -176,6 +452,322 @@ router.patch('/profile', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * Create an API key
+ * POST /api/v1/agents/profile/keys
+ */
+router.post('/profile/keys', authenticate, requireScope('keys:write'), async (req, res) => {
+  try {
+    if (req.user.authMethod === 'org_api_key') {
+      return res.status(403).json(formatError('Organization keys cannot create agent keys', 403));
+    }
+
+    const parsed = parseApiKeyRequest(req.user, req.body);
+    if (parsed.error) {
+      return res.status(parsed.statusCode).json(formatError(parsed.error, parsed.statusCode));
+    }
+
+    const key = await ApiKey.create(req.user.id, parsed.label, parsed.scopes, parsed.expiresAt);
+
+    return res.status(201).json(
+      formatResponse(
+        {
+          id: key.id,
+          label: key.label,
+          api_key: key.api_key,
+          scopes: key.scopes,
+          expires_at: key.expires_at,
+          created_at: key.created_at,
+        },
+        'API key created successfully',
+        201
+      )
+    );
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json(formatError('Failed to create API key', 500, error));
+  }
+});
+
+/**
+ * List my API keys
+ * GET /api/v1/agents/profile/keys
+ */
+router.get('/profile/keys', authenticate, requireScope('keys:read'), async (req, res) => {
+  try {
+    const keys = await ApiKey.findByAgentId(req.user.id);
+
+    return res.status(200).json(
+      formatResponse({
+        keys,
+        count: keys.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    return res.status(500).json(formatError('Failed to fetch API keys', 500, error));
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/v1/agents/profile/keys/:keyId
+ */
+router.delete('/profile/keys/:keyId', authenticate, requireScope('keys:write'), async (req, res) => {
+  try {
+    const key = await ApiKey.revoke(req.params.keyId, req.user.id);
+
+    if (!key) {
+      return res.status(404).json(formatError('API key not found or already revoked', 404));
+    }
+
+    return res.status(200).json(formatResponse(key, 'API key revoked successfully'));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json(formatError('Failed to revoke API key', 500, error));
+  }
+});
+
+/**
+ * List my active sessions
+ * GET /api/v1/agents/profile/sessions
+ */
+router.get('/profile/sessions', authenticate, requireScope('sessions:read'), async (req, res) => {
+  try {
+    const sessions = await AgentSession.findActiveByAgentId(req.user.id);
+
+    return res.status(200).json(
+      formatResponse({
+        sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sessionId })),
+        count: sessions.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return res.status(500).json(formatError('Failed to fetch sessions', 500, error));
+  }
+});
+
+/**
+ * Revoke a session, invalidating its access and refresh tokens
+ * DELETE /api/v1/agents/profile/sessions/:sessionId
+ */
+router.delete('/profile/sessions/:sessionId', authenticate, requireScope('sessions:write'), async (req, res) => {
+  try {
+    const session = await TokenService.revokeSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json(formatError('Session not found or already revoked', 404));
+    }
+
+    return res.status(200).json(formatResponse(session, 'Session revoked successfully'));
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return res.status(500).json(formatError('Failed to revoke session', 500, error));
+  }
+});
+
+/**
+ * Set an agent's platform role (admin only)
+ * PATCH /api/v1/agents/:id/role
+ */
+router.patch('/:id/role', authenticate, requireScope('agents:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!PLATFORM_ROLES.includes(role)) {
+      return res.status(400).json(
+        formatError(`Invalid role. Must be one of: ${PLATFORM_ROLES.join(', ')}`, 400)
+      );
+    }
+
+    // Keeps an admin from locking themselves out; another admin must do it
+    if (req.params.id === req.user.id) {
+      return res.status(400).json(formatError('Admins cannot change their own role', 400));
+    }
+
+    const agent = await Agent.update(req.params.id, { role });
+
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    return res.status(200).json(
+      formatResponse(
+        {
+          id: agent.id,
+          name: agent.name,
+          role: agent.role,
+        },
+        'Agent role updated successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Error updating agent role:', error);
+    return res.status(500).json(formatError('Failed to update agent role', 500, error));
+  }
+});
+
+/**
+ * Move an agent to another rate limit tier, or back to its type's tier with null (admin only)
+ * PATCH /api/v1/agents/:id/rate-limit-tier
+ */
+router.patch('/:id/rate-limit-tier', authenticate, requireScope('agents:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const { tier } = req.body || {};
+
+    if (tier !== null && (typeof tier !== 'string' || !(await RateLimit.tierExists(tier)))) {
+      return res.status(400).json(
+        formatError('tier must be null or a tier with rate limit policies or quotas', 400)
+      );
+    }
+
+    const agent = await Agent.update(req.params.id, { rate_limit_tier: tier });
+
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    return res.status(200).json(
+      formatResponse(
+        {
+          id: agent.id,
+          name: agent.name,
+          rate_limit_tier: agent.rate_limit_tier || agent.type,
+        },
+        'Agent rate limit tier updated successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Error updating rate limit tier:', error);
+    return res.status(500).json(formatError('Failed to update rate limit tier', 500, error));
+  }
+});
+
+/**
+ * Suspend an agent (admin only)
+ * POST /api/v1/agents/:id/suspend
+ */
+router.post('/:id/suspend', authenticate, requireScope('agents:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json(formatError('reason is required', 400));
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json(formatError('Admins cannot suspend themselves', 400));
+    }
+
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    if (agent.status !== 'active') {
+      return res.status(409).json(formatError(`Agent is ${agent.status}`, 409));
+    }
+
+    const suspended = await AgentLifecycleService.suspend(agent.id, reason);
+
+    return res.status(200).json(
+      formatResponse(lifecycleView(suspended), 'Agent suspended successfully')
+    );
+  } catch (error) {
+    console.error('Error suspending agent:', error);
+    return res.status(500).json(formatError('Failed to suspend agent', 500, error));
+  }
+});
+
+/**
+ * Reinstate a suspended agent (admin only)
+ * POST /api/v1/agents/:id/reinstate
+ */
+router.post('/:id/reinstate', authenticate, requireScope('agents:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    if (agent.status !== 'suspended') {
+      return res.status(409).json(formatError('Only suspended agents can be reinstated', 409));
+    }
+
+    const reinstated = await AgentLifecycleService.reinstate(agent.id);
+
+    return res.status(200).json(
+      formatResponse(lifecycleView(reinstated), 'Agent reinstated successfully')
+    );
+  } catch (error) {
+    console.error('Error reinstating agent:', error);
+    return res.status(500).json(formatError('Failed to reinstate agent', 500, error));
+  }
+});
+
+/**
+ * Close an agent's account (admin only)
+ * POST /api/v1/agents/:id/close
+ */
+router.post('/:id/close', authenticate, requireScope('agents:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    if (agent.status === 'closed') {
+      return res.status(409).json(formatError('Agent account is already closed', 409));
+    }
+
+    const { reason } = req.body || {};
+    const result = await AgentLifecycleService.close(agent.id, reason || null);
+
+    return res.status(200).json(
+      formatResponse(
+        { ...result, agent: lifecycleView(result.agent) },
+        'Agent account closed successfully'
+      )
+    );
+  } catch (error) {
+    console.error('Error closing agent account:', error);
+    return res.status(500).json(formatError(error.message, 500, error));
+  }
+});
+
+/**
+ * Get how an agent's reputation evolved
+ * GET /api/v1/agents/:id/reputation/history
+ */
+router.get('/:id/reputation/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    const history = await ReputationService.getHistory(agent.id, limit, offset);
+
+    return res.status(200).json(
+      formatResponse({
+        agent_id: agent.id,
+        reputation_score: agent.reputation_score,
+        reputation_confidence: agent.reputation_confidence,
+        history,
+        limit,
+        offset,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching reputation history:', error);
+    return res.status(500).json(formatError('Failed to fetch reputation history', 500, error));
+  }
+});
+
 /**
  * Get agent stats
  * GET /api/v1/agents/:id/stats
@@ -1,18 +1,34 @@
 import express from 'express';
-import ProviderCapability from '../models/ProviderCapability.js';
+import Agent from '../models/Agent.js';
+import ProviderCapability, { CAPACITY_CLASSES, validateCapacityClasses } from '../models/ProviderCapability.js';
+import CapabilityHistory, { PRICE_SERIES_INTERVALS, MAX_PRICE_SERIES_POINTS } from '../models/CapabilityHistory.js';
 import MatchingService from '../services/MatchingService.js';
 import ComputeRequest from '../models/ComputeRequest.js';
-import { formatResponse, formatError } from '../utils/helpers.js';
+import ReviewService from '../services/ReviewService.js';
+import AvailabilityService from '../services/AvailabilityService.js';
+import PricingService from '../services/PricingService.js';
+import GpuType, { GPU_MATCH_MODES, unknownGpuTypeMessage } from '../models/GpuType.js';
+import { validateSoftwareRequirements } from '../utils/software.js';
+import { validateInfrastructureRequirements } from '../utils/infrastructure.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { requirePlatformRole } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { formatResponse, formatError, parseTimestamp, validateDurationHours } from '../utils/helpers.js';
 
 const router = express.Router();
 
+// Discovery is public, so it is limited per client IP
+router.use(rateLimit('discovery'));
+
 /**
- * Search for providers
- * GET /api/v1/discovery/search
+ * Search for providers, optionally free for a period. software_requirements
+ * is URL-encoded JSON; interconnects is comma-separated.
+ * GET /api/v1/discovery/search?starts_at=2026-10-20T09:00:00Z&duration_hours=12
  */
 router.get('/search', async (req, res) => {
   try {
-    const { gpu_count, gpu_type, max_price, region } = req.query;
+    const { gpu_count, gpu_type, gpu_match = 'exact', max_price, region, cpu_cores, memory_gb, starts_at, duration_hours, capacity_classes = 'on_demand', software_requirements,
+      interconnects, min_egress_bandwidth_gbps, min_local_nvme_gb, public_ip } = req.query;
 
     if (!gpu_count || !gpu_type || !max_price) {
       return res.status(400).json(
@@ -20,20 +36,103 @@ router.get('/search', async (req, res) => {
       );
     }
 
-    const providers = await ProviderCapability.search(
+    if (!GPU_MATCH_MODES.includes(gpu_match)) {
+      return res.status(400).json(
+        formatError(`gpu_match must be one of: ${GPU_MATCH_MODES.join(', ')}`, 400)
+      );
+    }
+
+    const gpuType = await GpuType.resolve(gpu_type);
+    if (!gpuType) {
+      return res.status(400).json(formatError(unknownGpuTypeMessage(gpu_type), 400));
+    }
+
+    const capacityClasses = [...new Set(String(capacity_classes).split(','))];
+    const capacityClassesError = validateCapacityClasses(capacityClasses);
+    if (capacityClassesError) {
+      return res.status(400).json(formatError(capacityClassesError, 400));
+    }
+
+    let software = null;
+    if (software_requirements !== undefined) {
+      try {
+        software = JSON.parse(software_requirements);
+      } catch {
+        return res.status(400).json(formatError('software_requirements must be JSON', 400));
+      }
+
+      const softwareError = validateSoftwareRequirements(software);
+      if (softwareError) {
+        return res.status(400).json(formatError(softwareError, 400));
+      }
+    }
+
+    const infrastructure = {};
+    if (interconnects !== undefined) infrastructure.interconnects = [...new Set(String(interconnects).split(','))];
+    if (min_egress_bandwidth_gbps !== undefined) infrastructure.min_egress_bandwidth_gbps = Number(min_egress_bandwidth_gbps);
+    if (min_local_nvme_gb !== undefined) infrastructure.min_local_nvme_gb = Number(min_local_nvme_gb);
+    if (public_ip !== undefined) {
+      infrastructure.public_ip = { true: true, false: false }[public_ip] ?? public_ip;
+    }
+
+    const infrastructureError = validateInfrastructureRequirements(infrastructure, null);
+    if (infrastructureError) {
+      return res.status(400).json(formatError(infrastructureError, 400));
+    }
+
+    let period = null;
+    if (starts_at !== undefined || duration_hours !== undefined) {
+      const durationError = validateDurationHours(duration_hours);
+      if (durationError) {
+        return res.status(400).json(formatError(`${durationError} when searching by period`, 400));
+      }
+      if (starts_at !== undefined && !parseTimestamp(starts_at)) {
+        return res.status(400).json(formatError('starts_at must be an ISO 8601 timestamp', 400));
+      }
+
+      period = AvailabilityService.getPeriod({
+        starts_at: starts_at || null,
+        duration_hours: parseInt(duration_hours),
+      });
+    }
+
+    const candidates = await ProviderCapability.search(
       parseInt(gpu_count),
-      gpu_type,
+      gpuType.id,
       parseFloat(max_price),
-      region || null
+      {
+        region: region || null,
+        gpuMatch: gpu_match,
+        cpuCores: parseInt(cpu_cores) || null,
+        memoryGb: parseInt(memory_gb) || null,
+        capacityClasses,
+        software,
+        infrastructure,
+        startsAt: period?.startsAt,
+        endsAt: period?.endsAt,
+      }
     );
 
+    // Without a period, prices are quoted for an hour starting now
+    const providers = await PricingService.priceResults(candidates, {
+      startsAt: period ? period.startsAt : new Date(),
+      durationHours: period ? parseInt(duration_hours) : 1,
+      maxPrice: parseFloat(max_price),
+    });
+
     return res.status(200).json(
       formatResponse({
         query: {
           gpu_count: parseInt(gpu_count),
-          gpu_type,
+          gpu_type: gpuType.id,
+          gpu_match,
           max_price: parseFloat(max_price),
           region: region || 'any',
+          capacity_classes: capacityClasses,
+          software_requirements: software,
+          infrastructure_requirements: infrastructure,
+          starts_at: period ? period.startsAt : null,
+          ends_at: period ? period.endsAt : null,
         },
         results: providers,
         count: providers.length,
@@ -51,16 +150,23 @@ router.get('/search', async (req, res) => {
  */
 router.get('/providers/:providerId', async (req, res) => {
   try {
-    const capabilities = await ProviderCapability.findByProviderId(req.params.providerId);
+    const provider = await Agent.findById(req.params.providerId);
+    const capabilities = provider && provider.status === 'active'
+      ? await ProviderCapability.findByProviderId(req.params.providerId)
+      : [];
 
     if (capabilities.length === 0) {
       return res.status(404).json(formatError('Provider not found', 404));
     }
 
+    const { summary, reviews } = await ReviewService.getAgentReviews(req.params.providerId);
+
     return res.status(200).json(
       formatResponse({
         provider_id: req.params.providerId,
         capabilities,
+        review_summary: summary,
+        reviews,
       })
     );
   } catch (error) {
@@ -75,7 +181,7 @@ router.get('/providers/:providerId', async (req, res) => {
  */
 router.post('/find-matches', async (req, res) => {
   try {
-    const { gpu_count, gpu_type, duration_hours, max_price_per_hour, region } = req.body;
+    const { gpu_count, gpu_type, gpu_match = 'exact', duration_hours, max_price_per_hour, cpu_cores, memory_gb, region, starts_at, capacity_classes = ['on_demand'], software_requirements, software_preferences, infrastructure_requirements, infrastructure_preferences } = req.body || {};
 
     if (!gpu_count || !gpu_type || !duration_hours || !max_price_per_hour) {
       return res.status(400).json(
@@ -86,12 +192,59 @@ router.post('/find-matches', async (req, res) => {
       );
     }
 
+    if (!GPU_MATCH_MODES.includes(gpu_match)) {
+      return res.status(400).json(
+        formatError(`gpu_match must be one of: ${GPU_MATCH_MODES.join(', ')}`, 400)
+      );
+    }
+
+    const durationError = validateDurationHours(duration_hours);
+    if (durationError) {
+      return res.status(400).json(formatError(durationError, 400));
+    }
+
+    const capacityClassesError = validateCapacityClasses(capacity_classes);
+    if (capacityClassesError) {
+      return res.status(400).json(formatError(capacityClassesError, 400));
+    }
+
+    if (starts_at !== undefined && starts_at !== null && !parseTimestamp(starts_at)) {
+      return res.status(400).json(formatError('starts_at must be an ISO 8601 timestamp', 400));
+    }
+
+    const softwareError = validateSoftwareRequirements(software_requirements) ||
+      validateSoftwareRequirements(software_preferences, 'software_preferences');
+    if (softwareError) {
+      return res.status(400).json(formatError(softwareError, 400));
+    }
+
+    const infrastructureError = validateInfrastructureRequirements(infrastructure_requirements) ||
+      validateInfrastructureRequirements(infrastructure_preferences, 'infrastructure_preferences');
+    if (infrastructureError) {
+      return res.status(400).json(formatError(infrastructureError, 400));
+    }
+
+    const gpuType = await GpuType.resolve(gpu_type);
+    if (!gpuType) {
+      return res.status(400).json(formatError(unknownGpuTypeMessage(gpu_type), 400));
+    }
+
     const request = {
       gpu_count: parseInt(gpu_count),
-      gpu_type,
+      gpu_type: gpuType.id,
+      gpu_type_id: gpuType.id,
+      gpu_match,
       duration_hours: parseInt(duration_hours),
       max_price_per_hour: parseFloat(max_price_per_hour),
+      cpu_cores: parseInt(cpu_cores) || null,
+      memory_gb: parseInt(memory_gb) || null,
       region: region || null,
+      starts_at: starts_at || null,
+      capacity_classes: [...new Set(capacity_classes)],
+      software_requirements: software_requirements ?? null,
+      software_preferences: software_preferences ?? null,
+      infrastructure_requirements: infrastructure_requirements ?? null,
+      infrastructure_preferences: infrastructure_preferences ?? null,
     };
 
     const matches = await MatchingService.findMatches(request, 10);
@@ -102,11 +255,24 @@ router.post('/find-matches', async (req, res) => {
         matches: matches.map(m => ({
           provider_id: m.provider_id,
           capability_id: m.id,
+          capacity_class: m.capacity_class,
           gpu_count: m.gpu_count,
-          gpu_type: m.gpu_type,
+          gpu_type: m.gpu_type_id,
+          gpu_name: m.gpu_name,
           cpu_cores: m.cpu_cores,
           memory_gb: m.memory_gb,
+          free_gpu_count: m.free_gpu_count,
+          free_cpu_cores: m.free_cpu_cores,
+          free_memory_gb: m.free_memory_gb,
+          software: m.software,
+          interconnects: m.interconnects,
+          egress_bandwidth_gbps: m.egress_bandwidth_gbps,
+          local_nvme_gb: m.local_nvme_gb,
+          public_ip: m.public_ip,
+          sla_terms: m.sla_terms,
           price_per_hour: m.price_per_hour,
+          effective_price_per_hour: m.effective_price_per_hour,
+          price_breakdown: m.price_breakdown,
           reputation_score: m.reputation_score,
           uptime_percentage: m.uptime_percentage,
           match_score: m.match_score,
@@ -120,6 +286,172 @@ router.post('/find-matches', async (req, res) => {
   }
 });
 
+/**
+ * List the GPU catalog
+ * GET /api/v1/discovery/gpu-types
+ */
+router.get('/gpu-types', async (req, res) => {
+  try {
+    const gpuTypes = await GpuType.findAll();
+
+    return res.status(200).json(
+      formatResponse({
+        gpu_types: gpuTypes,
+        count: gpuTypes.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching GPU types:', error);
+    return res.status(500).json(formatError('Failed to fetch GPU types', 500, error));
+  }
+});
+
+/**
+ * Resolve any spelling of a GPU to its catalog entry, with the types that
+ * satisfy a request for it under gpu_match=at_least
+ * GET /api/v1/discovery/gpu-types/:gpuType
+ */
+router.get('/gpu-types/:gpuType', async (req, res) => {
+  try {
+    const gpuType = await GpuType.resolve(req.params.gpuType);
+
+    if (!gpuType) {
+      return res.status(404).json(formatError(unknownGpuTypeMessage(req.params.gpuType), 404));
+    }
+
+    const atLeast = await GpuType.findAtLeast(gpuType.id);
+
+    return res.status(200).json(
+      formatResponse({
+        ...gpuType,
+        at_least: atLeast.map(g => g.id),
+      })
+    );
+  } catch (error) {
+    console.error('Error resolving GPU type:', error);
+    return res.status(500).json(formatError('Failed to resolve GPU type', 500, error));
+  }
+});
+
+/**
+ * Market price series for a GPU type, derived from capability history
+ * GET /api/v1/discovery/gpu-types/:gpuType/price-history?interval=day&from=...&to=...&capacity_class=spot
+ */
+router.get('/gpu-types/:gpuType/price-history', async (req, res) => {
+  try {
+    const { interval = 'day', capacity_class = 'on_demand', from, to } = req.query;
+
+    if (!PRICE_SERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json(
+        formatError(`interval must be one of: ${PRICE_SERIES_INTERVALS.join(', ')}`, 400)
+      );
+    }
+
+    if (!CAPACITY_CLASSES.includes(capacity_class)) {
+      return res.status(400).json(
+        formatError(`capacity_class must be one of: ${CAPACITY_CLASSES.join(', ')}`, 400)
+      );
+    }
+
+    const toAt = to ? parseTimestamp(to) : new Date();
+    const fromAt = from ? parseTimestamp(from) : new Date(toAt - 30 * 24 * 60 * 60 * 1000);
+
+    if (!fromAt || !toAt) {
+      return res.status(400).json(formatError('from and to must be ISO 8601 timestamps', 400));
+    }
+
+    if (fromAt > toAt) {
+      return res.status(400).json(formatError('from must not be after to', 400));
+    }
+
+    const stepMs = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 }[interval];
+    if ((toAt - fromAt) / stepMs + 1 > MAX_PRICE_SERIES_POINTS) {
+      return res.status(400).json(
+        formatError(`At most ${MAX_PRICE_SERIES_POINTS} points per series; narrow the range or widen the interval`, 400)
+      );
+    }
+
+    const gpuType = await GpuType.resolve(req.params.gpuType);
+    if (!gpuType) {
+      return res.status(404).json(formatError(unknownGpuTypeMessage(req.params.gpuType), 404));
+    }
+
+    const series = await CapabilityHistory.getPriceSeries(gpuType.id, {
+      from: fromAt,
+      to: toAt,
+      interval,
+      capacityClass: capacity_class,
+    });
+
+    return res.status(200).json(
+      formatResponse({
+        gpu_type: gpuType.id,
+        capacity_class,
+        interval,
+        from: fromAt,
+        to: toAt,
+        series,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    return res.status(500).json(formatError('Failed to fetch price history', 500, error));
+  }
+});
+
+/**
+ * Add a GPU type to the catalog (admin only)
+ * POST /api/v1/discovery/gpu-types
+ */
+router.post('/gpu-types', authenticate, requireScope('capabilities:write'), requirePlatformRole('admin'), async (req, res) => {
+  try {
+    const {
+      id, name, vendor, architecture, vram_gb, fp16_tflops, fp32_tflops, interconnect, aliases = [],
+    } = req.body || {};
+
+    if (!id || !name || !vendor || !architecture || !vram_gb || !fp16_tflops || !fp32_tflops) {
+      return res.status(400).json(
+        formatError('Missing required fields: id, name, vendor, architecture, vram_gb, fp16_tflops, fp32_tflops', 400)
+      );
+    }
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      return res.status(400).json(formatError('id must be lowercase letters, digits and dashes', 400));
+    }
+
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      return res.status(400).json(formatError('aliases must be an array of strings', 400));
+    }
+
+    // Every spelling must resolve to exactly one catalog entry
+    for (const spelling of [id, name, ...aliases]) {
+      const existing = await GpuType.resolve(spelling);
+      if (existing) {
+        return res.status(409).json(
+          formatError(`'${spelling}' already resolves to GPU type ${existing.id}`, 409)
+        );
+      }
+    }
+
+    const gpuType = await GpuType.create({
+      id,
+      name,
+      vendor,
+      architecture,
+      vramGb: vram_gb,
+      fp16Tflops: fp16_tflops,
+      fp32Tflops: fp32_tflops,
+      interconnect,
+      aliases,
+    });
+
+    return res.status(201).json(formatResponse(gpuType, 'GPU type added successfully', 201));
+  } catch (error) {
+    console.error('Error adding GPU type:', error);
+    return res.status(500).json(formatError('Failed to add GPU type', 500, error));
+  }
+});
+
 /**
  * Get marketplace stats
  * GET /api/v1/discovery/stats
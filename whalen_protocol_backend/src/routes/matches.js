@@ -1,11 +1,47 @@
 import express from 'express';
 import Match from '../models/Match.js';
 import MatchingService from '../services/MatchingService.js';
-import { authenticateAgent } from '../middleware/auth.js';
+import SlaService from '../services/SlaService.js';
+import ReviewService from '../services/ReviewService.js';
+import Review, { REVIEW_TAGS } from '../models/Review.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { forbidden } from '../middleware/authorize.js';
 import { formatResponse, formatError } from '../utils/helpers.js';
 
 const router = express.Router();
 
+const isStarRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Check a review body. Returns an error message, or null when valid.
+ */
+const validateReview = ({ rating, tags, comment }) => {
+  if (!isStarRating(rating)) {
+    return 'rating must be an integer from 1 to 5';
+  }
+
+  if (tags !== undefined) {
+    if (typeof tags !== 'object' || tags === null || Array.isArray(tags)) {
+      return `tags must be an object with any of: ${REVIEW_TAGS.join(', ')}`;
+    }
+
+    for (const [tag, value] of Object.entries(tags)) {
+      if (!REVIEW_TAGS.includes(tag)) {
+        return `Unknown tag: ${tag}. Must be one of: ${REVIEW_TAGS.join(', ')}`;
+      }
+      if (!isStarRating(value)) {
+        return `Tag ${tag} must be an integer from 1 to 5`;
+      }
+    }
+  }
+
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return 'comment must be a string';
+  }
+
+  return null;
+};
+
 /**
  * Get match by ID
  * GET /api/v1/matches/:matchId
@@ -25,6 +61,31 @@ router.get('/:matchId', async (req, res) => {
   }
 });
 
+/**
+ * Measure a match against the SLA terms it was accepted under
+ * GET /api/v1/matches/:matchId/sla
+ */
+router.get('/:matchId/sla', async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+
+    if (!match) {
+      return res.status(404).json(formatError('Match not found', 404));
+    }
+
+    if (!match.sla_terms) {
+      return res.status(404).json(formatError('Match has no SLA terms', 404));
+    }
+
+    const assessment = await SlaService.assess(match);
+
+    return res.status(200).json(formatResponse(assessment));
+  } catch (error) {
+    console.error('Error assessing SLA:', error);
+    return res.status(500).json(formatError('Failed to assess SLA', 500, error));
+  }
+});
+
 /**
  * Get matches for a request
  * GET /api/v1/matches/request/:requestId
@@ -50,12 +111,12 @@ router.get('/request/:requestId', async (req, res) => {
  * Get my matches (as provider)
  * GET /api/v1/matches/my-matches
  */
-router.get('/my-matches', authenticateAgent, async (req, res) => {
+router.get('/my-matches', authenticate, requireScope('matches:read'), async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     const offset = parseInt(req.query.offset) || 0;
 
-    const matches = await Match.findByProviderId(req.agentId, limit, offset);
+    const matches = await Match.findByProviderId(req.user.id, limit, offset);
 
     return res.status(200).json(
       formatResponse({
@@ -74,17 +135,51 @@ router.get('/my-matches', authenticateAgent, async (req, res) => {
  * Accept a match
  * POST /api/v1/matches/:matchId/accept
  */
-router.post('/:matchId/accept', authenticateAgent, async (req, res) => {
+router.post('/:matchId/accept', authenticate, requireScope('matches:accept'), async (req, res) => {
   try {
-    const match = await MatchingService.acceptMatch(req.params.matchId, req.agentId);
+    const match = await MatchingService.acceptMatch(req.params.matchId, req.user.id);
 
     return res.status(200).json(
       formatResponse(match, 'Match accepted successfully')
     );
   } catch (error) {
     console.error('Error accepting match:', error);
-    const statusCode = error.message.includes('Unauthorized') ? 403 : 500;
-    return res.status(statusCode).json(formatError(error.message, statusCode, error));
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    if (error.message.startsWith('Cannot accept')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError(error.message, 500, error));
+  }
+});
+
+/**
+ * Mark an accepted match as running
+ * POST /api/v1/matches/:matchId/start
+ */
+router.post('/:matchId/start', authenticate, requireScope('matches:write'), async (req, res) => {
+  try {
+    const match = await MatchingService.startMatch(req.params.matchId, req.user.id);
+
+    return res.status(200).json(
+      formatResponse(match, 'Match started successfully')
+    );
+  } catch (error) {
+    console.error('Error starting match:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    if (error.message.startsWith('Cannot start')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError(error.message, 500, error));
   }
 });
 
@@ -92,17 +187,25 @@ router.post('/:matchId/accept', authenticateAgent, async (req, res) => {
  * Complete a match
  * POST /api/v1/matches/:matchId/complete
  */
-router.post('/:matchId/complete', authenticateAgent, async (req, res) => {
+router.post('/:matchId/complete', authenticate, requireScope('matches:write'), async (req, res) => {
   try {
-    const match = await MatchingService.completeMatch(req.params.matchId, req.agentId);
+    const match = await MatchingService.completeMatch(req.params.matchId, req.user.id);
 
     return res.status(200).json(
       formatResponse(match, 'Match completed successfully')
     );
   } catch (error) {
     console.error('Error completing match:', error);
-    const statusCode = error.message.includes('Unauthorized') ? 403 : 500;
-    return res.status(statusCode).json(formatError(error.message, statusCode, error));
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    if (error.message.startsWith('Cannot complete')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError(error.message, 500, error));
   }
 });
 
@@ -110,16 +213,126 @@ router.post('/:matchId/complete', authenticateAgent, async (req, res) => {
  * Cancel a match
  * POST /api/v1/matches/:matchId/cancel
  */
-router.post('/:matchId/cancel', authenticateAgent, async (req, res) => {
+router.post('/:matchId/cancel', authenticate, requireScope('matches:write'), async (req, res) => {
   try {
-    const match = await MatchingService.cancelMatch(req.params.matchId, req.agentId);
+    const match = await MatchingService.cancelMatch(req.params.matchId, req.user);
 
     return res.status(200).json(
       formatResponse(match, 'Match cancelled successfully')
     );
   } catch (error) {
     console.error('Error cancelling match:', error);
-    return res.status(500).json(formatError('Failed to cancel match', 500, error));
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    if (error.message.startsWith('Cannot cancel')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError(error.message, 500, error));
+  }
+});
+
+/**
+ * Mark a match as failed
+ * POST /api/v1/matches/:matchId/fail
+ */
+router.post('/:matchId/fail', authenticate, requireScope('matches:write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const match = await MatchingService.failMatch(req.params.matchId, req.user, reason || null);
+
+    return res.status(200).json(
+      formatResponse(match, 'Match marked as failed')
+    );
+  } catch (error) {
+    console.error('Error failing match:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    const statusCode = error.message.startsWith('Cannot fail') ? 409 : 500;
+    return res.status(statusCode).json(formatError(error.message, statusCode, error));
+  }
+});
+
+/**
+ * Move a request to another provider when its match runs into maintenance
+ * POST /api/v1/matches/:matchId/rematch
+ */
+router.post('/:matchId/rematch', authenticate, requireScope('matches:write'), async (req, res) => {
+  try {
+    const result = await MatchingService.rematch(req.params.matchId, req.user);
+
+    return res.status(201).json(
+      formatResponse(result, 'Request re-matched to another provider', 201)
+    );
+  } catch (error) {
+    console.error('Error re-matching:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    const statusCode = error.message.startsWith('Cannot re-match') ? 409 : 500;
+    return res.status(statusCode).json(formatError(error.message, statusCode, error));
+  }
+});
+
+/**
+ * Review the other party of a completed match
+ * POST /api/v1/matches/:matchId/review
+ */
+router.post('/:matchId/review', authenticate, requireScope('matches:write'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateReview(body);
+    if (invalid) {
+      return res.status(400).json(formatError(invalid, 400));
+    }
+
+    const review = await ReviewService.submitReview(req.params.matchId, req.user, {
+      rating: body.rating,
+      tags: body.tags || {},
+      comment: body.comment || null,
+    });
+
+    return res.status(201).json(
+      formatResponse(review, 'Review submitted successfully', 201)
+    );
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    const statusCode = error.message.startsWith('Cannot review') ? 409 : 500;
+    return res.status(statusCode).json(formatError(error.message, statusCode, error));
+  }
+});
+
+/**
+ * Get reviews for a match
+ * GET /api/v1/matches/:matchId/reviews
+ */
+router.get('/:matchId/reviews', async (req, res) => {
+  try {
+    const reviews = await Review.findByMatchId(req.params.matchId);
+
+    return res.status(200).json(
+      formatResponse({
+        match_id: req.params.matchId,
+        reviews,
+        count: reviews.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    return res.status(500).json(formatError('Failed to fetch reviews', 500, error));
   }
 });
 
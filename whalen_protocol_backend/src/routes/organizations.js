@@ -0,0 +1,429 @@
+import express from 'express';
+import Organization, { ORGANIZATION_ROLES } from '../models/Organization.js';
+import Agent from '../models/Agent.js';
+import ApiKey from '../models/ApiKey.js';
+import OrganizationService from '../services/OrganizationService.js';
+import { authenticate, requireScope, parseApiKeyRequest } from '../middleware/auth.js';
+import { formatResponse, formatError } from '../utils/helpers.js';
+
+const router = express.Router();
+
+/**
+ * Organization keys act for members but never manage organizations,
+ * memberships or keys
+ */
+const rejectOrganizationKeys = (req, res, next) => {
+  if (req.user.authMethod === 'org_api_key') {
+    return res.status(403).json(formatError('Organization keys cannot manage organizations', 403));
+  }
+  next();
+};
+
+/**
+ * Load the caller's active membership in :orgId and require one of the given roles.
+ * Non-members get a 404 so organization IDs cannot be probed. An organization
+ * key only sees its own organization, at the role it was capped to.
+ */
+const requireOrgRole = (...roles) => async (req, res, next) => {
+  try {
+    const isOrgKey = req.user.authMethod === 'org_api_key';
+    let membership = isOrgKey && req.params.orgId !== req.user.organizationId
+      ? null
+      : await Organization.getMembership(req.params.orgId, req.user.id);
+
+    if (!membership || membership.status !== 'active') {
+      return res.status(404).json(formatError('Organization not found', 404));
+    }
+
+    if (isOrgKey) {
+      membership = { ...membership, role: req.user.organizationRole };
+    }
+
+    if (roles.length > 0 && !roles.includes(membership.role)) {
+      return res.status(403).json(
+        formatError(`Requires organization role: ${roles.join(' or ')}`, 403)
+      );
+    }
+
+    req.membership = membership;
+    next();
+  } catch (error) {
+    return res.status(500).json(formatError('Failed to load organization membership', 500, error));
+  }
+};
+
+const wouldRemoveLastOwner = async (orgId, membership) => {
+  if (membership.role !== 'owner' || membership.status !== 'active') return false;
+  return (await Organization.countOwners(orgId)) <= 1;
+};
+
+/**
+ * Create an organization
+ * POST /api/v1/organizations
+ */
+router.post('/', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json(formatError('Name is required', 400));
+    }
+
+    const organization = await Organization.create(name, req.user.id);
+
+    return res.status(201).json(
+      formatResponse(organization, 'Organization created successfully', 201)
+    );
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    return res.status(500).json(formatError('Failed to create organization', 500, error));
+  }
+});
+
+/**
+ * Get my organizations, including pending invitations
+ * GET /api/v1/organizations
+ */
+router.get('/', authenticate, requireScope('organizations:read'), async (req, res) => {
+  try {
+    const organizations = await Organization.findByAgentId(req.user.id);
+
+    return res.status(200).json(
+      formatResponse({
+        organizations,
+        count: organizations.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    return res.status(500).json(formatError('Failed to fetch organizations', 500, error));
+  }
+});
+
+/**
+ * Get organization details and members
+ * GET /api/v1/organizations/:orgId
+ */
+router.get('/:orgId', authenticate, requireScope('organizations:read'), requireOrgRole(), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.orgId);
+    const members = await Organization.getMembers(req.params.orgId);
+
+    return res.status(200).json(
+      formatResponse({
+        ...organization,
+        role: req.membership.role,
+        members,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    return res.status(500).json(formatError('Failed to fetch organization', 500, error));
+  }
+});
+
+/**
+ * Rename an organization
+ * PATCH /api/v1/organizations/:orgId
+ */
+router.patch('/:orgId', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, requireOrgRole('owner'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const updates = {};
+
+    if (name) updates.name = name;
+
+    const organization = await Organization.update(req.params.orgId, updates);
+
+    return res.status(200).json(
+      formatResponse(organization, 'Organization updated successfully')
+    );
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    return res.status(500).json(formatError('Failed to update organization', 500, error));
+  }
+});
+
+/**
+ * Invite an agent to an organization
+ * POST /api/v1/organizations/:orgId/members
+ */
+router.post('/:orgId/members', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, requireOrgRole('owner'), async (req, res) => {
+  try {
+    const { agent_id, role } = req.body;
+    const memberRole = role || 'viewer';
+
+    if (!agent_id) {
+      return res.status(400).json(formatError('agent_id is required', 400));
+    }
+
+    if (!ORGANIZATION_ROLES.includes(memberRole)) {
+      return res.status(400).json(
+        formatError(`Invalid role. Must be one of: ${ORGANIZATION_ROLES.join(', ')}`, 400)
+      );
+    }
+
+    const agent = await Agent.findById(agent_id);
+    if (!agent) {
+      return res.status(404).json(formatError('Agent not found', 404));
+    }
+
+    if (await Organization.getMembership(req.params.orgId, agent_id)) {
+      return res.status(409).json(formatError('Agent is already a member or invited', 409));
+    }
+
+    const membership = await Organization.inviteMember(req.params.orgId, agent_id, memberRole, req.user.id);
+
+    return res.status(201).json(
+      formatResponse(membership, 'Invitation sent; the agent must accept it to join', 201)
+    );
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    return res.status(500).json(formatError('Failed to invite member', 500, error));
+  }
+});
+
+/**
+ * Accept an invitation
+ * POST /api/v1/organizations/:orgId/join
+ */
+router.post('/:orgId/join', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, async (req, res) => {
+  try {
+    const membership = await Organization.acceptInvitation(req.params.orgId, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json(formatError('No pending invitation for this organization', 404));
+    }
+
+    return res.status(200).json(formatResponse(membership, 'Joined organization successfully'));
+  } catch (error) {
+    console.error('Error joining organization:', error);
+    return res.status(500).json(formatError('Failed to join organization', 500, error));
+  }
+});
+
+/**
+ * Change a member's role
+ * PATCH /api/v1/organizations/:orgId/members/:agentId
+ */
+router.patch('/:orgId/members/:agentId', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, requireOrgRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json(
+        formatError(`Invalid role. Must be one of: ${ORGANIZATION_ROLES.join(', ')}`, 400)
+      );
+    }
+
+    const membership = await Organization.getMembership(req.params.orgId, req.params.agentId);
+    if (!membership) {
+      return res.status(404).json(formatError('Member not found', 404));
+    }
+
+    if (role !== 'owner' && await wouldRemoveLastOwner(req.params.orgId, membership)) {
+      return res.status(409).json(formatError('An organization must keep at least one owner', 409));
+    }
+
+    const updated = await Organization.updateMemberRole(req.params.orgId, req.params.agentId, role);
+
+    return res.status(200).json(formatResponse(updated, 'Member role updated successfully'));
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    return res.status(500).json(formatError('Failed to update member role', 500, error));
+  }
+});
+
+/**
+ * Remove a member, or leave an organization
+ * DELETE /api/v1/organizations/:orgId/members/:agentId
+ */
+router.delete('/:orgId/members/:agentId', authenticate, requireScope('organizations:write'), rejectOrganizationKeys, async (req, res) => {
+  try {
+    const { orgId, agentId } = req.params;
+    const isSelf = agentId === req.user.id;
+
+    if (!isSelf) {
+      const callerMembership = await Organization.getMembership(orgId, req.user.id);
+      if (!callerMembership || callerMembership.status !== 'active' || callerMembership.role !== 'owner') {
+        return res.status(403).json(formatError('Only owners can remove other members', 403));
+      }
+    }
+
+    const membership = await Organization.getMembership(orgId, agentId);
+    if (!membership) {
+      return res.status(404).json(formatError('Member not found', 404));
+    }
+
+    if (await wouldRemoveLastOwner(orgId, membership)) {
+      return res.status(409).json(formatError('An organization must keep at least one owner', 409));
+    }
+
+    const removed = await Organization.removeMember(orgId, agentId);
+
+    return res.status(200).json(formatResponse(removed, 'Member removed successfully'));
+  } catch (error) {
+    console.error('Error removing member:', error);
+    return res.status(500).json(formatError('Failed to remove member', 500, error));
+  }
+});
+
+/**
+ * Get organization activity summary
+ * GET /api/v1/organizations/:orgId/summary
+ */
+router.get('/:orgId/summary', authenticate, requireScope('organizations:read'), requireOrgRole(), async (req, res) => {
+  try {
+    const summary = await OrganizationService.getSummary(req.params.orgId);
+
+    return res.status(200).json(formatResponse(summary));
+  } catch (error) {
+    console.error('Error fetching organization summary:', error);
+    return res.status(500).json(formatError('Failed to fetch organization summary', 500, error));
+  }
+});
+
+/**
+ * Get requests submitted by members
+ * GET /api/v1/organizations/:orgId/requests
+ */
+router.get('/:orgId/requests', authenticate, requireScope('organizations:read'), requireOrgRole(), async (req, res) => {
+  try {
+    const requests = await OrganizationService.getRequests(req.params.orgId);
+
+    return res.status(200).json(
+      formatResponse({
+        organization_id: req.params.orgId,
+        requests,
+        count: requests.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organization requests:', error);
+    return res.status(500).json(formatError('Failed to fetch organization requests', 500, error));
+  }
+});
+
+/**
+ * Get matches served by member providers
+ * GET /api/v1/organizations/:orgId/matches
+ */
+router.get('/:orgId/matches', authenticate, requireScope('organizations:read'), requireOrgRole(), async (req, res) => {
+  try {
+    const matches = await OrganizationService.getMatches(req.params.orgId);
+
+    return res.status(200).json(
+      formatResponse({
+        organization_id: req.params.orgId,
+        matches,
+        count: matches.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organization matches:', error);
+    return res.status(500).json(formatError('Failed to fetch organization matches', 500, error));
+  }
+});
+
+/**
+ * Get transactions involving members
+ * GET /api/v1/organizations/:orgId/transactions
+ */
+router.get('/:orgId/transactions', authenticate, requireScope('organizations:read'), requireOrgRole(), async (req, res) => {
+  try {
+    const transactions = await OrganizationService.getTransactions(req.params.orgId);
+
+    return res.status(200).json(
+      formatResponse({
+        organization_id: req.params.orgId,
+        transactions,
+        count: transactions.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organization transactions:', error);
+    return res.status(500).json(formatError('Failed to fetch organization transactions', 500, error));
+  }
+});
+
+/**
+ * Create an org-wide API key
+ * POST /api/v1/organizations/:orgId/keys
+ */
+router.post('/:orgId/keys', authenticate, requireScope('keys:write'), rejectOrganizationKeys, requireOrgRole('owner', 'operator'), async (req, res) => {
+  try {
+    const parsed = parseApiKeyRequest(req.user, req.body);
+    if (parsed.error) {
+      return res.status(parsed.statusCode).json(formatError(parsed.error, parsed.statusCode));
+    }
+
+    const key = await ApiKey.createForOrganization(
+      req.params.orgId,
+      req.user.id,
+      parsed.label,
+      parsed.scopes,
+      parsed.expiresAt
+    );
+
+    return res.status(201).json(
+      formatResponse(
+        {
+          id: key.id,
+          organization_id: key.organization_id,
+          created_by: key.created_by,
+          label: key.label,
+          api_key: key.api_key,
+          scopes: key.scopes,
+          expires_at: key.expires_at,
+          created_at: key.created_at,
+        },
+        'Organization API key created successfully',
+        201
+      )
+    );
+  } catch (error) {
+    console.error('Error creating organization API key:', error);
+    return res.status(500).json(formatError('Failed to create organization API key', 500, error));
+  }
+});
+
+/**
+ * List org-wide API keys
+ * GET /api/v1/organizations/:orgId/keys
+ */
+router.get('/:orgId/keys', authenticate, requireScope('keys:read'), rejectOrganizationKeys, requireOrgRole('owner', 'operator'), async (req, res) => {
+  try {
+    const keys = await ApiKey.findByOrganizationId(req.params.orgId);
+
+    return res.status(200).json(
+      formatResponse({
+        keys,
+        count: keys.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching organization API keys:', error);
+    return res.status(500).json(formatError('Failed to fetch organization API keys', 500, error));
+  }
+});
+
+/**
+ * Revoke an org-wide API key
+ * DELETE /api/v1/organizations/:orgId/keys/:keyId
+ */
+router.delete('/:orgId/keys/:keyId', authenticate, requireScope('keys:write'), rejectOrganizationKeys, requireOrgRole('owner', 'operator'), async (req, res) => {
+  try {
+    const key = await ApiKey.revokeForOrganization(req.params.keyId, req.params.orgId);
+
+    if (!key) {
+      return res.status(404).json(formatError('API key not found or already revoked', 404));
+    }
+
+    return res.status(200).json(formatResponse(key, 'Organization API key revoked successfully'));
+  } catch (error) {
+    console.error('Error revoking organization API key:', error);
+    return res.status(500).json(formatError('Failed to revoke organization API key', 500, error));
+  }
+});
+
+export default router;
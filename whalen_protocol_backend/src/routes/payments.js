@@ -1,5 +1,7 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import pool from '../config/database.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { canViewTransaction, forbidden } from '../middleware/authorize.js';
 import PaymentService from '../services/PaymentService.js';
 import VerificationService from '../services/VerificationService.js';
 import Stripe from 'stripe';
@@ -12,7 +14,7 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
  * POST /api/v1/payments/create-intent
  * Create a payment intent for a match
  */
-router.post('/create-intent', authenticate, async (req, res) => {
+router.post('/create-intent', authenticate, requireScope('payments:write'), async (req, res) => {
   try {
     const { matchId, amount } = req.body;
     const agentId = req.user.id;
@@ -30,7 +32,7 @@ router.post('/create-intent', authenticate, async (req, res) => {
     }
 
     // Get match details to verify requester
-    const matchResult = await req.app.locals.pool.query(
+    const matchResult = await pool.query(
       `SELECT m.*, cr.requester_id, cr.duration_hours, pc.price_per_hour
        FROM matches m
        JOIN compute_requests cr ON m.request_id = cr.id
@@ -47,9 +49,7 @@ router.post('/create-intent', authenticate, async (req, res) => {
 
     // Verify requester is the one creating payment
     if (match.requester_id !== agentId) {
-      return res.status(403).json({
-        error: 'Only the requester can create payment for this match',
-      });
+      return forbidden(res, 'Only the requester can create payment for this match');
     }
 
     // Create payment intent
@@ -76,7 +76,7 @@ router.post('/create-intent', authenticate, async (req, res) => {
  * POST /api/v1/payments/confirm
  * Confirm a payment and move to escrow
  */
-router.post('/confirm', authenticate, async (req, res) => {
+router.post('/confirm', authenticate, requireScope('payments:write'), async (req, res) => {
   try {
     const { paymentIntentId, transactionId } = req.body;
 
@@ -107,12 +107,16 @@ router.post('/confirm', authenticate, async (req, res) => {
  * GET /api/v1/payments/transaction/:transactionId
  * Get transaction details
  */
-router.get('/transaction/:transactionId', authenticate, async (req, res) => {
+router.get('/transaction/:transactionId', authenticate, requireScope('payments:read'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
     const transaction = await PaymentService.getTransaction(transactionId);
 
+    if (!canViewTransaction(req.user, transaction)) {
+      return forbidden(res, 'Only parties to the transaction can view it');
+    }
+
     res.status(200).json({
       success: true,
       data: transaction,
@@ -129,7 +133,7 @@ router.get('/transaction/:transactionId', authenticate, async (req, res) => {
  * GET /api/v1/payments/my-transactions
  * Get all transactions for authenticated agent
  */
-router.get('/my-transactions', authenticate, async (req, res) => {
+router.get('/my-transactions', authenticate, requireScope('payments:read'), async (req, res) => {
   try {
     const agentId = req.user.id;
     const transactions = await PaymentService.getAgentTransactions(agentId);
@@ -1,18 +1,91 @@
 import express from 'express';
 import ProviderCapability from '../models/ProviderCapability.js';
-import Agent from '../models/Agent.js';
-import { authenticateAgent } from '../middleware/auth.js';
-import { formatResponse, formatError } from '../utils/helpers.js';
+import GpuType, { unknownGpuTypeMessage } from '../models/GpuType.js';
+import AvailabilityWindow from '../models/AvailabilityWindow.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import AcceptancePolicy from '../models/AcceptancePolicy.js';
+import PricingRule, { PRICING_RULE_TYPES } from '../models/PricingRule.js';
+import CapabilityHistory from '../models/CapabilityHistory.js';
+import HeartbeatService from '../services/HeartbeatService.js';
+import AvailabilityService from '../services/AvailabilityService.js';
+import MaintenanceService from '../services/MaintenanceService.js';
+import FleetService, { FLEET_COLUMNS, MAX_IMPORT_ROWS } from '../services/FleetService.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { formatResponse, formatError, parseTimestamp, toCsv, validateHours } from '../utils/helpers.js';
+import { validateSoftwareEnvironment } from '../utils/software.js';
+import { validateInfrastructure } from '../utils/infrastructure.js';
+import { validateSlaTerms } from '../utils/sla.js';
+import { validateAcceptancePolicy } from '../utils/acceptance.js';
 
 const router = express.Router();
 
+const MAX_PRICE_MULTIPLIER = 10;
+
+const UNIQUE_VIOLATION = '23505';
+
+// Spot and reserved prices are optional; null stops offering the class
+const isValidClassPrice = (value) => value === undefined || value === null || (typeof value === 'number' && value > 0);
+
+const isValidExternalNodeId = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() !== '' && value.length <= 255);
+
+/**
+ * Validate a pricing rule and keep only the fields its type uses
+ * @returns {Object} { error } or { rule }
+ */
+const parsePricingRule = (body) => {
+  const { rule_type, name, multiplier } = body;
+
+  if (!PRICING_RULE_TYPES.includes(rule_type)) {
+    return { error: `rule_type must be one of: ${PRICING_RULE_TYPES.join(', ')}` };
+  }
+
+  if (typeof multiplier !== 'number' || multiplier <= 0 || multiplier > MAX_PRICE_MULTIPLIER) {
+    return { error: `multiplier must be a number above 0 and at most ${MAX_PRICE_MULTIPLIER}` };
+  }
+
+  const rule = { rule_type, name: name || null, multiplier };
+
+  if (rule_type === 'time_of_day') {
+    const { start_hour, end_hour, weekdays } = body;
+
+    const hoursError = validateHours({ start_hour, end_hour, weekdays });
+    if (hoursError) {
+      return { error: hoursError };
+    }
+
+    return { rule: { ...rule, start_hour, end_hour, weekdays: weekdays ? [...new Set(weekdays)] : null } };
+  }
+
+  if (rule_type === 'utilization') {
+    const { utilization_threshold } = body;
+
+    if (typeof utilization_threshold !== 'number' || utilization_threshold <= 0 || utilization_threshold > 1) {
+      return { error: 'utilization_threshold must be a number above 0 and at most 1' };
+    }
+
+    return { rule: { ...rule, utilization_threshold } };
+  }
+
+  const { min_duration_hours } = body;
+  if (!Number.isInteger(min_duration_hours) || min_duration_hours < 1) {
+    return { error: 'min_duration_hours must be a positive integer' };
+  }
+
+  return { rule: { ...rule, min_duration_hours } };
+};
+
 /**
  * Register provider capability
  * POST /api/v1/providers/capabilities
  */
-router.post('/capabilities', authenticateAgent, async (req, res) => {
+router.post('/capabilities', authenticate, requireScope('capabilities:write'), async (req, res) => {
   try {
-    const { gpu_count, gpu_type, cpu_cores, memory_gb, price_per_hour, region } = req.body;
+    const {
+      gpu_count, gpu_type, cpu_cores, memory_gb, price_per_hour, region,
+      spot_price_per_hour, reserved_price_per_hour, external_node_id, software,
+      interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip, sla_terms,
+    } = req.body || {};
 
     if (!gpu_count || !gpu_type || !cpu_cores || !memory_gb || !price_per_hour) {
       return res.status(400).json(
@@ -21,25 +94,68 @@ router.post('/capabilities', authenticateAgent, async (req, res) => {
     }
 
     // Verify agent is a provider
-    const agent = await Agent.findById(req.agentId);
-    if (!['provider', 'both'].includes(agent.type)) {
+    if (!req.user.roles.includes('provider')) {
       return res.status(403).json(formatError('Agent is not a provider', 403));
     }
 
+    if (!isValidClassPrice(spot_price_per_hour) || !isValidClassPrice(reserved_price_per_hour)) {
+      return res.status(400).json(
+        formatError('spot_price_per_hour and reserved_price_per_hour must be positive numbers or null', 400)
+      );
+    }
+
+    if (!isValidExternalNodeId(external_node_id)) {
+      return res.status(400).json(formatError('external_node_id must be a string of at most 255 characters', 400));
+    }
+
+    const softwareError = validateSoftwareEnvironment(software);
+    if (softwareError) {
+      return res.status(400).json(formatError(softwareError, 400));
+    }
+
+    const infrastructureError = validateInfrastructure({ interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip });
+    if (infrastructureError) {
+      return res.status(400).json(formatError(infrastructureError, 400));
+    }
+
+    const slaError = validateSlaTerms(sla_terms);
+    if (slaError) {
+      return res.status(400).json(formatError(slaError, 400));
+    }
+
+    const gpuType = await GpuType.resolve(gpu_type);
+    if (!gpuType) {
+      return res.status(400).json(formatError(unknownGpuTypeMessage(gpu_type), 400));
+    }
+
     const capability = await ProviderCapability.create(
-      req.agentId,
+      req.user.id,
       gpu_count,
-      gpu_type,
+      gpuType.id,
       cpu_cores,
       memory_gb,
       price_per_hour,
-      region || 'us-east-1'
+      region || 'us-east-1',
+      {
+        spotPricePerHour: spot_price_per_hour ?? null,
+        reservedPricePerHour: reserved_price_per_hour ?? null,
+        externalNodeId: external_node_id ?? null,
+        software: software ?? null,
+        interconnects: interconnects ? [...new Set(interconnects)] : [],
+        egressBandwidthGbps: egress_bandwidth_gbps ?? null,
+        localNvmeGb: local_nvme_gb ?? null,
+        publicIp: public_ip ?? false,
+        slaTerms: sla_terms ?? null,
+      }
     );
 
     return res.status(201).json(
       formatResponse(capability, 'Provider capability registered successfully', 201)
     );
   } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json(formatError('external_node_id is already used by another of your capabilities', 409));
+    }
     console.error('Error registering capability:', error);
     return res.status(500).json(formatError('Failed to register capability', 500, error));
   }
@@ -69,7 +185,7 @@ router.get('/capabilities/:providerId', async (req, res) => {
  * Update provider capability
  * PATCH /api/v1/providers/capabilities/:capabilityId
  */
-router.patch('/capabilities/:capabilityId', authenticateAgent, async (req, res) => {
+router.patch('/capabilities/:capabilityId', authenticate, requireScope('capabilities:write'), async (req, res) => {
   try {
     const capability = await ProviderCapability.findById(req.params.capabilityId);
 
@@ -77,23 +193,77 @@ router.patch('/capabilities/:capabilityId', authenticateAgent, async (req, res)
       return res.status(404).json(formatError('Capability not found', 404));
     }
 
-    if (capability.provider_id !== req.agentId) {
+    if (capability.provider_id !== req.user.id) {
       return res.status(403).json(formatError('Unauthorized', 403));
     }
 
-    const { price_per_hour, available_hours, availability_status } = req.body;
+    const {
+      price_per_hour, available_hours, availability_status, gpu_type,
+      spot_price_per_hour, reserved_price_per_hour, external_node_id, software,
+      interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip, sla_terms,
+    } = req.body || {};
     const updates = {};
 
+    if (!isValidClassPrice(spot_price_per_hour) || !isValidClassPrice(reserved_price_per_hour)) {
+      return res.status(400).json(
+        formatError('spot_price_per_hour and reserved_price_per_hour must be positive numbers or null', 400)
+      );
+    }
+
+    if (!isValidExternalNodeId(external_node_id)) {
+      return res.status(400).json(formatError('external_node_id must be a string of at most 255 characters', 400));
+    }
+
+    const softwareError = validateSoftwareEnvironment(software);
+    if (softwareError) {
+      return res.status(400).json(formatError(softwareError, 400));
+    }
+
+    const infrastructureError = validateInfrastructure({ interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip });
+    if (infrastructureError) {
+      return res.status(400).json(formatError(infrastructureError, 400));
+    }
+
+    const slaError = validateSlaTerms(sla_terms);
+    if (slaError) {
+      return res.status(400).json(formatError(slaError, 400));
+    }
+
+    if (gpu_type) {
+      const gpuType = await GpuType.resolve(gpu_type);
+      if (!gpuType) {
+        return res.status(400).json(formatError(unknownGpuTypeMessage(gpu_type), 400));
+      }
+      updates.gpu_type = gpuType.id;
+      updates.gpu_type_id = gpuType.id;
+    }
+
     if (price_per_hour) updates.price_per_hour = price_per_hour;
+    if (spot_price_per_hour !== undefined) updates.spot_price_per_hour = spot_price_per_hour;
+    if (reserved_price_per_hour !== undefined) updates.reserved_price_per_hour = reserved_price_per_hour;
+    if (external_node_id !== undefined) updates.external_node_id = external_node_id;
+    if (software !== undefined) updates.software = software;
+    if (interconnects !== undefined) updates.interconnects = [...new Set(interconnects)];
+    if (egress_bandwidth_gbps !== undefined) updates.egress_bandwidth_gbps = egress_bandwidth_gbps;
+    if (local_nvme_gb !== undefined) updates.local_nvme_gb = local_nvme_gb;
+    if (public_ip !== undefined) updates.public_ip = public_ip;
+    if (sla_terms !== undefined) updates.sla_terms = sla_terms;
     if (available_hours !== undefined) updates.available_hours = available_hours;
-    if (availability_status) updates.availability_status = availability_status;
+    if (availability_status) {
+      updates.availability_status = availability_status;
+      // An explicit status from the provider overrides the heartbeat sweeper
+      updates.auto_offline = false;
+    }
 
-    const updatedCapability = await ProviderCapability.update(req.params.capabilityId, updates);
+    const updatedCapability = await ProviderCapability.update(req.params.capabilityId, updates, req.user.id);
 
     return res.status(200).json(
       formatResponse(updatedCapability, 'Capability updated successfully')
     );
   } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json(formatError('external_node_id is already used by another of your capabilities', 409));
+    }
     console.error('Error updating capability:', error);
     return res.status(500).json(formatError('Failed to update capability', 500, error));
   }
@@ -103,7 +273,7 @@ router.patch('/capabilities/:capabilityId', authenticateAgent, async (req, res)
  * Delete provider capability
  * DELETE /api/v1/providers/capabilities/:capabilityId
  */
-router.delete('/capabilities/:capabilityId', authenticateAgent, async (req, res) => {
+router.delete('/capabilities/:capabilityId', authenticate, requireScope('capabilities:write'), async (req, res) => {
   try {
     const capability = await ProviderCapability.findById(req.params.capabilityId);
 
@@ -111,7 +281,7 @@ router.delete('/capabilities/:capabilityId', authenticateAgent, async (req, res)
       return res.status(404).json(formatError('Capability not found', 404));
     }
 
-    if (capability.provider_id !== req.agentId) {
+    if (capability.provider_id !== req.user.id) {
       return res.status(403).json(formatError('Unauthorized', 403));
     }
 
@@ -124,17 +294,253 @@ router.delete('/capabilities/:capabilityId', authenticateAgent, async (req, res)
   }
 });
 
+/**
+ * Publish a period during which a capability can be booked
+ * POST /api/v1/providers/capabilities/:capabilityId/availability
+ */
+router.post('/capabilities/:capabilityId/availability', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+
+    if (!capability) {
+      return res.status(404).json(formatError('Capability not found', 404));
+    }
+
+    if (capability.provider_id !== req.user.id) {
+      return res.status(403).json(formatError('Unauthorized', 403));
+    }
+
+    const { starts_at, ends_at } = req.body || {};
+    const startsAt = parseTimestamp(starts_at);
+    const endsAt = parseTimestamp(ends_at);
+
+    if (!startsAt || !endsAt) {
+      return res.status(400).json(formatError('starts_at and ends_at must be ISO 8601 timestamps', 400));
+    }
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json(formatError('ends_at must be after starts_at', 400));
+    }
+
+    if (endsAt <= new Date()) {
+      return res.status(400).json(formatError('ends_at must be in the future', 400));
+    }
+
+    const window = await AvailabilityService.addWindow(capability.id, startsAt, endsAt);
+
+    return res.status(201).json(formatResponse(window, 'Availability window added', 201));
+  } catch (error) {
+    console.error('Error adding availability window:', error);
+    return res.status(500).json(formatError('Failed to add availability window', 500, error));
+  }
+});
+
+/**
+ * Get a capability's availability windows and booked periods
+ * GET /api/v1/providers/capabilities/:capabilityId/availability?from=...&to=...
+ */
+router.get('/capabilities/:capabilityId/availability', async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+
+    if (!capability) {
+      return res.status(404).json(formatError('Capability not found', 404));
+    }
+
+    const { from, to } = req.query;
+    const fromDate = from ? parseTimestamp(from) : new Date();
+    const toDate = to ? parseTimestamp(to) : null;
+
+    if (!fromDate || (to && !toDate)) {
+      return res.status(400).json(formatError('from and to must be ISO 8601 timestamps', 400));
+    }
+
+    const calendar = await AvailabilityService.getCalendar(capability, fromDate, toDate);
+
+    return res.status(200).json(formatResponse(calendar));
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    return res.status(500).json(formatError('Failed to fetch availability', 500, error));
+  }
+});
+
+/**
+ * Withdraw an availability window
+ * DELETE /api/v1/providers/capabilities/:capabilityId/availability/:windowId
+ */
+router.delete('/capabilities/:capabilityId/availability/:windowId', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+    const window = await AvailabilityWindow.findById(req.params.windowId);
+
+    if (!capability || !window || window.capability_id !== capability.id) {
+      return res.status(404).json(formatError('Availability window not found', 404));
+    }
+
+    if (capability.provider_id !== req.user.id) {
+      return res.status(403).json(formatError('Unauthorized', 403));
+    }
+
+    await AvailabilityService.removeWindow(window);
+
+    return res.status(200).json(formatResponse(null, 'Availability window removed'));
+  } catch (error) {
+    console.error('Error removing availability window:', error);
+    if (error.message.startsWith('Cannot remove')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError('Failed to remove availability window', 500, error));
+  }
+});
+
+/**
+ * Add a pricing rule to a capability
+ * POST /api/v1/providers/capabilities/:capabilityId/pricing-rules
+ */
+router.post('/capabilities/:capabilityId/pricing-rules', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+
+    if (!capability) {
+      return res.status(404).json(formatError('Capability not found', 404));
+    }
+
+    if (capability.provider_id !== req.user.id) {
+      return res.status(403).json(formatError('Unauthorized', 403));
+    }
+
+    const { rule, error } = parsePricingRule(req.body || {});
+    if (error) {
+      return res.status(400).json(formatError(error, 400));
+    }
+
+    const created = await PricingRule.create(capability.id, rule);
+
+    return res.status(201).json(formatResponse(created, 'Pricing rule added', 201));
+  } catch (error) {
+    console.error('Error adding pricing rule:', error);
+    return res.status(500).json(formatError('Failed to add pricing rule', 500, error));
+  }
+});
+
+/**
+ * Get a capability's pricing rules
+ * GET /api/v1/providers/capabilities/:capabilityId/pricing-rules
+ */
+router.get('/capabilities/:capabilityId/pricing-rules', async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+
+    if (!capability) {
+      return res.status(404).json(formatError('Capability not found', 404));
+    }
+
+    const rules = await PricingRule.findByCapabilityId(capability.id);
+
+    return res.status(200).json(
+      formatResponse({
+        capability_id: capability.id,
+        base_price_per_hour: capability.price_per_hour,
+        rules,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    return res.status(500).json(formatError('Failed to fetch pricing rules', 500, error));
+  }
+});
+
+/**
+ * Get a capability's change history, newest first, or with ?at= the listing
+ * as it stood at that moment. Works for deleted capabilities too.
+ * GET /api/v1/providers/capabilities/:capabilityId/history?from=...&to=...
+ */
+router.get('/capabilities/:capabilityId/history', async (req, res) => {
+  try {
+    const { at, from, to, limit = 100, offset = 0 } = req.query;
+
+    for (const [name, value] of Object.entries({ at, from, to })) {
+      if (value !== undefined && !parseTimestamp(value)) {
+        return res.status(400).json(formatError(`${name} must be an ISO 8601 timestamp`, 400));
+      }
+    }
+
+    const latest = await CapabilityHistory.findAt(req.params.capabilityId, new Date());
+    if (!latest) {
+      return res.status(404).json(formatError('Capability not found', 404));
+    }
+
+    if (at) {
+      const snapshot = await CapabilityHistory.findAt(req.params.capabilityId, parseTimestamp(at));
+      if (!snapshot) {
+        return res.status(404).json(formatError('The capability was not listed yet at that time', 404));
+      }
+
+      return res.status(200).json(formatResponse(snapshot));
+    }
+
+    const history = await CapabilityHistory.findByCapabilityId(req.params.capabilityId, {
+      from: from ? parseTimestamp(from) : null,
+      to: to ? parseTimestamp(to) : null,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0,
+    });
+
+    return res.status(200).json(
+      formatResponse({
+        capability_id: req.params.capabilityId,
+        history,
+        count: history.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching capability history:', error);
+    return res.status(500).json(formatError('Failed to fetch capability history', 500, error));
+  }
+});
+
+/**
+ * Remove a pricing rule
+ * DELETE /api/v1/providers/capabilities/:capabilityId/pricing-rules/:ruleId
+ */
+router.delete('/capabilities/:capabilityId/pricing-rules/:ruleId', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const capability = await ProviderCapability.findById(req.params.capabilityId);
+    const rule = await PricingRule.findById(req.params.ruleId);
+
+    if (!capability || !rule || rule.capability_id !== capability.id) {
+      return res.status(404).json(formatError('Pricing rule not found', 404));
+    }
+
+    if (capability.provider_id !== req.user.id) {
+      return res.status(403).json(formatError('Unauthorized', 403));
+    }
+
+    await PricingRule.delete(rule.id);
+
+    return res.status(200).json(formatResponse(null, 'Pricing rule removed'));
+  } catch (error) {
+    console.error('Error removing pricing rule:', error);
+    return res.status(500).json(formatError('Failed to remove pricing rule', 500, error));
+  }
+});
+
 /**
  * Get my capabilities
  * GET /api/v1/providers/my-capabilities
  */
-router.get('/my-capabilities', authenticateAgent, async (req, res) => {
+router.get('/my-capabilities', authenticate, requireScope('capabilities:read'), async (req, res) => {
   try {
-    const capabilities = await ProviderCapability.findByProviderId(req.agentId);
+    const capabilities = await ProviderCapability.findByProviderId(req.user.id);
 
+    // Listings from before the GPU catalog whose type it does not know are
+    // left out of discovery and matching until the provider fixes gpu_type
     return res.status(200).json(
       formatResponse({
-        capabilities,
+        capabilities: capabilities.map(capability => ({
+          ...capability,
+          unrecognized_gpu_type: capability.gpu_type_id === null,
+        })),
       })
     );
   } catch (error) {
@@ -143,4 +549,312 @@ router.get('/my-capabilities', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * Create or update many capabilities at once, keyed by external_node_id.
+ * Takes a JSON array (or { capabilities: [...] }) or text/csv with a header row.
+ * POST /api/v1/providers/my-capabilities/import?dry_run=true
+ */
+router.post(
+  '/my-capabilities/import',
+  authenticate,
+  requireScope('capabilities:write'),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  async (req, res) => {
+    try {
+      if (!req.user.roles.includes('provider')) {
+        return res.status(403).json(formatError('Agent is not a provider', 403));
+      }
+
+      let rows;
+      if (req.is('text/csv')) {
+        rows = FleetService.parseCsv(req.body || '');
+      } else {
+        rows = Array.isArray(req.body) ? req.body : req.body?.capabilities;
+      }
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json(
+          formatError('Send a non-empty JSON array of capabilities, { "capabilities": [...] } or text/csv', 400)
+        );
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json(
+          formatError(`At most ${MAX_IMPORT_ROWS} rows per import; split larger fleets into batches`, 400)
+        );
+      }
+
+      const dryRun = req.query.dry_run === 'true';
+      const result = await FleetService.import(req.user.id, rows, { dryRun });
+
+      if (result.errors.length > 0) {
+        return res.status(400).json(
+          formatResponse(result, `Import rejected: ${result.errors.length} invalid rows, nothing was changed`, 400)
+        );
+      }
+
+      return res.status(200).json(
+        formatResponse(result, dryRun ? 'Dry run passed, nothing was changed' : 'Capabilities imported successfully')
+      );
+    } catch (error) {
+      console.error('Error importing capabilities:', error);
+      if (error.message.startsWith('Invalid CSV')) {
+        return res.status(400).json(formatError(error.message, 400));
+      }
+      return res.status(500).json(formatError('Failed to import capabilities', 500, error));
+    }
+  }
+);
+
+/**
+ * Export my capabilities in the import format
+ * GET /api/v1/providers/my-capabilities/export?format=csv
+ */
+router.get('/my-capabilities/export', authenticate, requireScope('capabilities:read'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json(formatError('format must be json or csv', 400));
+    }
+
+    const capabilities = await FleetService.export(req.user.id);
+
+    if (format === 'csv') {
+      return res.status(200).type('text/csv').attachment('capabilities.csv').send(toCsv(FLEET_COLUMNS, capabilities));
+    }
+
+    return res.status(200).json(
+      formatResponse({
+        capabilities,
+        count: capabilities.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error exporting capabilities:', error);
+    return res.status(500).json(formatError('Failed to export capabilities', 500, error));
+  }
+});
+
+/**
+ * Report provider liveness, for all capabilities or only the listed ones
+ * POST /api/v1/providers/heartbeat
+ */
+router.post('/heartbeat', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const { capability_ids = [] } = req.body || {};
+
+    if (!Array.isArray(capability_ids) || capability_ids.some(id => typeof id !== 'string')) {
+      return res.status(400).json(formatError('capability_ids must be an array of capability IDs', 400));
+    }
+
+    if (!req.user.roles.includes('provider')) {
+      return res.status(403).json(formatError('Agent is not a provider', 403));
+    }
+
+    const heartbeat = await HeartbeatService.recordHeartbeat(req.user.id, [...new Set(capability_ids)]);
+
+    return res.status(200).json(formatResponse(heartbeat, 'Heartbeat recorded'));
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    if (error.message.startsWith('Capability not found')) {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    return res.status(500).json(formatError('Failed to record heartbeat', 500, error));
+  }
+});
+
+/**
+ * Schedule maintenance for one capability, or the whole fleet without capability_id
+ * POST /api/v1/providers/maintenance
+ */
+router.post('/maintenance', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const { capability_id, starts_at, ends_at, reason } = req.body || {};
+
+    if (!req.user.roles.includes('provider')) {
+      return res.status(403).json(formatError('Agent is not a provider', 403));
+    }
+
+    const startsAt = parseTimestamp(starts_at);
+    const endsAt = parseTimestamp(ends_at);
+
+    if (!startsAt || !endsAt) {
+      return res.status(400).json(formatError('starts_at and ends_at must be ISO 8601 timestamps', 400));
+    }
+
+    if (endsAt <= startsAt) {
+      return res.status(400).json(formatError('ends_at must be after starts_at', 400));
+    }
+
+    if (endsAt <= new Date()) {
+      return res.status(400).json(formatError('ends_at must be in the future', 400));
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json(formatError('reason must be a string', 400));
+    }
+
+    if (capability_id !== undefined && capability_id !== null) {
+      const capability = await ProviderCapability.findById(capability_id);
+
+      if (!capability || capability.provider_id !== req.user.id) {
+        return res.status(404).json(formatError('Capability not found', 404));
+      }
+    }
+
+    const window = await MaintenanceService.schedule(req.user.id, {
+      capabilityId: capability_id ?? null,
+      startsAt,
+      endsAt,
+      reason: reason ?? null,
+    });
+
+    return res.status(201).json(formatResponse(window, 'Maintenance scheduled', 201));
+  } catch (error) {
+    console.error('Error scheduling maintenance:', error);
+    return res.status(500).json(formatError('Failed to schedule maintenance', 500, error));
+  }
+});
+
+/**
+ * Cancel a maintenance window that has not ended
+ * DELETE /api/v1/providers/maintenance/:windowId
+ */
+router.delete('/maintenance/:windowId', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const window = await MaintenanceWindow.findById(req.params.windowId);
+
+    if (!window || window.provider_id !== req.user.id) {
+      return res.status(404).json(formatError('Maintenance window not found', 404));
+    }
+
+    await MaintenanceService.cancel(window);
+
+    return res.status(200).json(formatResponse(null, 'Maintenance window cancelled'));
+  } catch (error) {
+    console.error('Error cancelling maintenance window:', error);
+    if (error.message.startsWith('Cannot cancel')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError('Failed to cancel maintenance window', 500, error));
+  }
+});
+
+/**
+ * Set the acceptance policy for one capability, or the fleet-wide one without
+ * capability_id, replacing any there was
+ * PUT /api/v1/providers/acceptance-policies
+ */
+router.put('/acceptance-policies', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const { capability_id, ...policy } = req.body || {};
+
+    if (!req.user.roles.includes('provider')) {
+      return res.status(403).json(formatError('Agent is not a provider', 403));
+    }
+
+    const invalid = validateAcceptancePolicy(policy);
+    if (invalid) {
+      return res.status(400).json(formatError(invalid, 400));
+    }
+
+    if (capability_id !== undefined && capability_id !== null) {
+      const capability = await ProviderCapability.findById(capability_id);
+
+      if (!capability || capability.provider_id !== req.user.id) {
+        return res.status(404).json(formatError('Capability not found', 404));
+      }
+    }
+
+    const { inserted, ...saved } = await AcceptancePolicy.upsert(req.user.id, capability_id ?? null, policy);
+
+    return res.status(inserted ? 201 : 200).json(
+      formatResponse(saved, inserted ? 'Acceptance policy created' : 'Acceptance policy updated', inserted ? 201 : 200)
+    );
+  } catch (error) {
+    console.error('Error setting acceptance policy:', error);
+    return res.status(500).json(formatError('Failed to set acceptance policy', 500, error));
+  }
+});
+
+/**
+ * Get my acceptance policies
+ * GET /api/v1/providers/acceptance-policies
+ */
+router.get('/acceptance-policies', authenticate, requireScope('capabilities:read'), async (req, res) => {
+  try {
+    const policies = await AcceptancePolicy.findByProviderId(req.user.id);
+
+    return res.status(200).json(
+      formatResponse({
+        provider_id: req.user.id,
+        policies,
+        count: policies.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching acceptance policies:', error);
+    return res.status(500).json(formatError('Failed to fetch acceptance policies', 500, error));
+  }
+});
+
+/**
+ * Remove an acceptance policy. Matches it covered fall back to the
+ * fleet-wide policy, or wait for accept again.
+ * DELETE /api/v1/providers/acceptance-policies/:policyId
+ */
+router.delete('/acceptance-policies/:policyId', authenticate, requireScope('capabilities:write'), async (req, res) => {
+  try {
+    const policy = await AcceptancePolicy.findById(req.params.policyId);
+
+    if (!policy || policy.provider_id !== req.user.id) {
+      return res.status(404).json(formatError('Acceptance policy not found', 404));
+    }
+
+    await AcceptancePolicy.delete(policy.id);
+
+    return res.status(200).json(formatResponse(null, 'Acceptance policy removed'));
+  } catch (error) {
+    console.error('Error removing acceptance policy:', error);
+    return res.status(500).json(formatError('Failed to remove acceptance policy', 500, error));
+  }
+});
+
+/**
+ * Get a provider's current and upcoming maintenance
+ * GET /api/v1/providers/:providerId/maintenance
+ */
+router.get('/:providerId/maintenance', async (req, res) => {
+  try {
+    const windows = await MaintenanceWindow.findByProviderId(req.params.providerId);
+
+    return res.status(200).json(
+      formatResponse({
+        provider_id: req.params.providerId,
+        maintenance_windows: windows,
+        count: windows.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    return res.status(500).json(formatError('Failed to fetch maintenance windows', 500, error));
+  }
+});
+
+/**
+ * Get provider uptime over the last 24 hours, 7 days and 30 days
+ * GET /api/v1/providers/:providerId/uptime
+ */
+router.get('/:providerId/uptime', async (req, res) => {
+  try {
+    const uptime = await HeartbeatService.getUptime(req.params.providerId);
+
+    return res.status(200).json(formatResponse(uptime));
+  } catch (error) {
+    console.error('Error fetching uptime:', error);
+    return res.status(500).json(formatError('Failed to fetch uptime', 500, error));
+  }
+});
+
 export default router;
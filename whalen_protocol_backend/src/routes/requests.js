@@ -1,9 +1,13 @@
 import express from 'express';
 import ComputeRequest from '../models/ComputeRequest.js';
+import GpuType, { GPU_MATCH_MODES, unknownGpuTypeMessage } from '../models/GpuType.js';
+import { validateCapacityClasses } from '../models/ProviderCapability.js';
 import MatchingService from '../services/MatchingService.js';
-import Agent from '../models/Agent.js';
-import { authenticateAgent } from '../middleware/auth.js';
-import { formatResponse, formatError } from '../utils/helpers.js';
+import { validateSoftwareRequirements } from '../utils/software.js';
+import { validateInfrastructureRequirements } from '../utils/infrastructure.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { rateLimit, enforceQuota } from '../middleware/rateLimit.js';
+import { formatResponse, formatError, parseTimestamp, validateDurationHours } from '../utils/helpers.js';
 
 const router = express.Router();
 
@@ -11,9 +15,9 @@ const router = express.Router();
  * Submit a compute request
  * POST /api/v1/requests
  */
-router.post('/', authenticateAgent, async (req, res) => {
+router.post('/', authenticate, requireScope('requests:write'), rateLimit('requests.create'), enforceQuota('open_requests'), async (req, res) => {
   try {
-    const { gpu_count, gpu_type, duration_hours, max_price_per_hour, cpu_cores, memory_gb, description } = req.body;
+    const { gpu_count, gpu_type, gpu_match = 'exact', duration_hours, max_price_per_hour, cpu_cores, memory_gb, description, starts_at, capacity_classes = ['on_demand'], software_requirements, software_preferences, infrastructure_requirements, infrastructure_preferences } = req.body || {};
 
     if (!gpu_count || !gpu_type || !duration_hours || !max_price_per_hour) {
       return res.status(400).json(
@@ -25,20 +29,66 @@ router.post('/', authenticateAgent, async (req, res) => {
     }
 
     // Verify agent is a requester
-    const agent = await Agent.findById(req.agentId);
-    if (!['requester', 'both'].includes(agent.type)) {
+    if (!req.user.roles.includes('requester')) {
       return res.status(403).json(formatError('Agent is not a requester', 403));
     }
 
+    if (!GPU_MATCH_MODES.includes(gpu_match)) {
+      return res.status(400).json(
+        formatError(`gpu_match must be one of: ${GPU_MATCH_MODES.join(', ')}`, 400)
+      );
+    }
+
+    const durationError = validateDurationHours(duration_hours);
+    if (durationError) {
+      return res.status(400).json(formatError(durationError, 400));
+    }
+
+    const capacityClassesError = validateCapacityClasses(capacity_classes);
+    if (capacityClassesError) {
+      return res.status(400).json(formatError(capacityClassesError, 400));
+    }
+
+    const softwareError = validateSoftwareRequirements(software_requirements) ||
+      validateSoftwareRequirements(software_preferences, 'software_preferences');
+    if (softwareError) {
+      return res.status(400).json(formatError(softwareError, 400));
+    }
+
+    const infrastructureError = validateInfrastructureRequirements(infrastructure_requirements) ||
+      validateInfrastructureRequirements(infrastructure_preferences, 'infrastructure_preferences');
+    if (infrastructureError) {
+      return res.status(400).json(formatError(infrastructureError, 400));
+    }
+
+    const startsAt = starts_at ? parseTimestamp(starts_at) : null;
+    if (starts_at && (!startsAt || startsAt <= new Date())) {
+      return res.status(400).json(formatError('starts_at must be a future ISO 8601 timestamp', 400));
+    }
+
+    const gpuType = await GpuType.resolve(gpu_type);
+    if (!gpuType) {
+      return res.status(400).json(formatError(unknownGpuTypeMessage(gpu_type), 400));
+    }
+
     const request = await ComputeRequest.create(
-      req.agentId,
+      req.user.id,
       gpu_count,
-      gpu_type,
+      gpuType.id,
       duration_hours,
       max_price_per_hour,
       cpu_cores || null,
       memory_gb || null,
-      description || null
+      description || null,
+      gpu_match,
+      startsAt,
+      [...new Set(capacity_classes)],
+      {
+        softwareRequirements: software_requirements ?? null,
+        softwarePreferences: software_preferences ?? null,
+        infrastructureRequirements: infrastructure_requirements ?? null,
+        infrastructurePreferences: infrastructure_preferences ?? null,
+      }
     );
 
     return res.status(201).json(
@@ -73,12 +123,12 @@ router.get('/:requestId', async (req, res) => {
  * Get my requests
  * GET /api/v1/requests/my-requests
  */
-router.get('/my-requests', authenticateAgent, async (req, res) => {
+router.get('/my-requests', authenticate, requireScope('requests:read'), async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     const offset = parseInt(req.query.offset) || 0;
 
-    const requests = await ComputeRequest.findByRequesterId(req.agentId, limit, offset);
+    const requests = await ComputeRequest.findByRequesterId(req.user.id, limit, offset);
 
     return res.status(200).json(
       formatResponse({
@@ -128,7 +178,7 @@ router.get('/', async (req, res) => {
  * Update request status
  * PATCH /api/v1/requests/:requestId
  */
-router.patch('/:requestId', authenticateAgent, async (req, res) => {
+router.patch('/:requestId', authenticate, requireScope('requests:write'), async (req, res) => {
   try {
     const request = await ComputeRequest.findById(req.params.requestId);
 
@@ -136,7 +186,7 @@ router.patch('/:requestId', authenticateAgent, async (req, res) => {
       return res.status(404).json(formatError('Request not found', 404));
     }
 
-    if (request.requester_id !== req.agentId) {
+    if (request.requester_id !== req.user.id) {
       return res.status(403).json(formatError('Unauthorized', 403));
     }
 
@@ -160,7 +210,7 @@ router.patch('/:requestId', authenticateAgent, async (req, res) => {
  * Find matches for a request
  * POST /api/v1/requests/:requestId/find-matches
  */
-router.post('/:requestId/find-matches', authenticateAgent, async (req, res) => {
+router.post('/:requestId/find-matches', authenticate, requireScope('requests:read'), rateLimit('requests.match'), async (req, res) => {
   try {
     const request = await ComputeRequest.findById(req.params.requestId);
 
@@ -168,7 +218,7 @@ router.post('/:requestId/find-matches', authenticateAgent, async (req, res) => {
       return res.status(404).json(formatError('Request not found', 404));
     }
 
-    if (request.requester_id !== req.agentId) {
+    if (request.requester_id !== req.user.id) {
       return res.status(403).json(formatError('Unauthorized', 403));
     }
 
@@ -180,8 +230,18 @@ router.post('/:requestId/find-matches', authenticateAgent, async (req, res) => {
         matches: matches.map(m => ({
           provider_id: m.provider_id,
           capability_id: m.id,
+          capacity_class: m.capacity_class,
           gpu_count: m.gpu_count,
+          free_gpu_count: m.free_gpu_count,
+          software: m.software,
+          interconnects: m.interconnects,
+          egress_bandwidth_gbps: m.egress_bandwidth_gbps,
+          local_nvme_gb: m.local_nvme_gb,
+          public_ip: m.public_ip,
+          sla_terms: m.sla_terms,
           price_per_hour: m.price_per_hour,
+          effective_price_per_hour: m.effective_price_per_hour,
+          price_breakdown: m.price_breakdown,
           reputation_score: m.reputation_score,
           match_score: m.match_score,
         })),
@@ -198,7 +258,7 @@ router.post('/:requestId/find-matches', authenticateAgent, async (req, res) => {
  * Auto-match a request
  * POST /api/v1/requests/:requestId/auto-match
  */
-router.post('/:requestId/auto-match', authenticateAgent, async (req, res) => {
+router.post('/:requestId/auto-match', authenticate, requireScope('requests:write'), rateLimit('requests.match'), enforceQuota('pending_matches'), async (req, res) => {
   try {
     const request = await ComputeRequest.findById(req.params.requestId);
 
@@ -206,7 +266,7 @@ router.post('/:requestId/auto-match', authenticateAgent, async (req, res) => {
       return res.status(404).json(formatError('Request not found', 404));
     }
 
-    if (request.requester_id !== req.agentId) {
+    if (request.requester_id !== req.user.id) {
       return res.status(403).json(formatError('Unauthorized', 403));
     }
 
@@ -1,5 +1,6 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { forbidden, requirePlatformRole } from '../middleware/authorize.js';
 import VerificationService from '../services/VerificationService.js';
 
 const router = express.Router();
@@ -8,7 +9,7 @@ const router = express.Router();
  * POST /api/v1/verifications/submit-proof
  * Submit work completion proof
  */
-router.post('/submit-proof', authenticate, async (req, res) => {
+router.post('/submit-proof', authenticate, requireScope('verifications:write'), async (req, res) => {
   try {
     const { transactionId, proofData } = req.body;
     const providerId = req.user.id;
@@ -41,11 +42,10 @@ router.post('/submit-proof', authenticate, async (req, res) => {
  * POST /api/v1/verifications/:verificationId/verify
  * Verify work completion
  */
-router.post('/:verificationId/verify', authenticate, async (req, res) => {
+router.post('/:verificationId/verify', authenticate, requireScope('verifications:write'), async (req, res) => {
   try {
     const { verificationId } = req.params;
     const { approved, notes } = req.body;
-    const verifierId = req.user.id;
 
     if (approved === undefined) {
       return res.status(400).json({
@@ -55,7 +55,7 @@ router.post('/:verificationId/verify', authenticate, async (req, res) => {
 
     const verification = await VerificationService.verifyWork(
       verificationId,
-      verifierId,
+      req.user,
       approved,
       notes || ''
     );
@@ -66,6 +66,9 @@ router.post('/:verificationId/verify', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error verifying work:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
     res.status(500).json({
       error: error.message,
     });
@@ -76,11 +79,11 @@ router.post('/:verificationId/verify', authenticate, async (req, res) => {
  * GET /api/v1/verifications/:verificationId
  * Get verification details
  */
-router.get('/:verificationId', authenticate, async (req, res) => {
+router.get('/:verificationId', authenticate, requireScope('verifications:read'), async (req, res) => {
   try {
     const { verificationId } = req.params;
 
-    const verification = await VerificationService.getVerification(verificationId);
+    const verification = await VerificationService.getVerification(verificationId, req.user);
 
     res.status(200).json({
       success: true,
@@ -88,6 +91,9 @@ router.get('/:verificationId', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting verification:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
     res.status(500).json({
       error: error.message,
     });
@@ -98,12 +104,13 @@ router.get('/:verificationId', authenticate, async (req, res) => {
  * GET /api/v1/verifications/transaction/:transactionId
  * Get verifications for a transaction
  */
-router.get('/transaction/:transactionId', authenticate, async (req, res) => {
+router.get('/transaction/:transactionId', authenticate, requireScope('verifications:read'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
     const verifications = await VerificationService.getTransactionVerifications(
-      transactionId
+      transactionId,
+      req.user
     );
 
     res.status(200).json({
@@ -115,6 +122,9 @@ router.get('/transaction/:transactionId', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting verifications:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
     res.status(500).json({
       error: error.message,
     });
@@ -125,7 +135,7 @@ router.get('/transaction/:transactionId', authenticate, async (req, res) => {
  * GET /api/v1/verifications/pending
  * Get pending verifications for authenticated agent
  */
-router.get('/pending', authenticate, async (req, res) => {
+router.get('/pending', authenticate, requireScope('verifications:read'), async (req, res) => {
   try {
     const agentId = req.user.id;
 
@@ -170,10 +180,9 @@ router.get('/stats', async (req, res) => {
  * POST /api/v1/verifications/dispute
  * Create a dispute for a transaction
  */
-router.post('/dispute', authenticate, async (req, res) => {
+router.post('/dispute', authenticate, requireScope('verifications:write'), async (req, res) => {
   try {
     const { transactionId, reason } = req.body;
-    const initiatorId = req.user.id;
 
     if (!transactionId || !reason) {
       return res.status(400).json({
@@ -183,7 +192,7 @@ router.post('/dispute', authenticate, async (req, res) => {
 
     const dispute = await VerificationService.createDispute(
       transactionId,
-      initiatorId,
+      req.user,
       reason
     );
 
@@ -193,6 +202,9 @@ router.post('/dispute', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating dispute:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
     res.status(500).json({
       error: error.message,
     });
@@ -203,7 +215,7 @@ router.post('/dispute', authenticate, async (req, res) => {
  * POST /api/v1/verifications/:verificationId/resolve-dispute
  * Resolve a dispute
  */
-router.post('/:verificationId/resolve-dispute', authenticate, async (req, res) => {
+router.post('/:verificationId/resolve-dispute', authenticate, requireScope('verifications:write'), requirePlatformRole('arbiter', 'admin'), async (req, res) => {
   try {
     const { verificationId } = req.params;
     const { resolution, notes } = req.body;
@@ -216,6 +228,7 @@ router.post('/:verificationId/resolve-dispute', authenticate, async (req, res) =
 
     const dispute = await VerificationService.resolveDispute(
       verificationId,
+      req.user,
       resolution,
       notes || ''
     );
@@ -226,6 +239,9 @@ router.post('/:verificationId/resolve-dispute', authenticate, async (req, res) =
     });
   } catch (error) {
     console.error('Error resolving dispute:', error);
+    if (error.message.includes('Unauthorized')) {
+      return forbidden(res, error.message);
+    }
     res.status(500).json({
       error: error.message,
     });
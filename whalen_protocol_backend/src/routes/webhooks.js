@@ -0,0 +1,236 @@
+import express from 'express';
+import WebhookSubscription, { WEBHOOK_EVENT_TYPES } from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import WebhookService from '../services/WebhookService.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { formatResponse, formatError } from '../utils/helpers.js';
+import { validatePublicUrl } from '../utils/publicUrl.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const validateEventTypes = (eventTypes) => {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    return 'event_types must be a non-empty array';
+  }
+
+  const unknown = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return `Unknown event types: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Load :subscriptionId and require that the caller owns it.
+ * Other agents' subscriptions are reported as missing.
+ */
+const loadOwnSubscription = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.subscriptionId);
+
+    if (!subscription || subscription.agent_id !== req.user.id) {
+      return res.status(404).json(formatError('Webhook subscription not found', 404));
+    }
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    return res.status(500).json(formatError('Failed to load webhook subscription', 500, error));
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * POST /api/v1/webhooks
+ */
+router.post('/', authenticate, requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const { url, event_types, description } = req.body || {};
+
+    const urlError = await validatePublicUrl(url);
+    if (urlError) {
+      return res.status(400).json(formatError(urlError, 400));
+    }
+
+    const eventTypesError = validateEventTypes(event_types);
+    if (eventTypesError) {
+      return res.status(400).json(formatError(eventTypesError, 400));
+    }
+
+    const subscription = await WebhookSubscription.create(
+      req.user.id,
+      url,
+      [...new Set(event_types)],
+      description || null
+    );
+
+    return res.status(201).json(
+      formatResponse(subscription, 'Webhook subscription created. Store the secret now; it will not be shown again.', 201)
+    );
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    return res.status(500).json(formatError('Failed to create webhook subscription', 500, error));
+  }
+});
+
+/**
+ * List my webhook subscriptions
+ * GET /api/v1/webhooks
+ */
+router.get('/', authenticate, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.findByAgentId(req.user.id);
+
+    return res.status(200).json(
+      formatResponse({
+        subscriptions,
+        count: subscriptions.length,
+        event_types: WEBHOOK_EVENT_TYPES,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    return res.status(500).json(formatError('Failed to fetch webhook subscriptions', 500, error));
+  }
+});
+
+/**
+ * Get a webhook subscription
+ * GET /api/v1/webhooks/:subscriptionId
+ */
+router.get('/:subscriptionId', authenticate, requireScope('webhooks:read'), loadOwnSubscription, async (req, res) => {
+  return res.status(200).json(formatResponse(req.subscription));
+});
+
+/**
+ * Update a webhook subscription's url, events, description or active flag
+ * PATCH /api/v1/webhooks/:subscriptionId
+ */
+router.patch('/:subscriptionId', authenticate, requireScope('webhooks:write'), loadOwnSubscription, async (req, res) => {
+  try {
+    const { url, event_types, description, active } = req.body || {};
+    const updates = {};
+
+    if (url !== undefined) {
+      const urlError = await validatePublicUrl(url);
+      if (urlError) {
+        return res.status(400).json(formatError(urlError, 400));
+      }
+      updates.url = url;
+    }
+
+    if (event_types !== undefined) {
+      const eventTypesError = validateEventTypes(event_types);
+      if (eventTypesError) {
+        return res.status(400).json(formatError(eventTypesError, 400));
+      }
+      updates.event_types = [...new Set(event_types)];
+    }
+
+    if (description !== undefined) updates.description = description;
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        return res.status(400).json(formatError('active must be a boolean', 400));
+      }
+      updates.active = active;
+    }
+
+    const subscription = await WebhookSubscription.update(req.subscription.id, updates);
+
+    return res.status(200).json(formatResponse(subscription, 'Webhook subscription updated successfully'));
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    return res.status(500).json(formatError('Failed to update webhook subscription', 500, error));
+  }
+});
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * DELETE /api/v1/webhooks/:subscriptionId
+ */
+router.delete('/:subscriptionId', authenticate, requireScope('webhooks:write'), loadOwnSubscription, async (req, res) => {
+  try {
+    await WebhookSubscription.delete(req.subscription.id);
+
+    return res.status(200).json(formatResponse(null, 'Webhook subscription deleted successfully'));
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    return res.status(500).json(formatError('Failed to delete webhook subscription', 500, error));
+  }
+});
+
+/**
+ * Replace a subscription's signing secret
+ * POST /api/v1/webhooks/:subscriptionId/rotate-secret
+ */
+router.post('/:subscriptionId/rotate-secret', authenticate, requireScope('webhooks:write'), loadOwnSubscription, async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.rotateSecret(req.subscription.id);
+
+    return res.status(200).json(
+      formatResponse(subscription, 'Webhook secret rotated. Store the new secret now; it will not be shown again.')
+    );
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    return res.status(500).json(formatError('Failed to rotate webhook secret', 500, error));
+  }
+});
+
+/**
+ * Get a subscription's delivery log
+ * GET /api/v1/webhooks/:subscriptionId/deliveries?status=failed
+ */
+router.get('/:subscriptionId/deliveries', authenticate, requireScope('webhooks:read'), loadOwnSubscription, async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json(
+        formatError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 400)
+      );
+    }
+
+    const deliveries = await WebhookDelivery.findBySubscriptionId(
+      req.subscription.id,
+      status || null,
+      parseInt(limit),
+      parseInt(offset)
+    );
+
+    return res.status(200).json(
+      formatResponse({
+        deliveries,
+        count: deliveries.length,
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return res.status(500).json(formatError('Failed to fetch webhook deliveries', 500, error));
+  }
+});
+
+/**
+ * Send a delivery's event again
+ * POST /api/v1/webhooks/deliveries/:deliveryId/replay
+ */
+router.post('/deliveries/:deliveryId/replay', authenticate, requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const delivery = await WebhookService.replay(req.params.deliveryId, req.user);
+
+    return res.status(200).json(formatResponse(delivery, 'Webhook delivery replayed'));
+  } catch (error) {
+    if (error.message === 'Webhook delivery not found') {
+      return res.status(404).json(formatError(error.message, 404));
+    }
+    if (error.message.startsWith('Cannot replay')) {
+      return res.status(409).json(formatError(error.message, 409));
+    }
+    return res.status(500).json(formatError('Failed to replay webhook delivery', 500, error));
+  }
+});
+
+export default router;
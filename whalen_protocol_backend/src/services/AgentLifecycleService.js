@@ -0,0 +1,212 @@
+import pool from '../config/database.js';
+import Agent from '../models/Agent.js';
+import ApiKey from '../models/ApiKey.js';
+import AgentSession from '../models/AgentSession.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import PaymentService from './PaymentService.js';
+import VerificationService from './VerificationService.js';
+
+const OPEN_REQUEST_STATUSES = ['pending', 'matched', 'in_progress'];
+const OPEN_MATCH_STATUSES = ['proposed', 'accepted', 'in_progress'];
+
+export class AgentLifecycleService {
+  /**
+   * Suspend an agent. It can no longer authenticate and its capabilities
+   * drop out of discovery until it is reinstated.
+   * @param {string} agentId - Agent ID
+   * @param {string} reason - Why the agent was suspended
+   * @returns {Object} Updated agent
+   */
+  static async suspend(agentId, reason) {
+    try {
+      return await Agent.setStatus(agentId, 'suspended', reason);
+    } catch (error) {
+      console.error('Error suspending agent:', error);
+      throw new Error(`Agent suspension failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Return a suspended agent to active
+   * @param {string} agentId - Agent ID
+   * @returns {Object} Updated agent
+   */
+  static async reinstate(agentId) {
+    try {
+      return await Agent.setStatus(agentId, 'active', null);
+    } catch (error) {
+      console.error('Error reinstating agent:', error);
+      throw new Error(`Agent reinstatement failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * What the provider has delivered on a transaction: whether it submitted
+   * proof of work, whether that proof was rejected, and whether a dispute
+   * is still open
+   * @param {Object} transaction - Transaction row
+   * @returns {Object} delivered, rejected and disputed
+   */
+  static async getDelivery(transaction) {
+    const result = await pool.query(
+      `SELECT
+         COALESCE(BOOL_OR(proof_data->>'type' IS DISTINCT FROM 'dispute'), false) AS delivered,
+         COALESCE(BOOL_OR(proof_data->>'type' IS DISTINCT FROM 'dispute' AND verifier_id <> $2), false) AS rejected,
+         COALESCE(BOOL_OR(proof_data->>'type' = 'dispute' AND resolved_at IS NULL), false) AS disputed
+       FROM verifications
+       WHERE transaction_id = $1`,
+      [transaction.id, transaction.provider_id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Settle or refund every transaction the agent is still a party to.
+   * Verified work is paid out and payments that never cleared are marked
+   * failed. Escrow goes back to the requester only when no work was
+   * delivered: a requester who closes after the provider submitted proof
+   * pays for it, unless they rejected it, in which case the escrow is held
+   * for an arbiter under a dispute.
+   * @param {string} agentId - Agent ID
+   * @returns {Object} Counts of settled, refunded, disputed and failed transactions
+   */
+  static async settleOutstandingTransactions(agentId) {
+    const outstanding = await pool.query(
+      `SELECT id, status, requester_id, provider_id FROM transactions
+       WHERE (requester_id = $1 OR provider_id = $1)
+         AND status IN ('pending', 'escrowed', 'verified')`,
+      [agentId]
+    );
+
+    const summary = { settled: 0, refunded: 0, disputed: 0, failed: 0 };
+
+    for (const transaction of outstanding.rows) {
+      if (transaction.status === 'verified') {
+        await PaymentService.releasePayment(transaction.id, true);
+        summary.settled++;
+      } else if (transaction.status === 'escrowed') {
+        const delivery = transaction.requester_id === agentId
+          ? await this.getDelivery(transaction)
+          : { delivered: false };
+
+        if (delivery.delivered && (delivery.rejected || delivery.disputed)) {
+          if (!delivery.disputed) {
+            await VerificationService.createDispute(
+              transaction.id,
+              { id: agentId },
+              'Requester closed their account after rejecting the submitted work'
+            );
+          }
+          summary.disputed++;
+        } else if (delivery.delivered) {
+          await PaymentService.releasePayment(transaction.id, true);
+          summary.settled++;
+        } else {
+          await PaymentService.releasePayment(transaction.id, false);
+          summary.refunded++;
+        }
+      } else {
+        await pool.query(
+          `UPDATE transactions SET status = 'failed', updated_at = NOW() WHERE id = $1`,
+          [transaction.id]
+        );
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Close an agent's account. Outstanding payments are resolved first; if any
+   * of them fails the account stays open so the closure can be retried.
+   * @param {string} agentId - Agent ID
+   * @param {string} reason - Why the account was closed
+   * @returns {Object} Closed agent and what was wound down
+   */
+  static async close(agentId, reason = null) {
+    try {
+      const transactions = await this.settleOutstandingTransactions(agentId);
+
+      const client = await pool.connect();
+      let windDown;
+
+      try {
+        await client.query('BEGIN');
+
+        // Matches the agent is part of, as provider or as requester
+        const matches = await client.query(
+          `UPDATE matches m
+           SET status = 'cancelled', cancelled_by = $1, updated_at = NOW()
+           FROM compute_requests cr
+           WHERE m.request_id = cr.id
+             AND (m.provider_id = $1 OR cr.requester_id = $1)
+             AND m.status = ANY($2)
+           RETURNING m.id, m.request_id, cr.requester_id`,
+          [agentId, OPEN_MATCH_STATUSES]
+        );
+
+        await client.query(
+          `UPDATE reservations SET status = 'released', updated_at = NOW()
+           WHERE match_id = ANY($1) AND status = 'active'`,
+          [matches.rows.map(m => m.id)]
+        );
+
+        // Other requesters who lost this provider go back to the market
+        const orphaned = matches.rows
+          .filter(m => m.requester_id !== agentId)
+          .map(m => m.request_id);
+        if (orphaned.length > 0) {
+          await client.query(
+            `UPDATE compute_requests SET status = 'pending', updated_at = NOW()
+             WHERE id = ANY($1) AND status IN ('matched', 'in_progress')`,
+            [orphaned]
+          );
+        }
+
+        const requests = await client.query(
+          `UPDATE compute_requests SET status = 'cancelled', updated_at = NOW()
+           WHERE requester_id = $1 AND status = ANY($2)`,
+          [agentId, OPEN_REQUEST_STATUSES]
+        );
+
+        const capabilities = await client.query(
+          `UPDATE provider_capabilities SET availability_status = 'offline', updated_by = $1, updated_at = NOW()
+           WHERE provider_id = $1 AND availability_status <> 'offline'`,
+          [agentId]
+        );
+
+        await client.query('COMMIT');
+
+        windDown = {
+          cancelled_matches: matches.rowCount,
+          cancelled_requests: requests.rowCount,
+          capabilities_taken_offline: capabilities.rowCount,
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      await ApiKey.revokeAllForAgent(agentId);
+      await AgentSession.revokeAllForAgent(agentId, 'account_closed');
+      await WebhookSubscription.deactivateAllForAgent(agentId);
+
+      const agent = await Agent.setStatus(agentId, 'closed', reason);
+
+      return {
+        agent,
+        transactions,
+        ...windDown,
+      };
+    } catch (error) {
+      console.error('Error closing agent account:', error);
+      throw new Error(`Account closure failed: ${error.message}`);
+    }
+  }
+}
+
+export default AgentLifecycleService;
@@ -0,0 +1,280 @@
+import AvailabilityWindow from '../models/AvailabilityWindow.js';
+import Reservation from '../models/Reservation.js';
+import { PREEMPTION_NOTICE_SECONDS } from './PreemptionService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class AvailabilityService {
+  /**
+   * Work out the concrete period a request needs. Requests without a start,
+   * or whose start has already passed, run from now.
+   * @param {Object} request - Compute request (starts_at, duration_hours)
+   * @param {Date} now - Reference time
+   * @returns {Object} startsAt and endsAt
+   */
+  static getPeriod(request, now = new Date()) {
+    const requested = request.starts_at ? new Date(request.starts_at) : null;
+    const startsAt = requested && requested > now ? requested : now;
+
+    return {
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + request.duration_hours * HOUR_MS),
+    };
+  }
+
+  /**
+   * Work out the share of a capability a request takes. CPU cores and memory
+   * the requester left open are split in proportion to the GPUs taken.
+   * @param {Object} request - Compute request (gpu_count, cpu_cores, memory_gb)
+   * @param {Object} capability - Capability being booked
+   * @returns {Object} gpu_count, cpu_cores and memory_gb to hold
+   */
+  static getAllocation(request, capability) {
+    const share = request.gpu_count / capability.gpu_count;
+
+    return {
+      gpu_count: request.gpu_count,
+      cpu_cores: request.cpu_cores || Math.ceil(capability.cpu_cores * share),
+      memory_gb: request.memory_gb || Math.ceil(capability.memory_gb * share),
+    };
+  }
+
+  /**
+   * Publish a period during which a capability can be booked
+   * @param {string} capabilityId - Capability ID
+   * @param {Date} startsAt - Window start
+   * @param {Date} endsAt - Window end
+   * @returns {Object} The window after merging with its neighbours
+   */
+  static async addWindow(capabilityId, startsAt, endsAt) {
+    try {
+      return await AvailabilityWindow.add(capabilityId, startsAt, endsAt);
+    } catch (error) {
+      console.error('Error adding availability window:', error);
+      throw new Error(`Availability update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw a window. Windows that still hold active reservations stay put.
+   * @param {Object} window - Window row
+   */
+  static async removeWindow(window) {
+    try {
+      const booked = await Reservation.findActiveByCapabilityId(
+        window.capability_id,
+        window.starts_at,
+        window.ends_at
+      );
+
+      if (booked.length > 0) {
+        throw new Error('Cannot remove a window with active reservations');
+      }
+
+      await AvailabilityWindow.delete(window.id);
+    } catch (error) {
+      console.error('Error removing availability window:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a capability's capacity, windows and active reservations over a period
+   * @param {Object} capability - Capability row
+   * @param {Date} from - Period start (optional)
+   * @param {Date} to - Period end (optional)
+   * @returns {Object} capacity, windows and reservations; no windows means always available
+   */
+  static async getCalendar(capability, from = null, to = null) {
+    try {
+      const windows = await AvailabilityWindow.findByCapabilityId(capability.id, from, to);
+      const reservations = await Reservation.findActiveByCapabilityId(capability.id, from, to);
+
+      return {
+        capability_id: capability.id,
+        capacity: {
+          gpu_count: capability.gpu_count,
+          cpu_cores: capability.cpu_cores,
+          memory_gb: capability.memory_gb,
+        },
+        from,
+        to,
+        windows,
+        reservations,
+      };
+    } catch (error) {
+      console.error('Error getting availability calendar:', error);
+      throw new Error(`Failed to retrieve availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare an allocation with what the capability has left over a period
+   * @param {Object} client - Pool client
+   * @param {Object} capability - Capability row
+   * @param {Object} allocation - From getAllocation
+   * @param {Object} period - startsAt and endsAt
+   * @param {boolean} includeSpot - Whether spot reservations count as taken
+   * @returns {Array} The resources that fall short, with what is free
+   */
+  static async findShortfall(client, capability, allocation, { startsAt, endsAt }, includeSpot) {
+    const result = await client.query(
+      'SELECT * FROM reserved_capacity($1, $2, $3, $4)',
+      [capability.id, startsAt, endsAt, includeSpot]
+    );
+    const reserved = result.rows[0];
+
+    return ['gpu_count', 'cpu_cores', 'memory_gb']
+      .filter(resource => reserved[resource] + allocation[resource] > capability[resource])
+      .map(resource => ({
+        resource,
+        needed: allocation[resource],
+        free: capability[resource] - reserved[resource],
+      }));
+  }
+
+  /**
+   * Cut short spot reservations overlapping a period, newest first, until the
+   * allocation fits. Spot matches that have not started by then lose their
+   * reservation outright; the rest keep the hardware until the period starts.
+   * @returns {Array} { match_id, preempts_at } for each evicted match
+   */
+  static async evictSpot(client, capability, allocation, period) {
+    const candidates = await client.query(
+      `SELECT * FROM reservations
+       WHERE capability_id = $1 AND status = 'active' AND capacity_class = 'spot'
+         AND starts_at < $3 AND ends_at > $2
+       ORDER BY created_at DESC`,
+      [capability.id, period.startsAt, period.endsAt]
+    );
+
+    const evictions = [];
+
+    for (const victim of candidates.rows) {
+      const short = await this.findShortfall(client, capability, allocation, period, true);
+      if (short.length === 0) break;
+
+      if (victim.starts_at >= period.startsAt) {
+        await client.query(
+          `UPDATE reservations SET status = 'released', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [victim.id]
+        );
+      } else {
+        await client.query(
+          `UPDATE reservations SET ends_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [victim.id, period.startsAt]
+        );
+      }
+
+      const preemptsAt = victim.starts_at >= period.startsAt ? new Date() : period.startsAt;
+      const match = await client.query(
+        `UPDATE matches
+         SET preemption_notice_at = CURRENT_TIMESTAMP, preempts_at = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, preempts_at`,
+        [victim.match_id, preemptsAt]
+      );
+
+      evictions.push({ match_id: match.rows[0].id, preempts_at: match.rows[0].preempts_at });
+    }
+
+    return evictions;
+  }
+
+  /**
+   * Book the request's share of a capability for a match inside the caller's
+   * transaction. The capability row is locked so concurrent bookings are
+   * checked one at a time.
+   * On-demand and reserved bookings may preempt spot reservations that are in
+   * the way. The spot matches get PREEMPTION_NOTICE_SECONDS of notice, so the
+   * booking starts no earlier than the notice runs out.
+   * @param {Object} client - Pool client with an open transaction
+   * @param {Object} match - Match being accepted
+   * @param {Object} request - The match's compute request
+   * @param {Date} startsAt - Reservation start
+   * @param {Date} endsAt - Reservation end
+   * @returns {Object} reservation, and the evictions it caused
+   */
+  static async reserve(client, match, request, startsAt, endsAt) {
+    const locked = await client.query(
+      'SELECT * FROM provider_capabilities WHERE id = $1 FOR UPDATE',
+      [match.capability_id]
+    );
+    const capability = locked.rows[0];
+    const capacityClass = match.capacity_class || 'on_demand';
+    const allocation = this.getAllocation(request, capability);
+
+    let period = { startsAt, endsAt };
+    let short = await this.findShortfall(client, capability, allocation, period, true);
+    let evictions = [];
+
+    if (short.length > 0 && capacityClass !== 'spot') {
+      const noticeEndsAt = new Date(Date.now() + PREEMPTION_NOTICE_SECONDS * 1000);
+      const preemptFrom = startsAt > noticeEndsAt ? startsAt : noticeEndsAt;
+
+      period = {
+        startsAt: preemptFrom,
+        endsAt: new Date(preemptFrom.getTime() + (endsAt - startsAt)),
+      };
+      short = await this.findShortfall(client, capability, allocation, period, false);
+
+      if (short.length === 0) {
+        evictions = await this.evictSpot(client, capability, allocation, period);
+      }
+    }
+
+    if (short.length > 0) {
+      const detail = short
+        .map(({ resource, needed, free }) => `${resource} ${needed} needed, ${free} free`)
+        .join('; ');
+      throw new Error(`Cannot accept: not enough free capacity for the requested period (${detail})`);
+    }
+
+    // A capability that never published a calendar is always on offer
+    const windows = await client.query(
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE starts_at <= $2 AND ends_at >= $3)::int AS covering
+       FROM availability_windows
+       WHERE capability_id = $1`,
+      [capability.id, period.startsAt, period.endsAt]
+    );
+
+    const { total, covering } = windows.rows[0];
+    if (total > 0 && covering === 0) {
+      throw new Error('Cannot accept: the capability is not available for the requested period');
+    }
+
+    const maintenance = await client.query(
+      `SELECT 1 FROM maintenance_windows
+       WHERE (capability_id = $1 OR (capability_id IS NULL AND provider_id = $2))
+         AND starts_at < $4 AND ends_at > $3
+       LIMIT 1`,
+      [capability.id, capability.provider_id, period.startsAt, period.endsAt]
+    );
+
+    if (maintenance.rows.length > 0) {
+      throw new Error('Cannot accept: the capability is down for maintenance during the requested period');
+    }
+
+    const result = await client.query(
+      `INSERT INTO reservations
+       (capability_id, match_id, starts_at, ends_at, gpu_count, cpu_cores, memory_gb, capacity_class)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        capability.id,
+        match.id,
+        period.startsAt,
+        period.endsAt,
+        allocation.gpu_count,
+        allocation.cpu_cores,
+        allocation.memory_gb,
+        capacityClass,
+      ]
+    );
+
+    return { reservation: result.rows[0], evictions };
+  }
+}
+
+export default AvailabilityService;
@@ -0,0 +1,295 @@
+import ProviderCapability from '../models/ProviderCapability.js';
+import GpuType, { unknownGpuTypeMessage } from '../models/GpuType.js';
+import { parseCsv } from '../utils/helpers.js';
+import { validateSoftwareEnvironment } from '../utils/software.js';
+import { validateInfrastructure } from '../utils/infrastructure.js';
+import { validateSlaTerms } from '../utils/sla.js';
+
+// Import and export columns, in CSV order
+export const FLEET_COLUMNS = [
+  'external_node_id',
+  'gpu_type',
+  'gpu_count',
+  'cpu_cores',
+  'memory_gb',
+  'price_per_hour',
+  'spot_price_per_hour',
+  'reserved_price_per_hour',
+  'region',
+  'availability_status',
+  'software',
+  'interconnects',
+  'egress_bandwidth_gbps',
+  'local_nvme_gb',
+  'public_ip',
+  'sla_terms',
+];
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const INTEGER_COLUMNS = ['gpu_count', 'cpu_cores', 'memory_gb'];
+const PRICE_COLUMNS = ['price_per_hour', 'spot_price_per_hour', 'reserved_price_per_hour'];
+const NUMERIC_COLUMNS = [...INTEGER_COLUMNS, ...PRICE_COLUMNS, 'egress_bandwidth_gbps', 'local_nvme_gb'];
+const JSON_COLUMNS = ['software', 'interconnects', 'sla_terms'];
+const AVAILABILITY_STATUSES = ['available', 'busy', 'offline'];
+
+// Capacity a row may not shrink below while reservations hold it
+const RESERVED_COLUMNS = {
+  gpu_count: 'reserved_gpu_count',
+  cpu_cores: 'reserved_cpu_cores',
+  memory_gb: 'reserved_memory_gb',
+};
+
+/**
+ * Check one row on its own
+ * @returns {Array} Error messages, empty when the row is valid
+ */
+const validateRow = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return ['Row must be an object'];
+  }
+
+  const errors = [];
+
+  const unknown = Object.keys(row).filter(key => !FLEET_COLUMNS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  const { external_node_id, gpu_type, price_per_hour, region, availability_status } = row;
+
+  if (typeof external_node_id !== 'string' || external_node_id.trim() === '' || external_node_id.length > 255) {
+    errors.push('external_node_id is required and must be at most 255 characters');
+  }
+
+  if (typeof gpu_type !== 'string' || gpu_type.trim() === '') {
+    errors.push('gpu_type is required');
+  }
+
+  for (const column of INTEGER_COLUMNS) {
+    if (!Number.isInteger(row[column]) || row[column] < 1) {
+      errors.push(`${column} must be a positive integer`);
+    }
+  }
+
+  if (typeof price_per_hour !== 'number' || !(price_per_hour > 0)) {
+    errors.push('price_per_hour must be a positive number');
+  }
+
+  for (const column of ['spot_price_per_hour', 'reserved_price_per_hour']) {
+    const value = row[column];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value > 0))) {
+      errors.push(`${column} must be a positive number or empty`);
+    }
+  }
+
+  if (region !== undefined && region !== null && (typeof region !== 'string' || region.length > 100)) {
+    errors.push('region must be a string of at most 100 characters');
+  }
+
+  if (availability_status !== undefined && availability_status !== null &&
+      !AVAILABILITY_STATUSES.includes(availability_status)) {
+    errors.push(`availability_status must be one of: ${AVAILABILITY_STATUSES.join(', ')}`);
+  }
+
+  const softwareError = validateSoftwareEnvironment(row.software);
+  if (softwareError) {
+    errors.push(softwareError);
+  }
+
+  const infrastructureError = validateInfrastructure(row);
+  if (infrastructureError) {
+    errors.push(infrastructureError);
+  }
+
+  const slaError = validateSlaTerms(row.sla_terms);
+  if (slaError) {
+    errors.push(slaError);
+  }
+
+  return errors;
+};
+
+export class FleetService {
+  /**
+   * Turn CSV with a header row into import rows. Empty fields are left out,
+   * numeric and boolean columns are converted and software, interconnects and
+   * sla_terms are parsed as JSON, though interconnects may also be separated by
+   * semicolons. Anything that does not convert is kept as text so row
+   * validation can report it.
+   * @param {string} text - CSV body
+   * @returns {Array} Rows keyed by column
+   */
+  static parseCsv(text) {
+    const [header, ...records] = parseCsv(text);
+
+    if (!header) {
+      throw new Error('Invalid CSV: a header row is required');
+    }
+
+    const columns = header.map(column => column.trim());
+    const unknown = columns.filter(column => !FLEET_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid CSV: unknown columns ${unknown.join(', ')}. Supported: ${FLEET_COLUMNS.join(', ')}`);
+    }
+
+    return records.map(fields => {
+      const row = {};
+
+      columns.forEach((column, i) => {
+        const value = (fields[i] ?? '').trim();
+        if (value === '') return;
+
+        if (JSON_COLUMNS.includes(column)) {
+          try {
+            row[column] = JSON.parse(value);
+          } catch {
+            row[column] = column === 'interconnects' ? value.split(';').map(v => v.trim()) : value;
+          }
+          return;
+        }
+
+        if (column === 'public_ip') {
+          row[column] = { true: true, false: false }[value.toLowerCase()] ?? value;
+          return;
+        }
+
+        const numeric = NUMERIC_COLUMNS.includes(column);
+        row[column] = numeric && !Number.isNaN(Number(value)) ? Number(value) : value;
+      });
+
+      return row;
+    });
+  }
+
+  /**
+   * Create or update a provider's capabilities by external node ID. Every row
+   * is checked first and nothing is written unless all of them pass, so a
+   * failed import can be fixed and resent as is.
+   * @param {string} providerId - Provider agent ID
+   * @param {Array} rows - Rows with FLEET_COLUMNS fields
+   * @param {Object} options - dryRun to validate and plan without writing
+   * @returns {Object} applied flag, summary, per-row action and per-row errors
+   */
+  static async import(providerId, rows, { dryRun = false } = {}) {
+    try {
+      const gpuTypes = new Map();
+      for (const row of rows) {
+        if (typeof row?.gpu_type === 'string' && !gpuTypes.has(row.gpu_type)) {
+          gpuTypes.set(row.gpu_type, await GpuType.resolve(row.gpu_type));
+        }
+      }
+
+      const nodeIds = rows.map(row => row?.external_node_id).filter(id => typeof id === 'string');
+      const existing = new Map(
+        (await ProviderCapability.findByExternalNodeIds(providerId, nodeIds))
+          .map(capability => [capability.external_node_id ?? capability.id, capability])
+      );
+
+      const errors = [];
+      const plan = [];
+      const seen = new Set();
+
+      rows.forEach((row, i) => {
+        const rowErrors = validateRow(row);
+        if (rowErrors[0] === 'Row must be an object') {
+          errors.push({ row: i + 1, external_node_id: null, errors: rowErrors });
+          return;
+        }
+
+        const gpuType = gpuTypes.get(row.gpu_type);
+        const current = existing.get(row.external_node_id);
+
+        if (typeof row.gpu_type === 'string' && !gpuType) {
+          rowErrors.push(unknownGpuTypeMessage(row.gpu_type));
+        }
+
+        if (seen.has(row.external_node_id)) {
+          rowErrors.push('external_node_id appears more than once in this import');
+        }
+        seen.add(row.external_node_id);
+
+        if (current) {
+          for (const [column, reservedColumn] of Object.entries(RESERVED_COLUMNS)) {
+            if (row[column] < current[reservedColumn]) {
+              rowErrors.push(`${column} ${row[column]} is below the ${current[reservedColumn]} held by active reservations`);
+            }
+          }
+        }
+
+        if (rowErrors.length > 0) {
+          errors.push({ row: i + 1, external_node_id: row.external_node_id ?? null, errors: rowErrors });
+          return;
+        }
+
+        plan.push({
+          row: i + 1,
+          external_node_id: row.external_node_id,
+          action: current ? 'update' : 'create',
+          capability_id: current ? current.id : null,
+          fields: { ...row, gpu_type_id: gpuType.id },
+        });
+      });
+
+      const applied = errors.length === 0 && !dryRun;
+      if (applied) {
+        const capabilities = await ProviderCapability.upsertMany(providerId, plan.map(p => p.fields));
+
+        capabilities.forEach((capability, i) => {
+          plan[i].action = capability.inserted ? 'create' : 'update';
+          plan[i].capability_id = capability.id;
+        });
+      }
+
+      return {
+        dry_run: dryRun,
+        applied,
+        summary: {
+          total: rows.length,
+          created: plan.filter(p => p.action === 'create').length,
+          updated: plan.filter(p => p.action === 'update').length,
+          invalid: errors.length,
+        },
+        rows: plan.map(({ fields, ...entry }) => entry),
+        errors,
+      };
+    } catch (error) {
+      console.error('Error importing capabilities:', error);
+      throw new Error(`Capability import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * A provider's capabilities in the import format, so an export can be
+   * edited and imported again. A capability without an external node ID
+   * exports its own ID in its place, which import matches it by.
+   * @param {string} providerId - Provider agent ID
+   * @returns {Array} Rows with FLEET_COLUMNS fields
+   */
+  static async export(providerId) {
+    try {
+      const capabilities = await ProviderCapability.findByProviderId(providerId);
+
+      return capabilities
+        .map(capability => ({ ...capability, external_node_id: capability.external_node_id ?? capability.id }))
+        .sort((a, b) => a.external_node_id.localeCompare(b.external_node_id))
+        .map(capability => {
+          const row = {};
+          for (const column of FLEET_COLUMNS) {
+            const value = column === 'gpu_type'
+              ? capability.gpu_type_id || capability.gpu_type
+              : capability[column];
+            row[column] = [...PRICE_COLUMNS, 'egress_bandwidth_gbps'].includes(column) && value !== null
+              ? parseFloat(value)
+              : value;
+          }
+          return row;
+        });
+    } catch (error) {
+      console.error('Error exporting capabilities:', error);
+      throw new Error(`Capability export failed: ${error.message}`);
+    }
+  }
+}
+
+export default FleetService;
@@ -0,0 +1,147 @@
+import Agent from '../models/Agent.js';
+import ProviderCapability from '../models/ProviderCapability.js';
+import ProviderHeartbeat from '../models/ProviderHeartbeat.js';
+
+// Providers should heartbeat well inside the timeout; a lapse longer than it counts as downtime
+export const HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.HEARTBEAT_TIMEOUT_SECONDS) || 180;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.HEARTBEAT_SWEEP_INTERVAL_SECONDS) || 60;
+
+export const UPTIME_WINDOWS = {
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60,
+};
+
+// agents.uptime_percentage tracks the widest window
+const HEADLINE_WINDOW = '30d';
+
+// Keep a day beyond the widest window so its first gap still has an anchor
+const RETENTION_SECONDS = UPTIME_WINDOWS['30d'] + UPTIME_WINDOWS['24h'];
+
+let sweepTimer = null;
+let sweeping = false;
+
+export class HeartbeatService {
+  /**
+   * Record a provider heartbeat, optionally for specific capabilities only
+   * @param {string} providerId - Provider agent ID
+   * @param {Array} capabilityIds - Capabilities reporting in (all when empty)
+   * @returns {Object} received_at and the capabilities that were refreshed
+   */
+  static async recordHeartbeat(providerId, capabilityIds = []) {
+    try {
+      if (capabilityIds.length > 0) {
+        const owned = await ProviderCapability.findByProviderId(providerId);
+        const ownedIds = new Set(owned.map(c => c.id));
+        const unknown = capabilityIds.filter(id => !ownedIds.has(id));
+
+        if (unknown.length > 0) {
+          throw new Error(`Capability not found: ${unknown.join(', ')}`);
+        }
+      }
+
+      const [heartbeat] = await ProviderHeartbeat.record(providerId, capabilityIds);
+      const capabilities = await ProviderCapability.recordHeartbeat(providerId, capabilityIds);
+
+      return {
+        received_at: heartbeat.received_at,
+        timeout_seconds: HEARTBEAT_TIMEOUT_SECONDS,
+        capabilities: capabilities.map(c => ({
+          id: c.id,
+          availability_status: c.availability_status,
+          last_heartbeat_at: c.last_heartbeat_at,
+        })),
+      };
+    } catch (error) {
+      console.error('Error recording heartbeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute a provider's uptime over each rolling window
+   * @param {string} providerId - Provider agent ID
+   * @returns {Object} Percentage per window; null where the provider has never heartbeated
+   */
+  static async getUptime(providerId) {
+    try {
+      const windows = {};
+
+      for (const [label, seconds] of Object.entries(UPTIME_WINDOWS)) {
+        const { observed_seconds, downtime_seconds } =
+          await ProviderHeartbeat.getDowntime(providerId, seconds, HEARTBEAT_TIMEOUT_SECONDS);
+
+        windows[label] = observed_seconds > 0
+          ? Math.round(Math.max(0, 1 - downtime_seconds / observed_seconds) * 10000) / 100
+          : null;
+      }
+
+      const latest = await ProviderHeartbeat.findLatestByProviderId(providerId);
+
+      return {
+        provider_id: providerId,
+        last_heartbeat_at: latest ? latest.received_at : null,
+        uptime: windows,
+      };
+    } catch (error) {
+      console.error('Error computing uptime:', error);
+      throw new Error(`Uptime calculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take lapsed capabilities offline, refresh uptime_percentage for providers
+   * that have been heartbeating and prune heartbeats nobody can look at anymore
+   * @returns {Object} What the sweep changed
+   */
+  static async sweep() {
+    const offline = await ProviderCapability.takeOfflineStale(HEARTBEAT_TIMEOUT_SECONDS);
+
+    const providerIds = await ProviderHeartbeat.findRecentProviderIds(UPTIME_WINDOWS[HEADLINE_WINDOW]);
+    for (const providerId of providerIds) {
+      const { uptime } = await this.getUptime(providerId);
+      if (uptime[HEADLINE_WINDOW] !== null) {
+        await Agent.update(providerId, { uptime_percentage: uptime[HEADLINE_WINDOW] });
+      }
+    }
+
+    const pruned = await ProviderHeartbeat.deleteOlderThan(RETENTION_SECONDS);
+
+    return {
+      capabilities_taken_offline: offline.length,
+      providers_updated: providerIds.length,
+      heartbeats_pruned: pruned,
+    };
+  }
+
+  /**
+   * Run the sweep on a timer. Errors are logged so one bad sweep never stops the next.
+   */
+  static startSweeper(intervalSeconds = SWEEP_INTERVAL_SECONDS) {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(async () => {
+      // A slow sweep must not overlap the next one
+      if (sweeping) return;
+      sweeping = true;
+
+      try {
+        const result = await this.sweep();
+        if (result.capabilities_taken_offline > 0) {
+          console.log(`Heartbeat sweep: ${result.capabilities_taken_offline} capabilities taken offline`);
+        }
+      } catch (error) {
+        console.error('Heartbeat sweep failed:', error.message);
+      } finally {
+        sweeping = false;
+      }
+    }, intervalSeconds * 1000);
+  }
+
+  static stopSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+export default HeartbeatService;
@@ -0,0 +1,61 @@
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import WebhookService from './WebhookService.js';
+
+export class MaintenanceService {
+  /**
+   * Schedule downtime and warn the parties to every accepted or running match
+   * it cuts into. Those requesters can move with POST /matches/:id/rematch.
+   * @param {string} providerId - Provider agent ID
+   * @param {Object} window - capabilityId (null for the whole fleet), startsAt, endsAt, reason
+   * @returns {Object} The window, with the matches it conflicts with
+   */
+  static async schedule(providerId, { capabilityId = null, startsAt, endsAt, reason = null }) {
+    try {
+      const window = await MaintenanceWindow.create(providerId, capabilityId, startsAt, endsAt, reason);
+      const conflicts = await MaintenanceWindow.findConflictingMatches(window);
+
+      for (const { requester_id, reserved_from, reserved_until, ...match } of conflicts) {
+        await WebhookService.emit('match.maintenance_conflict', [requester_id, providerId], {
+          ...match,
+          reserved_from,
+          reserved_until,
+          maintenance_window: window,
+        });
+      }
+
+      return {
+        ...window,
+        conflicting_matches: conflicts.map(c => ({
+          match_id: c.id,
+          request_id: c.request_id,
+          capability_id: c.capability_id,
+          status: c.status,
+          reserved_from: c.reserved_from,
+          reserved_until: c.reserved_until,
+        })),
+      };
+    } catch (error) {
+      console.error('Error scheduling maintenance:', error);
+      throw new Error(`Maintenance scheduling failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw a window that has not finished yet
+   * @param {Object} window - Window row
+   */
+  static async cancel(window) {
+    try {
+      if (window.ends_at <= new Date()) {
+        throw new Error('Cannot cancel a maintenance window that has already ended');
+      }
+
+      await MaintenanceWindow.delete(window.id);
+    } catch (error) {
+      console.error('Error cancelling maintenance window:', error);
+      throw error;
+    }
+  }
+}
+
+export default MaintenanceService;
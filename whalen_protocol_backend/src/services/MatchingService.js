@@ -1,22 +1,68 @@
+import pool from '../config/database.js';
 import ProviderCapability from '../models/ProviderCapability.js';
 import Match from '../models/Match.js';
+import Reservation from '../models/Reservation.js';
 import ComputeRequest from '../models/ComputeRequest.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import AcceptancePolicy from '../models/AcceptancePolicy.js';
+import Agent from '../models/Agent.js';
+import GpuType from '../models/GpuType.js';
 import { calculateMatchScore } from '../utils/helpers.js';
+import { checkAcceptancePolicy } from '../utils/acceptance.js';
+import { canCancelMatch, isAdmin } from '../middleware/authorize.js';
+import AvailabilityService from './AvailabilityService.js';
+import PricingService from './PricingService.js';
+import PreemptionService from './PreemptionService.js';
+import ReputationService from './ReputationService.js';
+import SlaService from './SlaService.js';
+import WebhookService from './WebhookService.js';
+
+// Candidates auto-matching works through when acceptance policies decline the best ones
+const AUTO_MATCH_CANDIDATES = 5;
+
+// Matches that still hold their request
+const OPEN_MATCH_STATUSES = ['proposed', 'accepted', 'in_progress'];
 
 export class MatchingService {
   /**
    * Find matching providers for a compute request
    */
-  static async findMatches(request, limit = 10) {
+  static async findMatches(request, limit = 10, { excludeProviderIds = [] } = {}) {
     try {
-      // Search for providers with matching capabilities
-      const providers = await ProviderCapability.search(
+      // Requests from before the GPU catalog only carry the submitted name
+      const gpuTypeId = request.gpu_type_id || (await GpuType.resolve(request.gpu_type))?.id;
+      if (!gpuTypeId) {
+        return [];
+      }
+
+      const { startsAt, endsAt } = AvailabilityService.getPeriod(request);
+
+      // Search for providers with matching capabilities that are free for the whole period
+      const candidates = await ProviderCapability.search(
         request.gpu_count,
-        request.gpu_type,
+        gpuTypeId,
         request.max_price_per_hour,
-        request.region || null
+        {
+          region: request.region || null,
+          gpuMatch: request.gpu_match || 'exact',
+          cpuCores: request.cpu_cores || null,
+          memoryGb: request.memory_gb || null,
+          capacityClasses: request.capacity_classes || ['on_demand'],
+          software: request.software_requirements || null,
+          infrastructure: request.infrastructure_requirements || null,
+          excludeProviderIds,
+          startsAt,
+          endsAt,
+        }
       );
 
+      // Effective prices for this period and duration, within the budget
+      const providers = await PricingService.priceResults(candidates, {
+        startsAt,
+        durationHours: request.duration_hours,
+        maxPrice: parseFloat(request.max_price_per_hour),
+      });
+
       if (providers.length === 0) {
         return [];
       }
@@ -24,7 +70,7 @@ export class MatchingService {
       // Score and sort providers
       const scoredProviders = providers.map(provider => ({
         ...provider,
-        match_score: calculateMatchScore(request, provider),
+        match_score: calculateMatchScore({ ...request, gpu_type_id: gpuTypeId }, provider),
       }));
 
       // Sort by score (highest first)
@@ -39,9 +85,14 @@ export class MatchingService {
   }
 
   /**
-   * Automatically match a request to the best provider
+   * Automatically match a request to the best provider. Providers with an
+   * acceptance policy decide straight away; when one declines, the next best
+   * candidate is proposed.
+   * @param {string} requestId - Request ID
+   * @param {Object} options - excludeProviderIds to skip, rematchedFrom for the match being replaced
+   * @returns {Object|null} The match, proposed or already accepted; null when no provider takes the request
    */
-  static async autoMatch(requestId) {
+  static async autoMatch(requestId, { excludeProviderIds = [], rematchedFrom = null } = {}) {
     try {
       const request = await ComputeRequest.findById(requestId);
       if (!request) {
@@ -49,31 +100,97 @@ export class MatchingService {
       }
 
       // Find matching providers
-      const matches = await this.findMatches(request, 1);
-      if (matches.length === 0) {
-        return null;
-      }
+      const candidates = await this.findMatches(request, AUTO_MATCH_CANDIDATES, { excludeProviderIds });
 
-      const bestProvider = matches[0];
+      for (const candidate of candidates) {
+        // Create match at the price the provider's rules give for this request
+        const match = await Match.create(
+          requestId,
+          candidate.provider_id,
+          candidate.id,
+          candidate.effective_price_per_hour,
+          candidate.price_breakdown,
+          candidate.capacity_class,
+          rematchedFrom
+        );
 
-      // Create match
-      const match = await Match.create(
-        requestId,
-        bestProvider.provider_id,
-        bestProvider.id,
-        bestProvider.price_per_hour
-      );
+        const decided = await this.applyAcceptancePolicy(match, request);
+        if (decided.status === 'declined') {
+          continue;
+        }
 
-      // Update request status
-      await ComputeRequest.update(requestId, { status: 'matched' });
+        // Accepting has already moved the request on and announced the match
+        if (decided.status === 'proposed') {
+          await ComputeRequest.update(requestId, { status: 'matched' });
+          await WebhookService.emit('match.proposed', [request.requester_id, match.provider_id], decided);
+        }
 
-      return match;
+        return decided;
+      }
+
+      return null;
     } catch (error) {
       console.error('Error auto-matching request:', error);
       throw error;
     }
   }
 
+  /**
+   * Accept or decline a new match as the provider's acceptance policy says.
+   * Without a policy the match stays proposed for the provider to decide.
+   * @param {Object} match - Proposed match
+   * @param {Object} request - Its compute request
+   * @returns {Object} The match, accepted, declined or still proposed
+   */
+  static async applyAcceptancePolicy(match, request) {
+    const policy = await AcceptancePolicy.findApplicable(match.provider_id, match.capability_id);
+    if (!policy) {
+      return match;
+    }
+
+    const requester = await Agent.findById(request.requester_id);
+    const { startsAt } = AvailabilityService.getPeriod(request);
+
+    const reason = checkAcceptancePolicy(policy, {
+      requesterId: request.requester_id,
+      requesterReputation: parseFloat(requester.reputation_score ?? 0),
+      pricePerHour: parseFloat(match.agreed_price_per_hour),
+      durationHours: request.duration_hours,
+      startsAt,
+    });
+
+    if (reason) {
+      return this.declineMatch(match, request, reason);
+    }
+
+    try {
+      return await this.acceptMatch(match.id, match.provider_id);
+    } catch (error) {
+      // Nor could the provider accept it by hand, e.g. when the capacity has just been booked
+      if (error.message.startsWith('Cannot accept')) {
+        return this.declineMatch(match, request, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Turn down a proposed match on the provider's behalf
+   * @param {Object} match - Proposed match
+   * @param {Object} request - Its compute request
+   * @param {string} reason - Why, for the requester
+   */
+  static async declineMatch(match, request, reason) {
+    const declined = await Match.update(match.id, {
+      status: 'declined',
+      decline_reason: reason,
+    });
+
+    await WebhookService.emit('match.declined', [request.requester_id, match.provider_id], declined);
+
+    return declined;
+  }
+
   /**
    * Get all matches for a request
    */
@@ -87,7 +204,11 @@ export class MatchingService {
   }
 
   /**
-   * Accept a match (provider accepts the request)
+   * Accept a match (provider accepts the request), reserving the request's
+   * share of the capability for its period. Bookings beyond the capability's
+   * free capacity are refused, except that on-demand and reserved bookings
+   * preempt spot matches in their way. The capability's SLA terms are
+   * copied onto the match, so later changes to them do not apply to it.
    */
   static async acceptMatch(matchId, providerId) {
     try {
@@ -100,24 +221,109 @@ export class MatchingService {
         throw new Error('Unauthorized: Only the provider can accept this match');
       }
 
-      // Update match status
+      if (match.status !== 'proposed') {
+        throw new Error(`Cannot accept a match that is ${match.status}`);
+      }
+
+      const computeRequest = await ComputeRequest.findById(match.request_id);
+      const { startsAt, endsAt } = AvailabilityService.getPeriod(computeRequest);
+
+      const client = await pool.connect();
+      let updatedMatch;
+      let request;
+      let evictions = [];
+
+      try {
+        await client.query('BEGIN');
+
+        // Matches from before capabilities were tracked have nothing to reserve
+        const booking = match.capability_id
+          ? await AvailabilityService.reserve(client, match, computeRequest, startsAt, endsAt)
+          : { reservation: null, evictions: [] };
+
+        const matchResult = await client.query(
+          `UPDATE matches SET status = 'accepted', start_time = $2, accepted_at = $2,
+             sla_terms = (SELECT sla_terms FROM provider_capabilities WHERE id = matches.capability_id),
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'proposed'
+           RETURNING *`,
+          [matchId, new Date()]
+        );
+
+        if (matchResult.rows.length === 0) {
+          throw new Error('Cannot accept a match that is no longer proposed');
+        }
+
+        const requestResult = await client.query(
+          `UPDATE compute_requests SET status = 'in_progress', updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *`,
+          [match.request_id]
+        );
+
+        await client.query('COMMIT');
+
+        updatedMatch = {
+          ...matchResult.rows[0],
+          reservation: booking.reservation,
+          preemptions: booking.evictions,
+        };
+        request = requestResult.rows[0];
+        evictions = booking.evictions;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      await WebhookService.emit('match.accepted', [request.requester_id, match.provider_id], updatedMatch);
+
+      await PreemptionService.notify(evictions);
+
+      return updatedMatch;
+    } catch (error) {
+      console.error('Error accepting match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an accepted match as running, once the provider has the workload
+   * up. Time to start under the match's SLA is measured up to this point.
+   */
+  static async startMatch(matchId, providerId) {
+    try {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      if (match.provider_id !== providerId) {
+        throw new Error('Unauthorized: Only the provider can start this match');
+      }
+
+      if (match.status !== 'accepted') {
+        throw new Error(`Cannot start a match that is ${match.status}`);
+      }
+
       const updatedMatch = await Match.update(matchId, {
-        status: 'accepted',
-        start_time: new Date(),
+        status: 'in_progress',
+        started_at: new Date(),
       });
 
-      // Update request status
-      await ComputeRequest.update(match.request_id, { status: 'in_progress' });
+      const request = await ComputeRequest.findById(match.request_id);
+      await WebhookService.emit('match.started', [request.requester_id, match.provider_id], updatedMatch);
 
       return updatedMatch;
     } catch (error) {
-      console.error('Error accepting match:', error);
+      console.error('Error starting match:', error);
       throw error;
     }
   }
 
   /**
-   * Complete a match
+   * Complete an accepted or running match (provider)
    */
   static async completeMatch(matchId, providerId) {
     try {
@@ -130,14 +336,28 @@ export class MatchingService {
         throw new Error('Unauthorized: Only the provider can complete this match');
       }
 
+      if (!['accepted', 'in_progress'].includes(match.status)) {
+        throw new Error(`Cannot complete a match that is ${match.status}`);
+      }
+
       // Update match status
-      const updatedMatch = await Match.update(matchId, {
+      const updatedMatch = await SlaService.recordAssessment(await Match.update(matchId, {
         status: 'completed',
         end_time: new Date(),
-      });
+      }));
 
       // Update request status
-      await ComputeRequest.update(match.request_id, { status: 'completed' });
+      const request = await ComputeRequest.update(match.request_id, { status: 'completed' });
+
+      await Reservation.closeForMatch(matchId, 'completed');
+
+      await ReputationService.recordOutcome(
+        [match.provider_id, request.requester_id],
+        'match_completed',
+        matchId
+      );
+
+      await WebhookService.emit('match.completed', [request.requester_id, match.provider_id], updatedMatch);
 
       return updatedMatch;
     } catch (error) {
@@ -147,17 +367,46 @@ export class MatchingService {
   }
 
   /**
-   * Cancel a match
+   * Cancel an open match (requester, provider or admin). Its request goes
+   * back to pending unless another of its matches is still open.
+   * @param {string} matchId - Match ID
+   * @param {Object} principal - Authenticated principal (req.user)
    */
-  static async cancelMatch(matchId, agentId) {
+  static async cancelMatch(matchId, principal) {
     try {
       const match = await Match.findById(matchId);
       if (!match) {
         throw new Error('Match not found');
       }
 
+      const request = await ComputeRequest.findById(match.request_id);
+      if (!canCancelMatch(principal, match, request)) {
+        throw new Error('Unauthorized: Only the requester, the provider or an admin can cancel this match');
+      }
+
+      if (!OPEN_MATCH_STATUSES.includes(match.status)) {
+        throw new Error(`Cannot cancel a match that is ${match.status}`);
+      }
+
       // Update match status
-      const updatedMatch = await Match.update(matchId, { status: 'cancelled' });
+      const updatedMatch = await Match.update(matchId, {
+        status: 'cancelled',
+        cancelled_by: principal.id,
+      });
+
+      await Reservation.closeForMatch(matchId, 'released');
+
+      const siblings = await Match.findByRequestId(match.request_id);
+      const stillMatched = siblings.some(m => m.id !== matchId && OPEN_MATCH_STATUSES.includes(m.status));
+      if (!stillMatched && ['matched', 'in_progress'].includes(request.status)) {
+        await ComputeRequest.update(request.id, { status: 'pending' });
+      }
+
+      await ReputationService.recordOutcome(
+        [match.provider_id, request.requester_id],
+        'match_cancelled',
+        matchId
+      );
 
       return updatedMatch;
     } catch (error) {
@@ -166,6 +415,115 @@ export class MatchingService {
     }
   }
 
+  /**
+   * Mark a running match as failed (provider or admin)
+   * @param {string} matchId - Match ID
+   * @param {Object} principal - Authenticated principal (req.user)
+   * @param {string} reason - What went wrong
+   */
+  static async failMatch(matchId, principal, reason = null) {
+    try {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      if (match.provider_id !== principal.id && !isAdmin(principal)) {
+        throw new Error('Unauthorized: Only the provider or an admin can mark this match as failed');
+      }
+
+      if (!['accepted', 'in_progress'].includes(match.status)) {
+        throw new Error(`Cannot fail a match that is ${match.status}`);
+      }
+
+      const updatedMatch = await SlaService.recordAssessment(await Match.update(matchId, {
+        status: 'failed',
+        end_time: new Date(),
+        failure_reason: reason,
+      }));
+
+      const request = await ComputeRequest.update(match.request_id, { status: 'failed' });
+
+      await Reservation.closeForMatch(matchId, 'released');
+
+      await ReputationService.recordOutcome(
+        [match.provider_id, request.requester_id],
+        'match_failed',
+        matchId
+      );
+
+      return updatedMatch;
+    } catch (error) {
+      console.error('Error failing match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a request off a match that runs into its provider's maintenance.
+   * Another provider is proposed first, so the original match is only
+   * cancelled once the request has somewhere to go. Planned maintenance is
+   * nobody's fault, so the old match is cancelled without a cancelled_by
+   * and neither party's reputation is affected.
+   * @param {string} matchId - Match to move away from
+   * @param {Object} principal - The requester (req.user)
+   * @returns {Object} The cancelled match, the newly proposed one and the maintenance in the way
+   */
+  static async rematch(matchId, principal) {
+    try {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      const request = await ComputeRequest.findById(match.request_id);
+      if (request.requester_id !== principal.id) {
+        throw new Error('Unauthorized: Only the requester can re-match this match');
+      }
+
+      if (!OPEN_MATCH_STATUSES.includes(match.status)) {
+        throw new Error(`Cannot re-match a match that is ${match.status}`);
+      }
+
+      // Accepted matches hold a booked period; proposed ones would run for the request's
+      const reservation = await Reservation.findByMatchId(matchId);
+      const { startsAt, endsAt } = reservation?.status === 'active'
+        ? { startsAt: reservation.starts_at, endsAt: reservation.ends_at }
+        : AvailabilityService.getPeriod(request);
+
+      const maintenance = match.capability_id
+        ? await MaintenanceWindow.findOverlapping(match.capability_id, startsAt, endsAt)
+        : [];
+
+      if (maintenance.length === 0) {
+        throw new Error('Cannot re-match: the match does not overlap any maintenance window');
+      }
+
+      const replacement = await this.autoMatch(request.id, {
+        excludeProviderIds: [match.provider_id],
+        rematchedFrom: match.id,
+      });
+
+      if (!replacement) {
+        throw new Error('Cannot re-match: no other provider can take the request');
+      }
+
+      // No cancelled_by: reputation counts cancellations against whoever made them
+      const cancelledMatch = await Match.update(matchId, { status: 'cancelled' });
+
+      await Reservation.closeForMatch(matchId, 'released');
+
+      return {
+        cancelled_match: cancelledMatch,
+        match: replacement,
+        maintenance_windows: maintenance,
+      };
+    } catch (error) {
+      console.error('Error re-matching:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get matching statistics
    */
@@ -0,0 +1,104 @@
+import Organization from '../models/Organization.js';
+import ComputeRequest from '../models/ComputeRequest.js';
+import Match from '../models/Match.js';
+import PaymentService from './PaymentService.js';
+
+const byCreatedAtDesc = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// Rows shared by two member agents (e.g. a transaction between them) appear once
+const uniqueById = (rows) => [...new Map(rows.map(r => [r.id, r])).values()];
+
+export class OrganizationService {
+  /**
+   * Get compute requests submitted by any active member
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} Requests, newest first
+   */
+  static async getRequests(organizationId) {
+    try {
+      const memberIds = await Organization.getActiveMemberIds(organizationId);
+      const perMember = await Promise.all(
+        memberIds.map(id => ComputeRequest.findByRequesterId(id, 100, 0))
+      );
+
+      return perMember.flat().sort(byCreatedAtDesc);
+    } catch (error) {
+      console.error('Error getting organization requests:', error);
+      throw new Error(`Failed to retrieve organization requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get matches in which any active member is the provider
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} Matches, newest first
+   */
+  static async getMatches(organizationId) {
+    try {
+      const memberIds = await Organization.getActiveMemberIds(organizationId);
+      const perMember = await Promise.all(
+        memberIds.map(id => Match.findByProviderId(id, 100, 0))
+      );
+
+      return uniqueById(perMember.flat()).sort(byCreatedAtDesc);
+    } catch (error) {
+      console.error('Error getting organization matches:', error);
+      throw new Error(`Failed to retrieve organization matches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get transactions in which any active member is a party
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} Transactions, newest first
+   */
+  static async getTransactions(organizationId) {
+    try {
+      const memberIds = await Organization.getActiveMemberIds(organizationId);
+      const perMember = await Promise.all(
+        memberIds.map(id => PaymentService.getAgentTransactions(id))
+      );
+
+      return uniqueById(perMember.flat()).sort(byCreatedAtDesc);
+    } catch (error) {
+      console.error('Error getting organization transactions:', error);
+      throw new Error(`Failed to retrieve organization transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize organization activity
+   * @param {string} organizationId - Organization ID
+   * @returns {Object} Totals across members
+   */
+  static async getSummary(organizationId) {
+    try {
+      const memberIds = await Organization.getActiveMemberIds(organizationId);
+      const [requests, matches, transactions] = await Promise.all([
+        this.getRequests(organizationId),
+        this.getMatches(organizationId),
+        this.getTransactions(organizationId),
+      ]);
+
+      const members = new Set(memberIds);
+      const settled = transactions.filter(t => t.status === 'settled');
+      const sum = (rows) => rows.reduce((total, t) => total + parseFloat(t.amount), 0);
+
+      return {
+        member_count: memberIds.length,
+        total_requests: requests.length,
+        open_requests: requests.filter(r => ['pending', 'matched', 'in_progress'].includes(r.status)).length,
+        total_matches: matches.length,
+        completed_matches: matches.filter(m => m.status === 'completed').length,
+        total_transactions: transactions.length,
+        total_earnings: sum(settled.filter(t => members.has(t.provider_id))),
+        total_spent: sum(settled.filter(t => members.has(t.requester_id))),
+      };
+    } catch (error) {
+      console.error('Error getting organization summary:', error);
+      throw new Error(`Failed to retrieve organization summary: ${error.message}`);
+    }
+  }
+}
+
+export default OrganizationService;
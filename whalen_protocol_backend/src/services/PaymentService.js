@@ -1,6 +1,9 @@
 import Stripe from 'stripe';
 import pool from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import WebhookService from './WebhookService.js';
+import SlaService from './SlaService.js';
+import SlaCredit from '../models/SlaCredit.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -75,7 +78,14 @@ export class PaymentService {
         throw new Error('Transaction not found');
       }
 
-      return result.rows[0];
+      const transaction = result.rows[0];
+      await WebhookService.emit(
+        'payment.escrowed',
+        [transaction.requester_id, transaction.provider_id],
+        transaction
+      );
+
+      return transaction;
     } catch (error) {
       console.error('Error confirming payment:', error);
       throw new Error(`Payment confirmation failed: ${error.message}`);
@@ -83,7 +93,8 @@ export class PaymentService {
   }
 
   /**
-   * Release payment to provider after verification
+   * Release payment to provider after verification. Credits for breaches of
+   * the match's SLA are refunded to the requester out of the release.
    * @param {string} transactionId - Transaction ID
    * @param {boolean} verified - Whether work was verified
    * @returns {Object} Updated transaction
@@ -117,20 +128,44 @@ export class PaymentService {
         return result.rows[0];
       }
 
+      const existing = await pool.query(
+        'SELECT * FROM transactions WHERE id = $1',
+        [transactionId]
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error('Transaction not found');
+      }
+
+      const { total: credit } = await SlaService.creditTransaction(
+        existing.rows[0],
+        parseFloat(existing.rows[0].amount)
+      );
+
+      if (credit > 0) {
+        await stripe.refunds.create({
+          payment_intent: existing.rows[0].transaction_hash,
+          amount: Math.round(credit * 100), // Convert to cents
+        });
+      }
+
       // Mark as settled
       const result = await pool.query(
         `UPDATE transactions 
-         SET status = $1, updated_at = NOW()
-         WHERE id = $2
+         SET status = $1, refunded_amount = $2, sla_credit_amount = $2, updated_at = NOW()
+         WHERE id = $3
          RETURNING *`,
-        ['settled', transactionId]
+        ['settled', credit > 0 ? credit : null, transactionId]
       );
 
-      if (result.rows.length === 0) {
-        throw new Error('Transaction not found');
-      }
+      const transaction = result.rows[0];
+      await WebhookService.emit(
+        'payment.settled',
+        [transaction.requester_id, transaction.provider_id],
+        transaction
+      );
 
-      return result.rows[0];
+      return transaction;
     } catch (error) {
       console.error('Error releasing payment:', error);
       throw new Error(`Payment release failed: ${error.message}`);
@@ -138,7 +173,65 @@ export class PaymentService {
   }
 
   /**
-   * Get transaction details
+   * Pay the provider part of an escrowed payment and refund the rest, as for
+   * a preempted match billed only for the hours it ran. SLA credits are
+   * shares of the amount earned and come out of the provider's part.
+   * @param {string} transactionId - Transaction ID
+   * @param {number} amount - Amount the provider earned before SLA credits
+   * @returns {Object} Updated transaction
+   */
+  static async settlePartial(transactionId, amount) {
+    try {
+      const existing = await pool.query(
+        'SELECT * FROM transactions WHERE id = $1',
+        [transactionId]
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error('Transaction not found');
+      }
+
+      const { total: credit } = await SlaService.creditTransaction(existing.rows[0], amount);
+
+      const paid = parseFloat(existing.rows[0].amount);
+      const refund = Math.round(Math.max(0, paid - amount + credit) * 100) / 100;
+
+      if (refund >= paid) {
+        return await this.releasePayment(transactionId, false);
+      }
+
+      if (refund > 0) {
+        await stripe.refunds.create({
+          payment_intent: existing.rows[0].transaction_hash,
+          amount: Math.round(refund * 100), // Convert to cents
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE transactions 
+         SET status = $1, refunded_amount = $2, sla_credit_amount = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        ['settled', refund, credit > 0 ? credit : null, transactionId]
+      );
+
+      const transaction = result.rows[0];
+      await WebhookService.emit(
+        'payment.settled',
+        [transaction.requester_id, transaction.provider_id],
+        transaction
+      );
+
+      return transaction;
+    } catch (error) {
+      console.error('Error settling partial payment:', error);
+      throw new Error(`Partial settlement failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get transaction details, with the SLA the match was accepted under and
+   * any credits for breaching it
    * @param {string} transactionId - Transaction ID
    * @returns {Object} Transaction details
    */
@@ -147,6 +240,7 @@ export class PaymentService {
       const result = await pool.query(
         `SELECT t.*, 
                 m.agreed_price_per_hour,
+                m.sla_terms,
                 cr.duration_hours,
                 a1.name as requester_name,
                 a2.name as provider_name
@@ -163,7 +257,10 @@ export class PaymentService {
         throw new Error('Transaction not found');
       }
 
-      return result.rows[0];
+      return {
+        ...result.rows[0],
+        sla_credits: await SlaCredit.findByTransactionId(transactionId),
+      };
     } catch (error) {
       console.error('Error getting transaction:', error);
       throw new Error(`Failed to retrieve transaction: ${error.message}`);
@@ -0,0 +1,154 @@
+import pool from '../config/database.js';
+import Match from '../models/Match.js';
+import ComputeRequest from '../models/ComputeRequest.js';
+import PaymentService from './PaymentService.js';
+import SlaService from './SlaService.js';
+import WebhookService from './WebhookService.js';
+
+// How long a spot match keeps the hardware after it is told it will be preempted
+export const PREEMPTION_NOTICE_SECONDS = parseInt(process.env.PREEMPTION_NOTICE_SECONDS) || 120;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.PREEMPTION_SWEEP_INTERVAL_SECONDS) || 15;
+
+let sweepTimer = null;
+let sweeping = false;
+
+export class PreemptionService {
+  /**
+   * Tell the parties to each evicted spot match when it will lose the
+   * hardware, then end any whose notice has already run out. Failures are
+   * logged rather than thrown so they never undo the booking that evicted them.
+   * @param {Array} evictions - { match_id, preempts_at } from AvailabilityService.reserve
+   */
+  static async notify(evictions) {
+    for (const eviction of evictions) {
+      try {
+        const match = await Match.findById(eviction.match_id);
+        const request = await ComputeRequest.findById(match.request_id);
+
+        await WebhookService.emit(
+          'match.preemption_notice',
+          [request.requester_id, match.provider_id],
+          match
+        );
+      } catch (error) {
+        console.error(`Preemption notice for ${eviction.match_id} skipped:`, error.message);
+      }
+    }
+
+    if (evictions.length > 0) {
+      try {
+        await this.finalizeDue();
+      } catch (error) {
+        console.error('Preemption sweep failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * End a spot match whose notice has run out. It is billed for the hours its
+   * reservation actually ran, any escrow beyond that is refunded and the
+   * request goes back to pending so it can be matched again.
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} The preempted match, or null if it was not due or already ended
+   */
+  static async finalize(matchId) {
+    const result = await pool.query(
+      `WITH hours AS (
+         SELECT r.match_id,
+                GREATEST(0, EXTRACT(EPOCH FROM LEAST(r.ends_at, m.preempts_at) - r.starts_at) / 3600) AS used
+         FROM reservations r
+         JOIN matches m ON m.id = r.match_id
+         WHERE r.match_id = $1
+       )
+       UPDATE matches m
+       SET status = 'preempted',
+           end_time = m.preempts_at,
+           billed_hours = ROUND(hours.used, 4),
+           billed_amount = ROUND(m.agreed_price_per_hour * hours.used, 8),
+           updated_at = CURRENT_TIMESTAMP
+       FROM hours
+       WHERE m.id = hours.match_id
+         AND m.status IN ('accepted', 'in_progress')
+         AND m.preempts_at <= LOCALTIMESTAMP
+       RETURNING m.*`,
+      [matchId]
+    );
+
+    if (!result.rows[0]) return null;
+    const match = await SlaService.recordAssessment(result.rows[0]);
+
+    await pool.query(
+      `UPDATE reservations SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+       WHERE match_id = $1 AND status = 'active'`,
+      [matchId]
+    );
+
+    const request = await ComputeRequest.update(match.request_id, { status: 'pending' });
+
+    const escrowed = await pool.query(
+      `SELECT id FROM transactions WHERE match_id = $1 AND status = 'escrowed'`,
+      [matchId]
+    );
+
+    for (const transaction of escrowed.rows) {
+      try {
+        await PaymentService.settlePartial(transaction.id, parseFloat(match.billed_amount));
+      } catch (error) {
+        console.error(`Partial settlement of ${transaction.id} failed:`, error.message);
+      }
+    }
+
+    await WebhookService.emit('match.preempted', [request.requester_id, match.provider_id], match);
+
+    return match;
+  }
+
+  /**
+   * End every spot match whose notice has run out
+   * @returns {number} Matches preempted
+   */
+  static async finalizeDue() {
+    const due = await pool.query(
+      `SELECT id FROM matches
+       WHERE status IN ('accepted', 'in_progress') AND preempts_at <= LOCALTIMESTAMP`
+    );
+
+    let preempted = 0;
+    for (const { id } of due.rows) {
+      if (await this.finalize(id)) preempted++;
+    }
+
+    return preempted;
+  }
+
+  /**
+   * Run finalizeDue on a timer. Errors are logged so one bad sweep never stops the next.
+   */
+  static startSweeper(intervalSeconds = SWEEP_INTERVAL_SECONDS) {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(async () => {
+      // A slow sweep must not overlap the next one
+      if (sweeping) return;
+      sweeping = true;
+
+      try {
+        const preempted = await this.finalizeDue();
+        if (preempted > 0) {
+          console.log(`Preemption sweep: ${preempted} spot matches preempted`);
+        }
+      } catch (error) {
+        console.error('Preemption sweep failed:', error.message);
+      } finally {
+        sweeping = false;
+      }
+    }, intervalSeconds * 1000);
+  }
+
+  static stopSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+export default PreemptionService;
@@ -0,0 +1,141 @@
+import PricingRule from '../models/PricingRule.js';
+import { coversHour } from '../utils/helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// time_of_day rules repeat every week
+const HOURS_PER_WEEK = 168;
+
+// matches.agreed_price_per_hour is DECIMAL(18, 8)
+const PRICE_SCALE = 1e8;
+
+const roundPrice = (value) => Math.round(value * PRICE_SCALE) / PRICE_SCALE;
+
+export class PricingService {
+  /**
+   * Apply a capability's pricing rules to its base price, which is the price
+   * of the capacity class being quoted when there is one.
+   * - time_of_day: each hour of the job takes the cheapest rule covering it
+   *   (or no change), and the job pays the average over its hours
+   * - utilization: the rule with the highest threshold reached applies
+   * - duration: the rule with the highest minimum the job meets applies
+   * The three factors multiply.
+   * @param {Object} capability - Capability with price_per_hour (and class_price_per_hour)
+   * @param {Array} rules - The capability's pricing rules
+   * @param {Object} context - startsAt, durationHours and utilization (0-1)
+   * @returns {Object} effective_price_per_hour and the breakdown behind it
+   */
+  static quote(capability, rules, { startsAt = new Date(), durationHours = 1, utilization = 0 } = {}) {
+    const base = parseFloat(capability.class_price_per_hour ?? capability.price_per_hour);
+    const applied = [];
+
+    const timeRules = rules.filter(r => r.rule_type === 'time_of_day');
+    const hours = Math.max(1, durationHours);
+    const slots = Math.ceil(hours);
+    const hoursByRule = new Map();
+    let hourlyTotal = 0;
+
+    // Each hour of the week is priced once and counted as often as the job
+    // runs through it, so long jobs cost no more to quote than a week
+    for (let i = 0; i < Math.min(slots, HOURS_PER_WEEK); i++) {
+      const occurrences = Math.floor(slots / HOURS_PER_WEEK) + (i < slots % HOURS_PER_WEEK ? 1 : 0);
+      const at = new Date(startsAt.getTime() + i * HOUR_MS);
+      const cheapest = timeRules
+        .filter(rule => coversHour(rule, at))
+        .sort((a, b) => parseFloat(a.multiplier) - parseFloat(b.multiplier))[0];
+
+      if (cheapest) {
+        hoursByRule.set(cheapest, (hoursByRule.get(cheapest) || 0) + occurrences);
+        hourlyTotal += parseFloat(cheapest.multiplier) * occurrences;
+      } else {
+        hourlyTotal += occurrences;
+      }
+    }
+
+    for (const [rule, ruleHours] of hoursByRule) {
+      applied.push({ ...this.describe(rule), hours: ruleHours });
+    }
+
+    const surge = rules
+      .filter(r => r.rule_type === 'utilization' && parseFloat(r.utilization_threshold) <= utilization)
+      .sort((a, b) => parseFloat(b.utilization_threshold) - parseFloat(a.utilization_threshold))[0];
+
+    const volume = rules
+      .filter(r => r.rule_type === 'duration' && r.min_duration_hours <= durationHours)
+      .sort((a, b) => b.min_duration_hours - a.min_duration_hours)[0];
+
+    if (surge) applied.push(this.describe(surge));
+    if (volume) applied.push(this.describe(volume));
+
+    const multipliers = {
+      time_of_day: roundPrice(hourlyTotal / hours),
+      utilization: surge ? parseFloat(surge.multiplier) : 1,
+      duration: volume ? parseFloat(volume.multiplier) : 1,
+    };
+
+    const effective = roundPrice(
+      base * multipliers.time_of_day * multipliers.utilization * multipliers.duration
+    );
+
+    return {
+      effective_price_per_hour: effective,
+      price_breakdown: {
+        capacity_class: capability.capacity_class || 'on_demand',
+        base_price_per_hour: base,
+        quoted_for: {
+          starts_at: startsAt,
+          duration_hours: durationHours,
+          utilization: Math.round(utilization * 10000) / 10000,
+        },
+        multipliers,
+        rules: applied,
+        effective_price_per_hour: effective,
+      },
+    };
+  }
+
+  static describe(rule) {
+    return {
+      id: rule.id,
+      rule_type: rule.rule_type,
+      name: rule.name,
+      multiplier: parseFloat(rule.multiplier),
+    };
+  }
+
+  /**
+   * Price search results, drop those above the budget and order them by
+   * effective price. Utilization is the share of GPUs already reserved over
+   * the period, so results need free_gpu_count.
+   * @param {Array} capabilities - ProviderCapability.search results
+   * @param {Object} context - startsAt, durationHours and maxPrice
+   * @returns {Array} Capabilities with effective_price_per_hour and price_breakdown
+   */
+  static async priceResults(capabilities, { startsAt = new Date(), durationHours = 1, maxPrice = Infinity } = {}) {
+    try {
+      if (capabilities.length === 0) return [];
+
+      const rulesByCapability = await PricingRule.findByCapabilityIds(capabilities.map(c => c.id));
+
+      return capabilities
+        .map(capability => ({
+          ...capability,
+          ...this.quote(capability, rulesByCapability[capability.id] || [], {
+            startsAt,
+            durationHours,
+            utilization: 1 - capability.free_gpu_count / capability.gpu_count,
+          }),
+        }))
+        .filter(capability => capability.effective_price_per_hour <= maxPrice)
+        .sort((a, b) =>
+          a.effective_price_per_hour - b.effective_price_per_hour ||
+          (b.reputation_score || 0) - (a.reputation_score || 0)
+        );
+    } catch (error) {
+      console.error('Error pricing capabilities:', error);
+      throw new Error(`Pricing failed: ${error.message}`);
+    }
+  }
+}
+
+export default PricingService;
@@ -0,0 +1,79 @@
+import pool from '../config/database.js';
+import RateLimit from '../models/RateLimit.js';
+
+// How much of each quota-limited resource an agent currently holds
+const USAGE_QUERIES = {
+  open_requests: `
+    SELECT COUNT(*)::int AS used FROM compute_requests
+    WHERE requester_id = $1 AND status IN ('pending', 'matched', 'in_progress')`,
+  pending_matches: `
+    SELECT COUNT(*)::int AS used
+    FROM matches m
+    JOIN compute_requests cr ON m.request_id = cr.id
+    WHERE cr.requester_id = $1 AND m.status = 'proposed'`,
+};
+
+export const QUOTA_RESOURCES = Object.keys(USAGE_QUERIES);
+
+/**
+ * The tier an agent's limits are looked up under: its override if an admin
+ * set one, otherwise its type
+ */
+export const getRateLimitTier = (principal) => principal.agent.rate_limit_tier || principal.type;
+
+const countUsage = async (agentId, resource) => {
+  const result = await pool.query(USAGE_QUERIES[resource], [agentId]);
+  return result.rows[0].used;
+};
+
+export class QuotaService {
+  /**
+   * Check whether an agent can take on one more of a resource
+   * @param {Object} principal - req.user
+   * @param {string} resource - One of QUOTA_RESOURCES
+   * @returns {Object} resource, limit (null when unlimited), used and allowed
+   */
+  static async check(principal, resource) {
+    const limit = await RateLimit.findQuota(resource, getRateLimitTier(principal));
+    if (limit === null) {
+      return { resource, limit: null, used: null, allowed: true };
+    }
+
+    const used = await countUsage(principal.id, resource);
+
+    return { resource, limit, used, allowed: used < limit };
+  }
+
+  /**
+   * Get an agent's rate limits and quota usage
+   * @param {Object} principal - req.user
+   * @returns {Object} tier, rate_limits and quotas
+   */
+  static async getLimits(principal) {
+    try {
+      const tier = getRateLimitTier(principal);
+      const rateLimits = await RateLimit.findPolicies(tier);
+      const limits = new Map(
+        (await RateLimit.findQuotas(tier)).map(quota => [quota.resource, quota.max_count])
+      );
+      const quotas = [];
+
+      for (const resource of QUOTA_RESOURCES) {
+        const limit = limits.get(resource) ?? null;
+        const used = limit === null ? null : await countUsage(principal.id, resource);
+        quotas.push({ resource, limit, used });
+      }
+
+      return {
+        tier,
+        rate_limits: rateLimits,
+        quotas,
+      };
+    } catch (error) {
+      console.error('Error getting limits:', error);
+      throw new Error(`Failed to retrieve limits: ${error.message}`);
+    }
+  }
+}
+
+export default QuotaService;
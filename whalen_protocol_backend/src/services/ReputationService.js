@@ -0,0 +1,166 @@
+import pool from '../config/database.js';
+import Agent from '../models/Agent.js';
+import ReputationHistory from '../models/ReputationHistory.js';
+import Review from '../models/Review.js';
+import { calculateReputationScore } from '../utils/helpers.js';
+
+export class ReputationService {
+  /**
+   * Turn an agent's finished matches into scored outcomes.
+   * Completions count for both parties, failures against the provider and
+   * cancellations against whoever cancelled.
+   * @param {string} agentId - Agent ID
+   * @returns {Array} Outcome events
+   */
+  static async getMatchOutcomes(agentId) {
+    const result = await pool.query(
+      `SELECT m.id, m.status, m.provider_id, m.cancelled_by,
+              COALESCE(m.end_time, m.updated_at) AS occurred_at
+       FROM matches m
+       JOIN compute_requests cr ON m.request_id = cr.id
+       WHERE (m.provider_id = $1 OR cr.requester_id = $1)
+         AND m.status IN ('completed', 'failed', 'cancelled')`,
+      [agentId]
+    );
+
+    const outcomes = [];
+
+    for (const match of result.rows) {
+      if (match.status === 'completed') {
+        outcomes.push({ outcome: 1, weight: 1, occurred_at: match.occurred_at });
+      } else if (match.status === 'failed' && match.provider_id === agentId) {
+        outcomes.push({ outcome: 0, weight: 1.5, occurred_at: match.occurred_at });
+      } else if (match.status === 'cancelled' && match.cancelled_by === agentId) {
+        outcomes.push({ outcome: 0, weight: 1, occurred_at: match.occurred_at });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Turn reviewed proofs and resolved disputes into scored outcomes.
+   * Providers gain from approved work and lose from rejected work or lost
+   * disputes; requesters lose a little for disputes resolved against them.
+   * @param {string} agentId - Agent ID
+   * @returns {Array} Outcome events
+   */
+  static async getVerificationOutcomes(agentId) {
+    const result = await pool.query(
+      `SELECT v.verified, v.verifier_id, v.resolved_at,
+              v.proof_data->>'type' AS kind,
+              t.provider_id, t.requester_id,
+              COALESCE(v.resolved_at, v.updated_at) AS occurred_at
+       FROM verifications v
+       JOIN transactions t ON v.transaction_id = t.id
+       WHERE t.provider_id = $1 OR t.requester_id = $1`,
+      [agentId]
+    );
+
+    const outcomes = [];
+
+    for (const v of result.rows) {
+      const isProvider = v.provider_id === agentId;
+
+      if (v.kind === 'dispute') {
+        if (!v.resolved_at) continue;
+
+        if (isProvider) {
+          outcomes.push(v.verified
+            ? { outcome: 1, weight: 0.5, occurred_at: v.occurred_at }
+            : { outcome: 0, weight: 2, occurred_at: v.occurred_at });
+        } else if (v.verified && v.verifier_id === agentId) {
+          outcomes.push({ outcome: 0, weight: 0.5, occurred_at: v.occurred_at });
+        }
+        continue;
+      }
+
+      // A proof is still unreviewed while its verifier is the provider who submitted it
+      if (!isProvider || v.verifier_id === v.provider_id) continue;
+
+      outcomes.push(v.verified
+        ? { outcome: 1, weight: 0.5, occurred_at: v.occurred_at }
+        : { outcome: 0, weight: 1, occurred_at: v.occurred_at });
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Recompute an agent's reputation and record it in the history
+   * @param {string} agentId - Agent ID
+   * @param {string} trigger - What caused the recalculation
+   * @param {string} referenceId - Match, verification, dispute or review involved
+   * @returns {Object} History entry
+   */
+  static async recalculate(agentId, trigger = 'recalculation', referenceId = null) {
+    try {
+      const agent = await Agent.findById(agentId);
+      if (!agent) {
+        throw new Error('Agent not found');
+      }
+
+      const outcomes = [
+        ...(await this.getMatchOutcomes(agentId)),
+        ...(await this.getVerificationOutcomes(agentId)),
+      ];
+
+      const ratings = await Review.getRatings(agentId);
+
+      const { score, confidence, sample_size } = calculateReputationScore(outcomes, ratings);
+
+      await Agent.update(agentId, {
+        reputation_score: score,
+        reputation_confidence: confidence,
+      });
+
+      return await ReputationHistory.create(
+        agentId,
+        score,
+        agent.reputation_score,
+        confidence,
+        sample_size,
+        trigger,
+        referenceId
+      );
+    } catch (error) {
+      console.error('Error recalculating reputation:', error);
+      throw new Error(`Reputation recalculation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recalculate everyone involved in an outcome. Failures are logged rather
+   * than thrown so they never undo the action that triggered them.
+   * @param {Array} agentIds - Agents involved
+   * @param {string} trigger - What happened
+   * @param {string} referenceId - Match, verification, dispute or review involved
+   */
+  static async recordOutcome(agentIds, trigger, referenceId = null) {
+    for (const agentId of new Set(agentIds.filter(Boolean))) {
+      try {
+        await this.recalculate(agentId, trigger, referenceId);
+      } catch (error) {
+        console.error(`Reputation update for ${agentId} skipped:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get how an agent's reputation evolved
+   * @param {string} agentId - Agent ID
+   * @param {number} limit - Max entries
+   * @param {number} offset - Entries to skip
+   * @returns {Array} History entries, newest first
+   */
+  static async getHistory(agentId, limit = 50, offset = 0) {
+    try {
+      return await ReputationHistory.findByAgentId(agentId, limit, offset);
+    } catch (error) {
+      console.error('Error getting reputation history:', error);
+      throw new Error(`Failed to retrieve reputation history: ${error.message}`);
+    }
+  }
+}
+
+export default ReputationService;
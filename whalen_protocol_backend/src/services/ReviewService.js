@@ -0,0 +1,88 @@
+import Match from '../models/Match.js';
+import ComputeRequest from '../models/ComputeRequest.js';
+import Review from '../models/Review.js';
+import ReputationService from './ReputationService.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+export class ReviewService {
+  /**
+   * Review the other party of a completed match
+   * @param {string} matchId - Match ID
+   * @param {Object} principal - Reviewing agent (req.user)
+   * @param {Object} review - rating (1-5), tags and comment
+   * @returns {Object} Created review
+   */
+  static async submitReview(matchId, principal, { rating, tags = {}, comment = null }) {
+    try {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      const request = await ComputeRequest.findById(match.request_id);
+
+      let reviewerRole;
+      let revieweeId;
+      if (match.provider_id === principal.id && request.requester_id === principal.id) {
+        throw new Error('Cannot review a match with yourself');
+      } else if (match.provider_id === principal.id) {
+        reviewerRole = 'provider';
+        revieweeId = request.requester_id;
+      } else if (request.requester_id === principal.id) {
+        reviewerRole = 'requester';
+        revieweeId = match.provider_id;
+      } else {
+        throw new Error('Unauthorized: Only the requester or the provider can review this match');
+      }
+
+      if (match.status !== 'completed') {
+        throw new Error(`Cannot review a match that is ${match.status}`);
+      }
+
+      if (await Review.findByMatchAndReviewer(matchId, principal.id)) {
+        throw new Error('Cannot review the same match twice');
+      }
+
+      let review;
+      try {
+        review = await Review.create(matchId, principal.id, revieweeId, reviewerRole, rating, tags, comment);
+      } catch (error) {
+        // Lost a race with a concurrent review from the same agent
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new Error('Cannot review the same match twice');
+        }
+        throw error;
+      }
+
+      await ReputationService.recordOutcome([revieweeId], 'review', review.id);
+
+      return review;
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an agent's recent reviews and rating averages
+   * @param {string} agentId - Reviewed agent ID
+   * @param {number} limit - Max reviews
+   * @returns {Object} summary and reviews
+   */
+  static async getAgentReviews(agentId, limit = 20) {
+    try {
+      const [summary, reviews] = await Promise.all([
+        Review.getSummary(agentId),
+        Review.findByRevieweeId(agentId, limit, 0),
+      ]);
+
+      return { summary, reviews };
+    } catch (error) {
+      console.error('Error getting agent reviews:', error);
+      throw new Error(`Failed to retrieve reviews: ${error.message}`);
+    }
+  }
+}
+
+export default ReviewService;
@@ -0,0 +1,143 @@
+import Match from '../models/Match.js';
+import Reservation from '../models/Reservation.js';
+import ProviderHeartbeat from '../models/ProviderHeartbeat.js';
+import SlaCredit from '../models/SlaCredit.js';
+import { evaluateSla } from '../utils/sla.js';
+import { HEARTBEAT_TIMEOUT_SECONDS } from './HeartbeatService.js';
+
+const RUNNING_STATUSES = ['accepted', 'in_progress'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class SlaService {
+  /**
+   * Measure a match against the SLA terms it was accepted under. The match is
+   * due to start at acceptance, or at the booked start if that is later.
+   * Time to start runs from then until the provider marks the match started;
+   * a match never marked started is measured up to its end. Uptime and
+   * interruptions come from the provider's heartbeats from the start, or
+   * from when it was due if it never started. A match still running is
+   * measured up to now; one that has ended returns what was recorded then.
+   * @param {Object} match - Match row
+   * @returns {Object|null} Terms, the period measured and each term's result; null without terms
+   */
+  static async assess(match) {
+    try {
+      const terms = match.sla_terms;
+      if (!terms) {
+        return null;
+      }
+
+      if (match.sla_assessment) {
+        return match.sla_assessment;
+      }
+
+      const endedAt = match.end_time
+        ? new Date(match.end_time)
+        : RUNNING_STATUSES.includes(match.status) ? new Date() : new Date(match.updated_at);
+      const startedAt = match.started_at ? new Date(match.started_at) : null;
+      const measured = {};
+
+      let dueAt = null;
+      if (match.accepted_at) {
+        const reservation = await Reservation.findByMatchId(match.id);
+        dueAt = new Date(Math.max(
+          new Date(match.accepted_at).getTime(),
+          reservation ? new Date(reservation.starts_at).getTime() : 0
+        ));
+      }
+
+      if (terms.time_to_start && dueAt) {
+        measured.time_to_start = round(Math.max(0, ((startedAt || endedAt) - dueAt) / 60000));
+      }
+
+      const runningFrom = startedAt || dueAt;
+      if ((terms.uptime || terms.interruptions) && runningFrom && endedAt > runningFrom) {
+        const { observed_seconds, downtime_seconds, interruptions } = await ProviderHeartbeat.getInterruptions(
+          match.provider_id,
+          match.capability_id,
+          runningFrom,
+          endedAt,
+          HEARTBEAT_TIMEOUT_SECONDS
+        );
+        measured.uptime = round(100 * (1 - downtime_seconds / observed_seconds));
+        measured.interruptions = interruptions;
+      }
+
+      return {
+        match_id: match.id,
+        terms,
+        accepted_at: match.accepted_at,
+        started_at: match.started_at,
+        measured_until: endedAt,
+        results: evaluateSla(terms, measured),
+      };
+    } catch (error) {
+      console.error('Error assessing SLA:', error);
+      throw new Error(`SLA assessment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a match's SLA assessment as it ends, while the heartbeats behind
+   * it are still kept. Without one, the match is measured afresh when asked.
+   * @param {Object} match - Match row, already ended
+   * @returns {Object} The match, with sla_assessment set when it has terms
+   */
+  static async recordAssessment(match) {
+    try {
+      if (!match.sla_terms) {
+        return match;
+      }
+
+      const assessment = await this.assess(match);
+      return await Match.update(match.id, { sla_assessment: assessment });
+    } catch (error) {
+      console.error('Error recording SLA assessment:', error);
+      return match;
+    }
+  }
+
+  /**
+   * Credit a transaction for its match's SLA breaches, each a share of the
+   * amount. Credits are worked out once; settling the transaction again
+   * returns the ones already recorded.
+   * @param {Object} transaction - Transaction row
+   * @param {number} amount - Amount the credits are shares of
+   * @returns {Object} credits and their total
+   */
+  static async creditTransaction(transaction, amount) {
+    try {
+      let credits = await SlaCredit.findByTransactionId(transaction.id);
+
+      if (credits.length === 0) {
+        const match = await Match.findById(transaction.match_id);
+        const assessment = match ? await this.assess(match) : null;
+
+        // Credits add up to at most the whole amount
+        let remaining = 100;
+        const owed = (assessment?.results || [])
+          .filter(result => result.breached)
+          .map(({ term, target, measured, credit_percent }) => {
+            const percent = Math.min(credit_percent, remaining);
+            remaining -= percent;
+            return { term, target, measured, credit_percent: percent, amount: round(amount * percent / 100) };
+          })
+          .filter(credit => credit.credit_percent > 0);
+
+        await SlaCredit.createMany(transaction.id, transaction.match_id, owed);
+        credits = await SlaCredit.findByTransactionId(transaction.id);
+      }
+
+      return {
+        credits,
+        total: round(credits.reduce((sum, credit) => sum + parseFloat(credit.amount), 0)),
+      };
+    } catch (error) {
+      console.error('Error crediting SLA breaches:', error);
+      throw new Error(`SLA crediting failed: ${error.message}`);
+    }
+  }
+}
+
+export default SlaService;
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Agent from '../models/Agent.js';
+import AgentSession from '../models/AgentSession.js';
+import ApiKey from '../models/ApiKey.js';
+import { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS, getJwtSecret } from '../config/auth.js';
+import { generateId } from '../utils/helpers.js';
+
+export class TokenService {
+  /**
+   * Hash a refresh token secret for storage
+   * @param {string} secret - Refresh token secret
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} agent - Agent row
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Token and lifetime in seconds
+   */
+  static signAccessToken(agent, sessionId) {
+    const token = jwt.sign(
+      { agentId: agent.id, name: agent.name, sid: sessionId },
+      getJwtSecret(),
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: generateId() }
+    );
+
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+  }
+
+  static buildTokenPair(agent, sessionId, secret) {
+    const { token, expiresIn } = this.signAccessToken(agent, sessionId);
+
+    return {
+      token_type: 'Bearer',
+      token,
+      expires_in: expiresIn,
+      // The session ID prefix lets refresh look the session up without scanning hashes
+      refresh_token: `${sessionId}.${secret}`,
+      session_id: sessionId,
+    };
+  }
+
+  /**
+   * Open a new session and issue its first token pair. A session minted from
+   * an API key ends no later than the key does.
+   * @param {Object} agent - Agent row
+   * @param {Object} options - scopes, authMethod, userAgent, ipAddress and apiKey, the key row it was minted from
+   * @returns {Object} Token pair
+   */
+  static async createSession(agent, { apiKey = null, ...options } = {}) {
+    try {
+      const sessionId = generateId();
+      const secret = crypto.randomBytes(32).toString('hex');
+      let expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+      if (apiKey?.expires_at && new Date(apiKey.expires_at) < expiresAt) {
+        expiresAt = new Date(apiKey.expires_at);
+      }
+
+      await AgentSession.create(agent.id, this.hashSecret(secret), expiresAt, {
+        ...options,
+        id: sessionId,
+        apiKeyId: apiKey?.id,
+      });
+
+      return this.buildTokenPair(agent, sessionId, secret);
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw new Error(`Session creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, rotating the refresh token.
+   * Presenting an already-rotated token revokes the session, since it means
+   * the token was copied. A session minted from an API key cannot outlive it.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object|null} Token pair, or null when the token is not valid
+   */
+  static async refreshSession(refreshToken) {
+    try {
+      const [sessionId, secret] = String(refreshToken).split('.');
+      if (!sessionId || !secret) return null;
+
+      const session = await AgentSession.findById(sessionId).catch(() => null);
+      if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return null;
+      }
+
+      const presentedHash = this.hashSecret(secret);
+
+      if (!this.hashesEqual(presentedHash, session.refresh_token_hash)) {
+        if (session.previous_refresh_token_hash &&
+            this.hashesEqual(presentedHash, session.previous_refresh_token_hash)) {
+          await AgentSession.revoke(session.id, 'refresh_token_reuse');
+        }
+        return null;
+      }
+
+      // Suspended or closed agents cannot extend their sessions
+      const agent = await Agent.findById(session.agent_id);
+      if (!agent || agent.status !== 'active') return null;
+
+      if (session.api_key_id) {
+        const key = await ApiKey.findById(session.api_key_id);
+        if (!key || key.revoked_at || (key.expires_at && new Date(key.expires_at) <= new Date())) {
+          return null;
+        }
+      }
+
+      const newSecret = crypto.randomBytes(32).toString('hex');
+      const rotated = await AgentSession.rotate(session.id, presentedHash, this.hashSecret(newSecret));
+
+      // Lost a race with a concurrent refresh of the same token
+      if (!rotated) return null;
+
+      return this.buildTokenPair(agent, session.id, newSecret);
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      throw new Error(`Session refresh failed: ${error.message}`);
+    }
+  }
+
+  static hashesEqual(a, b) {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Verify an access token against its signature, its session and the revocation list
+   * @param {string} token - Access token
+   * @returns {Object|null} Decoded claims and session, or null when rejected
+   */
+  static async verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getJwtSecret());
+    } catch (err) {
+      return null;
+    }
+
+    // Tokens issued before sessions existed cannot be revoked, so they are not honoured
+    if (!decoded.sid || !decoded.jti) return null;
+
+    const session = await AgentSession.findById(decoded.sid);
+    if (!session || session.revoked_at || session.agent_id !== decoded.agentId) {
+      return null;
+    }
+
+    if (await AgentSession.isTokenRevoked(decoded.jti)) {
+      return null;
+    }
+
+    return { decoded, session };
+  }
+
+  /**
+   * End the session an access token belongs to and revoke the token itself
+   * @param {Object} decoded - Decoded access token claims
+   * @returns {Object} Revoked session
+   */
+  static async logout(decoded) {
+    try {
+      await AgentSession.revokeToken(decoded.jti, decoded.agentId, new Date(decoded.exp * 1000));
+      return await AgentSession.revoke(decoded.sid, 'logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+      throw new Error(`Logout failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke one of an agent's sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} agentId - Owning agent ID
+   * @returns {Object|null} Revoked session, or null if not found
+   */
+  static async revokeSession(sessionId, agentId) {
+    try {
+      const session = await AgentSession.findById(sessionId);
+      if (!session || session.agent_id !== agentId) return null;
+
+      return await AgentSession.revoke(sessionId, 'revoked_by_agent');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw new Error(`Session revocation failed: ${error.message}`);
+    }
+  }
+}
+
+export default TokenService;
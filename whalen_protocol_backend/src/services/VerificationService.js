@@ -1,6 +1,15 @@
 import crypto from 'crypto';
 import pool from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  canViewTransaction,
+  canOpenDispute,
+  canResolveDispute,
+  canVerifyWork,
+} from '../middleware/authorize.js';
+import Reservation from '../models/Reservation.js';
+import ReputationService from './ReputationService.js';
+import WebhookService from './WebhookService.js';
 
 export class VerificationService {
   /**
@@ -24,6 +33,24 @@ export class VerificationService {
     return proofHash === calculatedHash;
   }
 
+  /**
+   * Load a transaction for an authorization check
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} Transaction row
+   */
+  static async getTransactionRow(transactionId) {
+    const result = await pool.query(
+      'SELECT * FROM transactions WHERE id = $1',
+      [transactionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Transaction not found');
+    }
+
+    return result.rows[0];
+  }
+
   /**
    * Submit work completion proof
    * @param {string} transactionId - Transaction ID
@@ -55,6 +82,9 @@ export class VerificationService {
         [verificationId, transactionId, providerId, proofHash, JSON.stringify(proofData), false]
       );
 
+      const { requester_id, provider_id } = transaction.rows[0];
+      await WebhookService.emit('verification.submitted', [requester_id, provider_id], result.rows[0]);
+
       return result.rows[0];
     } catch (error) {
       console.error('Error submitting proof:', error);
@@ -63,14 +93,14 @@ export class VerificationService {
   }
 
   /**
-   * Verify work completion (by requester or third party)
+   * Verify work completion (by the requester or an admin)
    * @param {string} verificationId - Verification ID
-   * @param {string} verifierId - Verifier agent ID
+   * @param {Object} principal - Authenticated verifier (req.user)
    * @param {boolean} approved - Whether work is approved
    * @param {string} notes - Verification notes
    * @returns {Object} Updated verification
    */
-  static async verifyWork(verificationId, verifierId, approved, notes = '') {
+  static async verifyWork(verificationId, principal, approved, notes = '') {
     try {
       // Get verification record
       const verification = await pool.query(
@@ -84,13 +114,18 @@ export class VerificationService {
 
       const verif = verification.rows[0];
 
+      const transactionRow = await this.getTransactionRow(verif.transaction_id);
+      if (!canVerifyWork(principal, transactionRow)) {
+        throw new Error('Unauthorized: Only the requester or an admin can verify this work');
+      }
+
       // Update verification
       const result = await pool.query(
         `UPDATE verifications 
          SET verified = $1, verifier_id = $2, notes = $3, updated_at = NOW()
          WHERE id = $4
          RETURNING *`,
-        [approved, verifierId, notes, verificationId]
+        [approved, principal.id, notes, verificationId]
       );
 
       // If approved, update transaction status and release payment
@@ -109,15 +144,32 @@ export class VerificationService {
         );
 
         if (transaction.rows.length > 0) {
-          await pool.query(
+          const match = await pool.query(
             `UPDATE matches 
-             SET status = $1, updated_at = NOW()
-             WHERE id = $2`,
+             SET status = $1, end_time = COALESCE(end_time, NOW()), updated_at = NOW()
+             WHERE id = $2 AND status <> $1
+             RETURNING *`,
             ['completed', transaction.rows[0].match_id]
           );
+
+          if (match.rows.length > 0) {
+            await Reservation.closeForMatch(match.rows[0].id, 'completed');
+
+            await WebhookService.emit(
+              'match.completed',
+              [transactionRow.requester_id, transactionRow.provider_id],
+              match.rows[0]
+            );
+          }
         }
       }
 
+      await ReputationService.recordOutcome(
+        [transactionRow.provider_id],
+        'verification',
+        verificationId
+      );
+
       return result.rows[0];
     } catch (error) {
       console.error('Error verifying work:', error);
@@ -128,13 +180,15 @@ export class VerificationService {
   /**
    * Get verification record
    * @param {string} verificationId - Verification ID
+   * @param {Object} principal - Authenticated viewer (req.user)
    * @returns {Object} Verification details
    */
-  static async getVerification(verificationId) {
+  static async getVerification(verificationId, principal) {
     try {
       const result = await pool.query(
         `SELECT v.*, 
                 t.amount, t.status as transaction_status,
+                t.requester_id, t.provider_id,
                 a1.name as provider_name,
                 a2.name as verifier_name
          FROM verifications v
@@ -149,6 +203,10 @@ export class VerificationService {
         throw new Error('Verification not found');
       }
 
+      if (!canViewTransaction(principal, result.rows[0])) {
+        throw new Error('Unauthorized: Only parties to the transaction can view this verification');
+      }
+
       return result.rows[0];
     } catch (error) {
       console.error('Error getting verification:', error);
@@ -159,10 +217,16 @@ export class VerificationService {
   /**
    * Get verifications for a transaction
    * @param {string} transactionId - Transaction ID
+   * @param {Object} principal - Authenticated viewer (req.user)
    * @returns {Array} Verifications
    */
-  static async getTransactionVerifications(transactionId) {
+  static async getTransactionVerifications(transactionId, principal) {
     try {
+      const transaction = await this.getTransactionRow(transactionId);
+      if (!canViewTransaction(principal, transaction)) {
+        throw new Error('Unauthorized: Only parties to the transaction can view its verifications');
+      }
+
       const result = await pool.query(
         `SELECT v.*, 
                 a1.name as provider_name,
@@ -236,22 +300,18 @@ export class VerificationService {
   /**
    * Create a dispute for a transaction
    * @param {string} transactionId - Transaction ID
-   * @param {string} initiatorId - Agent initiating dispute
+   * @param {Object} principal - Agent initiating dispute (req.user)
    * @param {string} reason - Dispute reason
    * @returns {Object} Dispute record
    */
-  static async createDispute(transactionId, initiatorId, reason) {
+  static async createDispute(transactionId, principal, reason) {
     try {
       const disputeId = uuidv4();
+      const initiatorId = principal.id;
 
-      // Verify transaction exists
-      const transaction = await pool.query(
-        'SELECT * FROM transactions WHERE id = $1',
-        [transactionId]
-      );
-
-      if (transaction.rows.length === 0) {
-        throw new Error('Transaction not found');
+      const transaction = await this.getTransactionRow(transactionId);
+      if (!canOpenDispute(principal, transaction)) {
+        throw new Error('Unauthorized: Only parties to the transaction can open a dispute');
       }
 
       // Create dispute record (could be stored in a disputes table)
@@ -271,6 +331,12 @@ export class VerificationService {
         ]
       );
 
+      await WebhookService.emit(
+        'dispute.opened',
+        [transaction.requester_id, transaction.provider_id],
+        result.rows[0]
+      );
+
       return result.rows[0];
     } catch (error) {
       console.error('Error creating dispute:', error);
@@ -279,25 +345,43 @@ export class VerificationService {
   }
 
   /**
-   * Resolve a dispute
+   * Resolve a dispute (arbiters and admins who are not a party to it)
    * @param {string} verificationId - Dispute verification ID
+   * @param {Object} principal - Resolving arbiter (req.user)
    * @param {string} resolution - 'approved' or 'rejected'
    * @param {string} notes - Resolution notes
    * @returns {Object} Updated dispute
    */
-  static async resolveDispute(verificationId, resolution, notes) {
+  static async resolveDispute(verificationId, principal, resolution, notes) {
     try {
+      const dispute = await pool.query(
+        `SELECT * FROM verifications
+         WHERE id = $1 AND proof_data->>'type' = 'dispute'`,
+        [verificationId]
+      );
+
+      if (dispute.rows.length === 0) {
+        throw new Error('Dispute not found');
+      }
+
+      const transaction = await this.getTransactionRow(dispute.rows[0].transaction_id);
+      if (!canResolveDispute(principal, transaction)) {
+        throw new Error('Unauthorized: Only an arbiter or admin who is not a party can resolve this dispute');
+      }
+
       const result = await pool.query(
         `UPDATE verifications 
-         SET verified = $1, notes = $2, updated_at = NOW()
-         WHERE id = $3
+         SET verified = $1, notes = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+         WHERE id = $4
          RETURNING *`,
-        [resolution === 'approved', notes, verificationId]
+        [resolution === 'approved', notes, principal.id, verificationId]
       );
 
-      if (result.rows.length === 0) {
-        throw new Error('Dispute not found');
-      }
+      await ReputationService.recordOutcome(
+        [transaction.provider_id, transaction.requester_id],
+        'dispute_resolved',
+        verificationId
+      );
 
       return result.rows[0];
     } catch (error) {
@@ -0,0 +1,201 @@
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { generateId, signWebhookPayload } from '../utils/helpers.js';
+import { validatePublicUrl } from '../utils/publicUrl.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const REQUEST_TIMEOUT_MS = 10000;
+const WORKER_INTERVAL_SECONDS = 5;
+const WORKER_BATCH_SIZE = 20;
+
+// How long a claimed delivery is hidden from other workers; must outlast the request timeout
+const LEASE_SECONDS = 60;
+
+let workerTimer = null;
+let working = false;
+
+export class WebhookService {
+  /**
+   * Send an event to every active subscription of the agents involved that
+   * asked for it. Failures are logged rather than thrown so they never undo
+   * the action that raised the event; the first attempt runs in the background.
+   * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+   * @param {Array} agentIds - Agents the event concerns
+   * @param {Object} data - Event payload, usually the affected record
+   */
+  static async emit(eventType, agentIds, data) {
+    try {
+      const recipients = [...new Set(agentIds.filter(Boolean))];
+      if (recipients.length === 0) return;
+
+      const subscriptions = await WebhookSubscription.findActiveForEvent(recipients, eventType);
+      if (subscriptions.length === 0) return;
+
+      const event = {
+        id: generateId(),
+        type: eventType,
+        created_at: new Date().toISOString(),
+        data,
+      };
+
+      for (const subscription of subscriptions) {
+        const delivery = await WebhookDelivery.create(subscription.id, event, LEASE_SECONDS);
+        this.attempt(delivery).catch(error =>
+          console.error(`Webhook delivery ${delivery.id} failed:`, error.message)
+        );
+      }
+    } catch (error) {
+      console.error(`Webhook event ${eventType} not queued:`, error.message);
+    }
+  }
+
+  /**
+   * POST a delivery to its subscription and record the outcome, scheduling
+   * a retry with exponential backoff while attempts remain. The URL is checked
+   * again before sending, and only the response status is kept; the body is
+   * never stored or returned to the subscriber.
+   * @param {Object} delivery - Delivery row
+   * @returns {Object} Updated delivery
+   */
+  static async attempt(delivery) {
+    const subscription = await WebhookSubscription.findWithSecret(delivery.subscription_id);
+
+    if (!subscription || !subscription.active) {
+      return WebhookDelivery.recordAttempt(delivery.id, {
+        status: 'failed',
+        error: 'Subscription is inactive',
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signWebhookPayload(subscription.secret, timestamp, body);
+
+    let outcome;
+    try {
+      const urlError = await validatePublicUrl(subscription.url);
+      if (urlError) {
+        throw new Error(urlError);
+      }
+
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Whalen-Webhooks/1.0',
+          'X-Whalen-Event': delivery.event_type,
+          'X-Whalen-Delivery': delivery.id,
+          'X-Whalen-Signature': `t=${timestamp},v1=${signature}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      await response.body?.cancel();
+      outcome = {
+        ok: response.ok,
+        responseStatus: response.status,
+        error: response.ok ? null : `Endpoint responded with ${response.status}`,
+      };
+    } catch (error) {
+      outcome = { ok: false, error: error.cause?.message || error.message };
+    }
+
+    if (outcome.ok) {
+      return WebhookDelivery.recordAttempt(delivery.id, { ...outcome, status: 'succeeded' });
+    }
+
+    const attempts = delivery.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      return WebhookDelivery.recordAttempt(delivery.id, { ...outcome, status: 'failed' });
+    }
+
+    return WebhookDelivery.recordAttempt(delivery.id, {
+      ...outcome,
+      status: 'pending',
+      retryInSeconds: RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    });
+  }
+
+  /**
+   * Send a delivery's event again as a new delivery, regardless of how the
+   * original went. Receivers can deduplicate on the event ID in the payload.
+   * @param {string} deliveryId - Delivery to replay
+   * @param {Object} principal - Subscription owner (req.user)
+   * @returns {Object} The new delivery after its first attempt
+   */
+  static async replay(deliveryId, principal) {
+    try {
+      const original = await WebhookDelivery.findById(deliveryId);
+      const subscription = original && await WebhookSubscription.findById(original.subscription_id);
+
+      if (!subscription || subscription.agent_id !== principal.id) {
+        throw new Error('Webhook delivery not found');
+      }
+
+      if (!subscription.active) {
+        throw new Error('Cannot replay to an inactive subscription');
+      }
+
+      const delivery = await WebhookDelivery.create(
+        subscription.id,
+        original.payload,
+        LEASE_SECONDS,
+        original.id
+      );
+
+      return await this.attempt(delivery);
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retry every delivery that is due
+   * @returns {number} Deliveries attempted
+   */
+  static async processDue() {
+    const deliveries = await WebhookDelivery.claimDue(WORKER_BATCH_SIZE, LEASE_SECONDS);
+
+    for (const delivery of deliveries) {
+      try {
+        await this.attempt(delivery);
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+      }
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Run the retry worker on a timer. Errors are logged so one bad run never stops the next.
+   */
+  static startWorker(intervalSeconds = WORKER_INTERVAL_SECONDS) {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(async () => {
+      // A slow run must not overlap the next one
+      if (working) return;
+      working = true;
+
+      try {
+        await this.processDue();
+      } catch (error) {
+        console.error('Webhook worker failed:', error.message);
+      } finally {
+        working = false;
+      }
+    }, intervalSeconds * 1000);
+  }
+
+  static stopWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default WebhookService;
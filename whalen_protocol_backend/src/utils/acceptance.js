@@ -0,0 +1,111 @@
+import { validate as isUuid } from 'uuid';
+import { validateHours, coversHour } from './helpers.js';
+
+// Policies under which a provider takes matches without calling accept. A
+// policy sets any of:
+//   min_price_per_hour        - lowest agreed price per hour
+//   min_requester_reputation  - lowest requester reputation score (0-5)
+//   max_duration_hours        - longest request
+//   allowed_requester_ids     - the only requesters taken; null takes anyone
+//   denied_requester_ids      - requesters never taken
+//   working_hours             - { start_hour, end_hour, weekdays } in UTC, as
+//                               for time_of_day pricing rules; the booked
+//                               period must start inside them
+// A match that meets every one is accepted. Any other is declined with the
+// first one it fails as the reason.
+
+export const POLICY_FIELDS = [
+  'min_price_per_hour',
+  'min_requester_reputation',
+  'max_duration_hours',
+  'allowed_requester_ids',
+  'denied_requester_ids',
+  'working_hours',
+];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string' && isUuid(id));
+
+/**
+ * Validate a policy's fields. Each may be null to leave it unset.
+ * @param {Object} fields - Policy fields
+ * @returns {string|null} What is wrong with them
+ */
+export const validateAcceptancePolicy = (fields) => {
+  const unknown = Object.keys(fields).filter(key => !POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown policy fields: ${unknown.join(', ')}. Supported: ${POLICY_FIELDS.join(', ')}`;
+  }
+
+  const {
+    min_price_per_hour, min_requester_reputation, max_duration_hours,
+    allowed_requester_ids, denied_requester_ids, working_hours,
+  } = fields;
+
+  if (isSet(min_price_per_hour) && !(typeof min_price_per_hour === 'number' && min_price_per_hour > 0)) {
+    return 'min_price_per_hour must be a positive number';
+  }
+
+  if (isSet(min_requester_reputation) && !(typeof min_requester_reputation === 'number' &&
+      min_requester_reputation >= 0 && min_requester_reputation <= 5)) {
+    return 'min_requester_reputation must be a number from 0 to 5';
+  }
+
+  if (isSet(max_duration_hours) && !(Number.isInteger(max_duration_hours) && max_duration_hours > 0)) {
+    return 'max_duration_hours must be a positive integer';
+  }
+
+  for (const [field, value] of Object.entries({ allowed_requester_ids, denied_requester_ids })) {
+    if (isSet(value) && !isIdList(value)) {
+      return `${field} must be a list of agent IDs`;
+    }
+  }
+
+  if (isSet(working_hours)) {
+    if (typeof working_hours !== 'object' || Array.isArray(working_hours)) {
+      return 'working_hours must be an object with start_hour, end_hour and optional weekdays';
+    }
+
+    const hoursError = validateHours(working_hours);
+    if (hoursError) {
+      return `working_hours.${hoursError}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a match against a policy
+ * @param {Object} policy - Policy row
+ * @param {Object} match - requesterId, requesterReputation, pricePerHour, durationHours and startsAt
+ * @returns {string|null} Why the match is declined, or null to accept it
+ */
+export const checkAcceptancePolicy = (policy, { requesterId, requesterReputation, pricePerHour, durationHours, startsAt }) => {
+  if ((policy.denied_requester_ids || []).includes(requesterId)) {
+    return `Requester is on the provider's deny list`;
+  }
+
+  if (policy.allowed_requester_ids && !policy.allowed_requester_ids.includes(requesterId)) {
+    return `Requester is not on the provider's allow list`;
+  }
+
+  if (policy.min_price_per_hour !== null && pricePerHour < parseFloat(policy.min_price_per_hour)) {
+    return `Price of ${pricePerHour} per hour is below the provider's minimum of ${parseFloat(policy.min_price_per_hour)}`;
+  }
+
+  if (policy.min_requester_reputation !== null && requesterReputation < policy.min_requester_reputation) {
+    return `Requester reputation of ${requesterReputation} is below the provider's minimum of ${policy.min_requester_reputation}`;
+  }
+
+  if (policy.max_duration_hours !== null && durationHours > policy.max_duration_hours) {
+    return `Duration of ${durationHours} hours is above the provider's maximum of ${policy.max_duration_hours}`;
+  }
+
+  if (policy.working_hours && !coversHour(policy.working_hours, startsAt)) {
+    return `Requested start is outside the provider's working hours`;
+  }
+
+  return null;
+};
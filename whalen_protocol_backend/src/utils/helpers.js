@@ -1,5 +1,11 @@
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { checkSoftware } from './software.js';
+import { scoreInfrastructure } from './infrastructure.js';
+
+const API_KEY_PREFIX_LENGTH = 12;
+const API_KEY_HASH_ROUNDS = parseInt(process.env.API_KEY_HASH_ROUNDS) || 10;
 
 export const generateId = () => uuidv4();
 
@@ -7,18 +13,83 @@ export const generateApiKey = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+// Non-secret leading characters of a key, used to find its row without a full-table hash check
+export const getApiKeyPrefix = (apiKey) => apiKey.substring(0, API_KEY_PREFIX_LENGTH);
+
+export const hashApiKey = (apiKey) => bcrypt.hash(apiKey, API_KEY_HASH_ROUNDS);
+
+export const compareApiKey = (apiKey, keyHash) => bcrypt.compare(apiKey, keyHash);
+
+export const generateWebhookSecret = () => {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}`
+ * with their secret and compare it to v1 in the X-Whalen-Signature header.
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
 export const hashProof = (data) => {
   return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
 };
 
-export const calculateReputationScore = (totalTransactions, successfulTransactions, averageRating) => {
-  if (totalTransactions === 0) return 5.0;
-  
-  const successRate = (successfulTransactions / totalTransactions) * 100;
-  const successRateScore = (successRate / 100) * 5;
-  const ratingScore = Math.min(averageRating || 5, 5);
-  
-  return (successRateScore * 0.6 + ratingScore * 0.4).toFixed(2);
+// New agents start at the prior and move away from it as evidence accumulates.
+// The prior counts as this many full-weight events.
+const REPUTATION_PRIOR_SCORE = 4.0;
+const REPUTATION_PRIOR_WEIGHT = 5;
+const REPUTATION_HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const decayFactor = (occurredAt, now) => {
+  const ageDays = Math.max(0, (now - new Date(occurredAt)) / DAY_MS);
+  return Math.pow(0.5, ageDays / REPUTATION_HALF_LIFE_DAYS);
+};
+
+const weightedMean = (items, valueOf, weightOf, now) => {
+  let total = 0;
+  let weight = 0;
+
+  for (const item of items) {
+    const w = weightOf(item) * decayFactor(item.occurred_at, now);
+    total += w * valueOf(item);
+    weight += w;
+  }
+
+  return { mean: weight > 0 ? total / weight : null, weight };
+};
+
+/**
+ * Score an agent from 0 to 5.
+ * @param {Array} outcomes - { outcome: 0..1, weight, occurred_at } per match, verification or dispute
+ * @param {Array} ratings - { rating: 1..5, occurred_at } per rating received
+ * @param {Date} now - Reference time for decay
+ * @returns {Object} score, confidence (0..1) and the number of events used
+ */
+export const calculateReputationScore = (outcomes = [], ratings = [], now = new Date()) => {
+  const fromOutcomes = weightedMean(outcomes, e => e.outcome * 5, e => e.weight, now);
+  const fromRatings = weightedMean(ratings, r => r.rating, () => 1, now);
+
+  let observed = null;
+  if (fromOutcomes.mean !== null && fromRatings.mean !== null) {
+    observed = fromOutcomes.mean * 0.6 + fromRatings.mean * 0.4;
+  } else {
+    observed = fromOutcomes.mean ?? fromRatings.mean;
+  }
+
+  const evidence = fromOutcomes.weight + fromRatings.weight;
+  const score = observed === null
+    ? REPUTATION_PRIOR_SCORE
+    : (evidence * observed + REPUTATION_PRIOR_WEIGHT * REPUTATION_PRIOR_SCORE) /
+      (evidence + REPUTATION_PRIOR_WEIGHT);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    confidence: Math.round((evidence / (evidence + REPUTATION_PRIOR_WEIGHT)) * 1000) / 1000,
+    sample_size: outcomes.length + ratings.length,
+  };
 };
 
 export const formatResponse = (data, message = 'Success', statusCode = 200) => {
@@ -50,10 +121,18 @@ export const calculateMatchScore = (request, capability) => {
   } else {
     score -= 30;
   }
+
+  // GPU type: the requested type beats a more capable stand-in
+  if (capability.gpu_type_id === request.gpu_type_id) {
+    score += 10;
+  } else if (capability.gpu_type_id) {
+    score += 5;
+  }
   
-  // Price match
-  if (capability.price_per_hour <= request.max_price_per_hour) {
-    const priceRatio = capability.price_per_hour / request.max_price_per_hour;
+  // Price match, after the provider's pricing rules when they have been applied
+  const price = capability.effective_price_per_hour ?? capability.price_per_hour;
+  if (price <= request.max_price_per_hour) {
+    const priceRatio = price / request.max_price_per_hour;
     score += (1 - priceRatio) * 20;
   } else {
     score -= 40;
@@ -68,6 +147,143 @@ export const calculateMatchScore = (request, capability) => {
   
   // Reputation bonus
   score += (capability.reputation_score || 5) * 2;
+
+  // Software preferences, for the share of them the environment meets
+  const preferences = checkSoftware(capability.software, request.software_preferences);
+  const preferenceCount = preferences.met.length + preferences.unmet.length;
+  if (preferenceCount > 0) {
+    score += (preferences.met.length / preferenceCount) * 15;
+  }
+
+  // Network and storage preferences, by weight
+  const infrastructureShare = scoreInfrastructure(capability, request.infrastructure_preferences);
+  if (infrastructureShare !== null) {
+    score += infrastructureShare * 15;
+  }
   
   return Math.max(0, score);
 };
+
+// Longest job that can be requested, searched for or quoted: one year
+export const MAX_DURATION_HOURS = 8760;
+
+/**
+ * Validate a requested duration_hours, from a JSON body or a query string
+ * @returns {string|null} What is wrong with it
+ */
+export const validateDurationHours = (value) => {
+  const hours = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_DURATION_HOURS) {
+    return `duration_hours must be an integer from 1 to ${MAX_DURATION_HOURS}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a daily span of UTC hours, as used by time_of_day pricing rules
+ * and working hours: start_hour 0-23, end_hour 1-24 and optional weekdays
+ * @returns {string|null} What is wrong with it
+ */
+export const validateHours = ({ start_hour, end_hour, weekdays }) => {
+  if (!Number.isInteger(start_hour) || start_hour < 0 || start_hour > 23) {
+    return 'start_hour must be an integer from 0 to 23';
+  }
+  if (!Number.isInteger(end_hour) || end_hour < 1 || end_hour > 24 || end_hour === start_hour) {
+    return 'end_hour must be an integer from 1 to 24 and differ from start_hour';
+  }
+  if (weekdays !== undefined && weekdays !== null && (
+    !Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)
+  )) {
+    return 'weekdays must be an array of integers from 0 (Sunday) to 6 (Saturday)';
+  }
+
+  return null;
+};
+
+/**
+ * Whether a span of hours covers the hour starting at `at` (UTC). Spans whose
+ * end hour is before their start hour wrap past midnight.
+ */
+export const coversHour = (hours, at) => {
+  if (hours.weekdays && hours.weekdays.length > 0 && !hours.weekdays.includes(at.getUTCDay())) {
+    return false;
+  }
+
+  const hour = at.getUTCHours();
+  return hours.start_hour < hours.end_hour
+    ? hour >= hours.start_hour && hour < hours.end_hour
+    : hour >= hours.start_hour || hour < hours.end_hour;
+};
+
+/**
+ * Parse an ISO 8601 timestamp from client input, or null when it is not one
+ */
+export const parseTimestamp = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse RFC 4180 CSV into rows of strings. Quoted fields may hold commas,
+ * newlines and doubled quotes; blank lines are skipped.
+ * @returns {Array} Rows, each an array of fields
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Render objects as CSV with a header row, quoting fields where needed.
+ * Missing and null values become empty fields and nested objects JSON.
+ */
+export const toCsv = (columns, records) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\n') + '\n';
+};
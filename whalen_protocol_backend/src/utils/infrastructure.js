@@ -0,0 +1,135 @@
+// Network and storage attributes of a capability's nodes, and what requests
+// ask of them.
+//
+// A capability declares:
+//   interconnects          - fabrics between its GPUs and nodes, from INTERCONNECTS
+//   egress_bandwidth_gbps  - internet egress bandwidth
+//   local_nvme_gb          - local NVMe scratch space
+//   public_ip              - whether the node gets a public IP
+//
+// Requirements (and preferences) ask for:
+//   { interconnects: [], min_egress_bandwidth_gbps, min_local_nvme_gb, public_ip }
+// Every listed interconnect must be present, and public_ip: false asks for nothing.
+
+export const INTERCONNECTS = ['nvlink', 'nvswitch', 'infiniband', 'roce'];
+
+const REQUIREMENT_FIELDS = ['interconnects', 'min_egress_bandwidth_gbps', 'min_local_nvme_gb', 'public_ip'];
+
+// Relative weight of each preference in the match score; interconnects are
+// split evenly between the ones listed
+const PREFERENCE_WEIGHTS = {
+  interconnects: 3,
+  min_egress_bandwidth_gbps: 2,
+  min_local_nvme_gb: 2,
+  public_ip: 1,
+};
+
+const isInterconnectList = (value) =>
+  Array.isArray(value) && value.every(interconnect => INTERCONNECTS.includes(interconnect));
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate the infrastructure fields present in a capability body. Numbers
+ * may be null to clear them.
+ * @returns {string|null} What is wrong with them
+ */
+export const validateInfrastructure = (fields) => {
+  const { interconnects, egress_bandwidth_gbps, local_nvme_gb, public_ip } = fields;
+
+  if (interconnects !== undefined && !isInterconnectList(interconnects)) {
+    return `interconnects must be a list of: ${INTERCONNECTS.join(', ')}`;
+  }
+
+  if (egress_bandwidth_gbps !== undefined && egress_bandwidth_gbps !== null && !isNonNegative(egress_bandwidth_gbps)) {
+    return 'egress_bandwidth_gbps must be a non-negative number';
+  }
+
+  if (local_nvme_gb !== undefined && local_nvme_gb !== null &&
+      !(Number.isInteger(local_nvme_gb) && local_nvme_gb >= 0)) {
+    return 'local_nvme_gb must be a non-negative integer';
+  }
+
+  if (public_ip !== undefined && typeof public_ip !== 'boolean') {
+    return 'public_ip must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * Validate infrastructure requirements or preferences. null asks for nothing.
+ * @param {Object} requirements - Requirements object
+ * @param {string} label - Field name for messages; null when the fields are query parameters
+ * @returns {string|null} What is wrong with them
+ */
+export const validateInfrastructureRequirements = (requirements, label = 'infrastructure_requirements') => {
+  if (requirements === undefined || requirements === null) return null;
+
+  if (typeof requirements !== 'object' || Array.isArray(requirements)) {
+    return `${label} must be an object`;
+  }
+
+  const unknown = Object.keys(requirements).filter(key => !REQUIREMENT_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown ${label} fields: ${unknown.join(', ')}. Supported: ${REQUIREMENT_FIELDS.join(', ')}`;
+  }
+
+  const name = (field) => (label ? `${label}.${field}` : field);
+
+  const { interconnects, min_egress_bandwidth_gbps, min_local_nvme_gb, public_ip } = requirements;
+
+  if (interconnects !== undefined && !isInterconnectList(interconnects)) {
+    return `${name('interconnects')} must be a list of: ${INTERCONNECTS.join(', ')}`;
+  }
+
+  for (const [field, value] of Object.entries({ min_egress_bandwidth_gbps, min_local_nvme_gb })) {
+    if (value !== undefined && !isNonNegative(value)) {
+      return `${name(field)} must be a non-negative number`;
+    }
+  }
+
+  if (public_ip !== undefined && typeof public_ip !== 'boolean') {
+    return `${name('public_ip')} must be a boolean`;
+  }
+
+  return null;
+};
+
+/**
+ * Score a capability against infrastructure preferences by weight
+ * @param {Object} capability - Capability row
+ * @param {Object|null} preferences - Preferences object
+ * @returns {number|null} Weighted share met, from 0 to 1; null when nothing is preferred
+ */
+export const scoreInfrastructure = (capability, preferences) => {
+  if (!preferences) return null;
+
+  let total = 0;
+  let met = 0;
+  const weigh = (field, share) => {
+    total += PREFERENCE_WEIGHTS[field];
+    met += PREFERENCE_WEIGHTS[field] * share;
+  };
+
+  const wanted = preferences.interconnects || [];
+  if (wanted.length > 0) {
+    const present = capability.interconnects || [];
+    weigh('interconnects', wanted.filter(i => present.includes(i)).length / wanted.length);
+  }
+
+  if (preferences.min_egress_bandwidth_gbps !== undefined) {
+    weigh('min_egress_bandwidth_gbps',
+      Number(capability.egress_bandwidth_gbps ?? -1) >= preferences.min_egress_bandwidth_gbps ? 1 : 0);
+  }
+
+  if (preferences.min_local_nvme_gb !== undefined) {
+    weigh('min_local_nvme_gb', (capability.local_nvme_gb ?? -1) >= preferences.min_local_nvme_gb ? 1 : 0);
+  }
+
+  if (preferences.public_ip) {
+    weigh('public_ip', capability.public_ip ? 1 : 0);
+  }
+
+  return total > 0 ? met / total : null;
+};
@@ -0,0 +1,76 @@
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+
+// Addresses an outbound request from inside the network must never reach:
+// unspecified, loopback, private, shared (CGNAT), link-local (including cloud
+// metadata at 169.254.169.254), unique-local, multicast and reserved ranges.
+const PRIVATE_RANGES = new BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is in a range outbound requests must not reach.
+ * IPv4-mapped IPv6 addresses match the IPv4 ranges.
+ */
+export const isPrivateAddress = (address) => {
+  const type = isIP(address);
+  if (type === 0) return true;
+
+  return PRIVATE_RANGES.check(address, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Validate an http or https URL whose host resolves only to public addresses.
+ * Run both when the URL is stored and right before each request, since the
+ * host's DNS can change in between.
+ * @param {string} url - URL to check
+ * @returns {Promise<string|null>} What is wrong with it
+ */
+export const validatePublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'A valid http or https url is required';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'A valid http or https url is required';
+  }
+
+  // Only for local development, where receivers run on localhost
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `Could not resolve url host ${host}`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'url must resolve to a public address; loopback, link-local and private networks are not allowed';
+  }
+
+  return null;
+};
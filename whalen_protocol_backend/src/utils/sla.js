@@ -0,0 +1,100 @@
+// Service levels a provider declares on a capability, and the credits owed
+// when a match falls short of them.
+//
+// A capability's terms, any of which may be left out:
+//   { uptime:        { target_percent, credit_percent },
+//     time_to_start: { max_minutes, credit_percent },
+//     interruptions: { max_count, credit_percent } }
+//
+// credit_percent is the share of the amount paid for the match that goes back
+// to the requester when that term is breached. Credits for several breaches
+// add up, to at most the whole amount.
+
+const isPercent = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= 100;
+
+const PERCENT = 'a percentage above 0 and at most 100';
+
+// Each term's limit, how to check it, and whether measuring below it (true)
+// or above it breaches the term
+export const SLA_TERMS = {
+  uptime: {
+    limit: 'target_percent',
+    valid: isPercent,
+    expected: PERCENT,
+    breachedBelow: true,
+  },
+  time_to_start: {
+    limit: 'max_minutes',
+    valid: (value) => typeof value === 'number' && Number.isFinite(value) && value > 0,
+    expected: 'a positive number',
+    breachedBelow: false,
+  },
+  interruptions: {
+    limit: 'max_count',
+    valid: (value) => Number.isInteger(value) && value >= 0,
+    expected: 'a non-negative integer',
+    breachedBelow: false,
+  },
+};
+
+/**
+ * Validate a capability's SLA terms. null declares none.
+ * @returns {string|null} What is wrong with them
+ */
+export const validateSlaTerms = (terms) => {
+  if (terms === undefined || terms === null) return null;
+
+  if (typeof terms !== 'object' || Array.isArray(terms)) {
+    return 'sla_terms must be an object';
+  }
+
+  const unknown = Object.keys(terms).filter(key => !Object.hasOwn(SLA_TERMS, key));
+  if (unknown.length > 0) {
+    return `Unknown sla_terms fields: ${unknown.join(', ')}. Supported: ${Object.keys(SLA_TERMS).join(', ')}`;
+  }
+
+  for (const [term, { limit, valid, expected }] of Object.entries(SLA_TERMS)) {
+    const entry = terms[term];
+    if (entry === undefined) continue;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry) ||
+        Object.keys(entry).some(key => ![limit, 'credit_percent'].includes(key))) {
+      return `sla_terms.${term} must be an object with ${limit} and credit_percent`;
+    }
+
+    if (!valid(entry[limit])) {
+      return `sla_terms.${term}.${limit} must be ${expected}`;
+    }
+
+    if (!isPercent(entry.credit_percent)) {
+      return `sla_terms.${term}.credit_percent must be ${PERCENT}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Compare measurements against terms
+ * @param {Object|null} terms - SLA terms
+ * @param {Object} measured - Measurement per term; terms without one are left out
+ * @returns {Array} term, target, measured, breached and credit_percent per term
+ */
+export const evaluateSla = (terms, measured) => {
+  if (!terms) return [];
+
+  return Object.entries(SLA_TERMS)
+    .filter(([term]) => terms[term] && measured[term] !== undefined && measured[term] !== null)
+    .map(([term, { limit, breachedBelow }]) => {
+      const target = terms[term][limit];
+      const value = measured[term];
+
+      return {
+        term,
+        target,
+        measured: value,
+        breached: breachedBelow ? value < target : value > target,
+        credit_percent: terms[term].credit_percent,
+      };
+    });
+};
@@ -0,0 +1,223 @@
+// Software environments declared on capabilities and required by requests.
+//
+// A capability's environment:
+//   { os, os_version, driver_version, cuda_versions: [], rocm_versions: [],
+//     container_runtimes: [], frameworks: { name: version } }
+//
+// Requirements (and preferences) name the same things with version ranges:
+//   { os, os_version, driver_version, cuda, rocm, container_runtimes: [],
+//     frameworks: { name: range } }
+// cuda and rocm are met when any installed version is in range.
+
+export const VERSION_FIELDS = ['os_version', 'driver_version'];
+export const TOOLKIT_FIELDS = { cuda: 'cuda_versions', rocm: 'rocm_versions' };
+
+const VERSION_PATTERN = /^\d+(\.\d+)*/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)*)$/;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Split a version into its numeric components. Anything after them, such as
+ * a build suffix in 2.3.0+cu121, is ignored.
+ * @returns {Array|null} Components, or null when it does not start with a number
+ */
+export const parseVersion = (version) => {
+  const match = typeof version === 'string' ? version.trim().match(VERSION_PATTERN) : null;
+  return match ? match[0].split('.').map(Number) : null;
+};
+
+/**
+ * Compare two parsed versions, padding the shorter with zeros
+ * @returns {number} Negative, zero or positive
+ */
+export const compareVersions = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Parse a version range: comparators separated by commas or spaces, all of
+ * which must hold, e.g. ">= 12.2, < 13". A bare or "=" version matches every
+ * release it prefixes, so "12" matches 12.4.1. "*" matches any version.
+ * @returns {Array|null} Comparators, or null when the range is invalid
+ */
+export const parseVersionRange = (range) => {
+  if (typeof range !== 'string' || range.trim() === '') return null;
+  if (range.trim() === '*') return [];
+
+  const comparators = [];
+  const tokens = range.replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/[\s,]+/).filter(Boolean);
+
+  for (const token of tokens) {
+    const match = token.match(COMPARATOR_PATTERN);
+    if (!match) return null;
+    comparators.push({ op: match[1] || '=', version: match[2].split('.').map(Number) });
+  }
+
+  return comparators;
+};
+
+/**
+ * Check a version against a range string
+ */
+export const satisfiesVersionRange = (version, range) => {
+  const parsed = parseVersion(version);
+  const comparators = parseVersionRange(range);
+  if (!parsed || !comparators) return false;
+
+  return comparators.every(({ op, version: bound }) => {
+    if (op === '=') {
+      return bound.every((component, i) => (parsed[i] || 0) === component);
+    }
+
+    const diff = compareVersions(parsed, bound);
+    return { '>=': diff >= 0, '>': diff > 0, '<=': diff <= 0, '<': diff < 0 }[op];
+  });
+};
+
+const isName = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_NAME_LENGTH;
+
+const isNameList = (value) => Array.isArray(value) && value.every(isName);
+
+/**
+ * Validate a capability's software environment. null declares none.
+ * @returns {string|null} What is wrong with it
+ */
+export const validateSoftwareEnvironment = (software) => {
+  if (software === undefined || software === null) return null;
+
+  if (typeof software !== 'object' || Array.isArray(software)) {
+    return 'software must be an object';
+  }
+
+  const allowed = ['os', ...VERSION_FIELDS, ...Object.values(TOOLKIT_FIELDS), 'container_runtimes', 'frameworks'];
+  const unknown = Object.keys(software).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown software fields: ${unknown.join(', ')}. Supported: ${allowed.join(', ')}`;
+  }
+
+  if (software.os !== undefined && !isName(software.os)) {
+    return 'software.os must be a name';
+  }
+
+  for (const field of VERSION_FIELDS) {
+    if (software[field] !== undefined && !parseVersion(software[field])) {
+      return `software.${field} must be a version such as 12.2`;
+    }
+  }
+
+  for (const field of Object.values(TOOLKIT_FIELDS)) {
+    const versions = software[field];
+    if (versions !== undefined && (!Array.isArray(versions) || versions.some(v => !parseVersion(v)))) {
+      return `software.${field} must be a list of versions`;
+    }
+  }
+
+  if (software.container_runtimes !== undefined && !isNameList(software.container_runtimes)) {
+    return 'software.container_runtimes must be a list of names';
+  }
+
+  const { frameworks } = software;
+  if (frameworks !== undefined) {
+    if (!frameworks || typeof frameworks !== 'object' || Array.isArray(frameworks) ||
+        Object.entries(frameworks).some(([name, version]) => !isName(name) || !parseVersion(version))) {
+      return 'software.frameworks must map framework names to versions';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate software requirements or preferences. null asks for nothing.
+ * @param {Object} requirements - Requirements object
+ * @param {string} label - Field name for messages
+ * @returns {string|null} What is wrong with them
+ */
+export const validateSoftwareRequirements = (requirements, label = 'software_requirements') => {
+  if (requirements === undefined || requirements === null) return null;
+
+  if (typeof requirements !== 'object' || Array.isArray(requirements)) {
+    return `${label} must be an object`;
+  }
+
+  const allowed = ['os', ...VERSION_FIELDS, ...Object.keys(TOOLKIT_FIELDS), 'container_runtimes', 'frameworks'];
+  const unknown = Object.keys(requirements).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown ${label} fields: ${unknown.join(', ')}. Supported: ${allowed.join(', ')}`;
+  }
+
+  if (requirements.os !== undefined && !isName(requirements.os)) {
+    return `${label}.os must be a name`;
+  }
+
+  for (const field of [...VERSION_FIELDS, ...Object.keys(TOOLKIT_FIELDS)]) {
+    if (requirements[field] !== undefined && !parseVersionRange(requirements[field])) {
+      return `${label}.${field} must be a version range such as ">= 12.2, < 13"`;
+    }
+  }
+
+  if (requirements.container_runtimes !== undefined && !isNameList(requirements.container_runtimes)) {
+    return `${label}.container_runtimes must be a list of names`;
+  }
+
+  const { frameworks } = requirements;
+  if (frameworks !== undefined) {
+    if (!frameworks || typeof frameworks !== 'object' || Array.isArray(frameworks) ||
+        Object.entries(frameworks).some(([name, range]) => !isName(name) || !parseVersionRange(range))) {
+      return `${label}.frameworks must map framework names to version ranges`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check an environment against requirements. Names compare case-insensitively.
+ * @param {Object|null} software - Capability environment
+ * @param {Object|null} requirements - Requirements or preferences
+ * @returns {Object} met and unmet, each a list of requirement labels such as "cuda >= 12.2"
+ */
+export const checkSoftware = (software, requirements) => {
+  const env = software || {};
+  const met = [];
+  const unmet = [];
+  const record = (ok, label) => (ok ? met : unmet).push(label);
+  const lower = (name) => name.trim().toLowerCase();
+
+  if (!requirements) return { met, unmet };
+
+  if (requirements.os !== undefined) {
+    record(typeof env.os === 'string' && lower(env.os) === lower(requirements.os), `os ${requirements.os}`);
+  }
+
+  for (const field of VERSION_FIELDS) {
+    if (requirements[field] !== undefined) {
+      record(satisfiesVersionRange(env[field], requirements[field]), `${field} ${requirements[field]}`);
+    }
+  }
+
+  for (const [field, installedField] of Object.entries(TOOLKIT_FIELDS)) {
+    if (requirements[field] !== undefined) {
+      const installed = env[installedField] || [];
+      record(installed.some(v => satisfiesVersionRange(v, requirements[field])), `${field} ${requirements[field]}`);
+    }
+  }
+
+  const runtimes = (env.container_runtimes || []).map(lower);
+  for (const runtime of requirements.container_runtimes || []) {
+    record(runtimes.includes(lower(runtime)), `container_runtime ${runtime}`);
+  }
+
+  const frameworks = Object.fromEntries(
+    Object.entries(env.frameworks || {}).map(([name, version]) => [lower(name), version])
+  );
+  for (const [name, range] of Object.entries(requirements.frameworks || {})) {
+    record(satisfiesVersionRange(frameworks[lower(name)], range), `${name} ${range}`);
+  }
+
+  return { met, unmet };
+};
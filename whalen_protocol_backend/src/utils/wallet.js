@@ -0,0 +1,45 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+
+export const isWalletAddress = (address) => /^0x[0-9a-fA-F]{40}$/.test(address || '');
+
+export const normalizeWalletAddress = (address) => address.toLowerCase();
+
+/**
+ * EIP-191 (version 0x45, "personal_sign") digest of a message
+ */
+export const hashPersonalMessage = (message) => {
+  const messageBytes = utf8ToBytes(message);
+  const prefix = utf8ToBytes(`\x19Ethereum Signed Message:\n${messageBytes.length}`);
+  const payload = new Uint8Array(prefix.length + messageBytes.length);
+  payload.set(prefix);
+  payload.set(messageBytes, prefix.length);
+  return keccak_256(payload);
+};
+
+/**
+ * Recover the lowercase 0x address that produced a 65-byte r || s || v signature
+ * over an EIP-191 personal message. Returns null for malformed signatures.
+ */
+export const recoverPersonalSignAddress = (message, signature) => {
+  try {
+    const bytes = hexToBytes(signature.replace(/^0x/, ''));
+    if (bytes.length !== 65) return null;
+
+    // Wallets emit v as 27/28; some libraries emit the raw recovery bit 0/1
+    const v = bytes[64];
+    const recoveryBit = v >= 27 ? v - 27 : v;
+    if (recoveryBit !== 0 && recoveryBit !== 1) return null;
+
+    const publicKey = secp256k1.Signature.fromCompact(bytes.slice(0, 64))
+      .addRecoveryBit(recoveryBit)
+      .recoverPublicKey(hashPersonalMessage(message))
+      .toRawBytes(false);
+
+    // Address is the last 20 bytes of keccak256 over the uncompressed key without its 0x04 prefix
+    return `0x${bytesToHex(keccak_256(publicKey.slice(1)).slice(-20))}`;
+  } catch (error) {
+    return null;
+  }
+};